@@ -0,0 +1,44 @@
+/**
+ * Admin API Authentication for After Patmos
+ *
+ * Operational endpoints (relayer pool management, etc.) are protected by a
+ * shared secret sent as a Bearer token:
+ *
+ *   Authorization: Bearer <ADMIN_API_KEY>
+ *
+ * When ADMIN_API_KEY is not set the admin API is disabled entirely.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Express middleware - reject requests without a valid admin Bearer token
+ */
+function requireAdmin(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        return res.status(503).json({ error: 'Admin API disabled (ADMIN_API_KEY not set)' });
+    }
+
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+    if (!token || !safeEqual(token, adminKey)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+}
+
+module.exports = {
+    requireAdmin
+};
@@ -0,0 +1,225 @@
+/**
+ * Guardian Approval Tokens for After Patmos
+ *
+ * Approval and inscription are two separate steps, so an observer can fix a
+ * typo before their words are written on-chain forever:
+ *
+ *   POST /api/submit-observation  -> approved: signed approval token, nothing relayed
+ *   POST /api/confirm-claim       -> final text + wallet signature -> relay
+ *
+ * The token is an HMAC-signed, short-lived record of what the Guardian
+ * approved (recipient, fragment, text, verdict). It is stateless apart from
+ * a single-use check, so it survives nothing but a secret rotation.
+ *
+ * Confirmation is accepted only when:
+ * - the token is authentic, unexpired and unused
+ * - the final text is the approved text give or take typo-sized edits
+ *   (a small Levenshtein distance after whitespace is normalized)
+ * - the recipient's wallet signed the confirmation message (personal_sign)
+ *   naming the recipient, fragment, approval and final text
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// How long an approval waits for confirmation
+const DEFAULT_APPROVAL_TTL = 10 * 60 * 1000;  // 10 minutes
+
+// Edits allowed between approved and confirmed text: 5% of its length, at least 3
+const TYPO_EDIT_RATIO = 0.05;
+const MIN_TYPO_EDITS = 3;
+
+/**
+ * Collapse whitespace so re-flowed text is not counted as edits
+ */
+function normalizeText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Levenshtein distance (two-row dynamic programming)
+ */
+function editDistance(a, b) {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Edits allowed when confirming an approved text
+ */
+function maxEditsFor(text) {
+    return Math.max(MIN_TYPO_EDITS, Math.round(normalizeText(text).length * TYPO_EDIT_RATIO));
+}
+
+/**
+ * Message the recipient's wallet signs to confirm an inscription
+ * (script.js builds the same message - keep the two in sync)
+ */
+function buildConfirmationMessage({ address, tokenId, observation, approvalId }) {
+    return [
+        'After Patmos - confirm inscription',
+        '',
+        `Recipient: ${ethers.getAddress(address)}`,
+        `Fragment: ${tokenId != null ? `#${tokenId}` : 'chosen by the Guardian'}`,
+        `Approval: ${approvalId}`,
+        '',
+        'Words to inscribe forever:',
+        normalizeText(observation)
+    ].join('\n');
+}
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * Create the approval token issuer
+ * @param {Object} [options]
+ * @param {string} [options.secret] - HMAC secret (APPROVAL_TOKEN_SECRET); random per process when unset
+ * @param {number} [options.ttlMs] - Approval lifetime
+ * @returns {Object} Approval API
+ */
+function createApprovalTokens({ secret = process.env.APPROVAL_TOKEN_SECRET, ttlMs = DEFAULT_APPROVAL_TTL } = {}) {
+    if (!secret) {
+        secret = crypto.randomBytes(32).toString('hex');
+        console.warn('[Approvals] APPROVAL_TOKEN_SECRET not set - using a per-process secret (pending approvals end with a restart)');
+    }
+
+    const used = new Map();  // approval id -> expiry, until the token could no longer verify anyway
+    const stats = { issued: 0, confirmed: 0, rejected: {} };
+
+    function sign(encoded) {
+        return base64url(crypto.createHmac('sha256', secret).update(encoded).digest());
+    }
+
+    function sweep() {
+        const now = Date.now();
+        for (const [id, expiresAt] of used) {
+            if (now >= expiresAt) used.delete(id);
+        }
+    }
+
+    function reject(code, error, extra = {}) {
+        stats.rejected[code] = (stats.rejected[code] || 0) + 1;
+        return { error, code, ...extra };
+    }
+
+    /**
+     * Issue an approval token for approved words
+     * @param {Object} approval - { address, tokenId, text, reservationId, verdict }
+     * @returns {{ token: string, id: string, expiresAt: number, maxEdits: number }}
+     */
+    function issue({ address, tokenId, text, reservationId = null, verdict = {} }) {
+        const payload = {
+            id: crypto.randomUUID(),
+            address: address.toLowerCase(),
+            tokenId: tokenId != null ? Number(tokenId) : null,
+            text,
+            reservationId,
+            verdict,
+            exp: Date.now() + ttlMs
+        };
+        const encoded = base64url(JSON.stringify(payload));
+        stats.issued++;
+
+        return {
+            token: `${encoded}.${sign(encoded)}`,
+            id: payload.id,
+            expiresAt: payload.exp,
+            maxEdits: maxEditsFor(text)
+        };
+    }
+
+    /**
+     * Check a confirmation against its approval token
+     * @param {Object} confirmation - { token, observation, signature }
+     * @returns {{ approval?: Object, text?: string, edited?: boolean, error?: string, code?: string }}
+     */
+    function verify({ token, observation, signature }) {
+        const [encoded, mac] = typeof token === 'string' ? token.split('.') : [];
+        if (!encoded || !mac) {
+            return reject('APPROVAL_INVALID', 'This approval is not valid. Return to the Guardian.');
+        }
+
+        const expected = Buffer.from(sign(encoded));
+        const given = Buffer.from(mac);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            return reject('APPROVAL_INVALID', 'This approval is not valid. Return to the Guardian.');
+        }
+
+        const approval = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        if (Date.now() >= approval.exp) {
+            return reject('APPROVAL_EXPIRED', 'This approval has faded. Return to the Guardian for a fresh one.');
+        }
+        sweep();
+        if (used.has(approval.id)) {
+            return reject('APPROVAL_USED', 'These words have already been confirmed.');
+        }
+
+        const text = normalizeText(observation);
+        const distance = editDistance(normalizeText(approval.text), text);
+        const maxEdits = maxEditsFor(approval.text);
+        if (distance > maxEdits) {
+            return reject(
+                'TEXT_MISMATCH',
+                `Your edits go beyond fixing typos (${distance} changes, at most ${maxEdits}). Offer the new words to the Guardian instead.`,
+                { distance, maxEdits }
+            );
+        }
+
+        let signer;
+        try {
+            signer = ethers.verifyMessage(buildConfirmationMessage({
+                address: approval.address,
+                tokenId: approval.tokenId,
+                observation: text,
+                approvalId: approval.id
+            }), signature);
+        } catch (err) {
+            signer = null;
+        }
+        if (!signer || signer.toLowerCase() !== approval.address) {
+            return reject('SIGNATURE_INVALID', 'The confirmation must be signed by the wallet receiving the fragment.');
+        }
+
+        return { approval, text, edited: text !== normalizeText(approval.text) };
+    }
+
+    /**
+     * Mark an approval as used (call once the claim is handed to the relayer or the deferred queue)
+     * @returns {boolean} False if it was already used
+     */
+    function consume(approval) {
+        sweep();
+        if (used.has(approval.id)) return false;
+        used.set(approval.id, approval.exp);
+        stats.confirmed++;
+        return true;
+    }
+
+    return {
+        ttlMs,
+        issue,
+        verify,
+        consume,
+        getStats: () => ({ ...stats, rejected: { ...stats.rejected }, awaitingExpiry: used.size })
+    };
+}
+
+module.exports = {
+    buildConfirmationMessage,
+    editDistance,
+    createApprovalTokens
+};
@@ -0,0 +1,200 @@
+/**
+ * Relayer Balance Monitor for After Patmos
+ *
+ * Periodically checks the ETH balance of every relayer key (which pay gas
+ * for gasless claims and gallery observations) and of the claimer
+ * contract (getETHBalance - the treasury used to top the relayers up).
+ *
+ * Relayer balance levels (per key):
+ *   ok        - at or above the warning threshold
+ *   warning   - below RELAYER_BALANCE_WARN_ETH (logged, shown in /api/health)
+ *   critical  - below RELAYER_BALANCE_CRITICAL_ETH - the key leaves the rotation
+ *
+ * When every key is critical the circuit breaker opens and the Guardian is
+ * paused, so observers don't spend their attempts on approvals that could
+ * never be relayed. It closes again automatically once a relayer is funded
+ * back above the warning threshold.
+ */
+
+const { ethers } = require('ethers');
+
+const BALANCE_LEVELS = {
+    OK: 'ok',
+    WARNING: 'warning',
+    CRITICAL: 'critical'
+};
+
+// Defaults (overridable via env)
+const DEFAULT_WARN_ETH = '0.05';
+const DEFAULT_CRITICAL_ETH = '0.01';
+
+// How often balances are checked
+const DEFAULT_CHECK_INTERVAL = 60 * 1000;  // 1 minute
+
+/**
+ * Create the balance monitor
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider - Provider used to read balances
+ * @param {string[]} options.relayerAddresses - Relayer addresses
+ * @param {ethers.Contract} [options.claimerContract] - Claimer contract (for getETHBalance)
+ * @param {string} [options.warnEth] - Warning threshold in ETH
+ * @param {string} [options.criticalEth] - Critical threshold in ETH (per key; all keys critical opens the breaker)
+ * @param {number} [options.intervalMs] - Check interval
+ * @param {Function} [options.onBreakerChange] - (open) called when the breaker opens or closes
+ * @returns {Object} Monitor API
+ */
+function createBalanceMonitor({
+    provider,
+    relayerAddresses,
+    claimerContract = null,
+    warnEth = DEFAULT_WARN_ETH,
+    criticalEth = DEFAULT_CRITICAL_ETH,
+    intervalMs = DEFAULT_CHECK_INTERVAL,
+    onBreakerChange = () => {}
+}) {
+    const warnThreshold = ethers.parseEther(String(warnEth));
+    const criticalThreshold = ethers.parseEther(String(criticalEth));
+
+    let checkTimer = null;
+    let breakerOpen = false;
+    let breakerOpenedAt = null;
+    let lastCheck = {
+        relayerBalances: {},       // address -> balance (wei)
+        contractBalance: null,
+        level: null,
+        checkedAt: null,
+        error: null
+    };
+
+    function levelFor(balance) {
+        if (balance < criticalThreshold) return BALANCE_LEVELS.CRITICAL;
+        if (balance < warnThreshold) return BALANCE_LEVELS.WARNING;
+        return BALANCE_LEVELS.OK;
+    }
+
+    // Pool level = the best-funded key's level
+    function poolLevel(balances) {
+        const best = Object.values(balances).reduce((max, b) => (b > max ? b : max), 0n);
+        return levelFor(best);
+    }
+
+    /**
+     * Balance level of a single relayer (null until the first check)
+     */
+    function getRelayerLevel(address) {
+        const balance = lastCheck.relayerBalances[address.toLowerCase()];
+        return balance !== undefined ? levelFor(balance) : null;
+    }
+
+    /**
+     * Read balances and update the breaker
+     */
+    async function checkBalances() {
+        try {
+            const relayerBalances = {};
+            for (const address of relayerAddresses) {
+                relayerBalances[address.toLowerCase()] = await provider.getBalance(address);
+            }
+            const contractBalance = claimerContract
+                ? await claimerContract.getETHBalance().catch(() => null)
+                : null;
+
+            const previousBalances = lastCheck.relayerBalances;
+            for (const [address, balance] of Object.entries(relayerBalances)) {
+                const level = levelFor(balance);
+                const previous = previousBalances[address];
+                if (previous !== undefined && levelFor(previous) === level) continue;
+
+                const message = `[BalanceMonitor] Relayer ${address} balance ${ethers.formatEther(balance)} ETH is ${level}`;
+                if (level === BALANCE_LEVELS.OK) console.log(message);
+                else if (level === BALANCE_LEVELS.WARNING) console.warn(message);
+                else console.error(message);
+            }
+
+            const level = poolLevel(relayerBalances);
+
+            lastCheck = {
+                relayerBalances,
+                contractBalance,
+                level,
+                checkedAt: Math.floor(Date.now() / 1000),
+                error: null
+            };
+
+            // Open when every key is critical; only close once funded past the warning level, so it doesn't flap
+            if (level === BALANCE_LEVELS.CRITICAL && !breakerOpen) {
+                breakerOpen = true;
+                breakerOpenedAt = lastCheck.checkedAt;
+                console.error('[BalanceMonitor] Circuit breaker OPEN - Guardian paused until a relayer is funded');
+                onBreakerChange(true);
+            } else if (level === BALANCE_LEVELS.OK && breakerOpen) {
+                breakerOpen = false;
+                breakerOpenedAt = null;
+                console.log('[BalanceMonitor] Circuit breaker closed - Guardian resumed');
+                onBreakerChange(false);
+            }
+
+        } catch (err) {
+            // Keep the previous breaker state - an RPC blip shouldn't pause or resume claims
+            lastCheck = { ...lastCheck, error: err.message };
+            console.error('[BalanceMonitor] Balance check failed:', err.message);
+        }
+
+        return getStatus();
+    }
+
+    function formatBalance(balance) {
+        return balance !== null ? ethers.formatEther(balance) : null;
+    }
+
+    /**
+     * Current balances and breaker state
+     */
+    function getStatus() {
+        return {
+            relayers: relayerAddresses.map(address => {
+                const balance = lastCheck.relayerBalances[address.toLowerCase()];
+                return {
+                    address,
+                    balanceEth: balance !== undefined ? formatBalance(balance) : null,
+                    level: balance !== undefined ? levelFor(balance) : null
+                };
+            }),
+            contractBalanceEth: formatBalance(lastCheck.contractBalance),
+            level: lastCheck.level,
+            warnThresholdEth: String(warnEth),
+            criticalThresholdEth: String(criticalEth),
+            breakerOpen,
+            breakerOpenedAt,
+            checkedAt: lastCheck.checkedAt,
+            error: lastCheck.error
+        };
+    }
+
+    function start() {
+        if (checkTimer) return;
+        checkBalances();
+        checkTimer = setInterval(checkBalances, intervalMs);
+    }
+
+    function stop() {
+        if (checkTimer) {
+            clearInterval(checkTimer);
+            checkTimer = null;
+        }
+    }
+
+    return {
+        checkBalances,
+        getStatus,
+        getRelayerLevel,
+        isBreakerOpen: () => breakerOpen,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    BALANCE_LEVELS,
+    createBalanceMonitor
+};
@@ -0,0 +1,375 @@
+/**
+ * Claim Lifecycle Tracker for After Patmos
+ *
+ * Records every relayed transaction (relayClaimNFT, relayAddObservation,
+ * and the Manifold tokenURI updates that follow an observation - kind
+ * 'claim', 'observation' or 'metadata') in a durable store and follows it
+ * to a final state:
+ *
+ *   submitted -> confirmed   (mined, status 1)
+ *   submitted -> failed      (mined but reverted, or dropped)
+ *   submitted -> replaced    (same nonce mined under another hash)
+ *
+ * Transactions are watched in-process via tx.wait() and reconciled
+ * periodically against the chain, so pending records left behind by a
+ * restart still resolve. Replacements (fee bumps) are linked both ways
+ * (replacedBy / replaces) so the original hash resolves to the final one.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+
+const CLAIM_STATES = {
+    SUBMITTED: 'submitted',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed',
+    REPLACED: 'replaced'
+};
+
+const FINAL_STATES = new Set([CLAIM_STATES.CONFIRMED, CLAIM_STATES.FAILED]);
+
+// Kinds that carry an observation of their own. Metadata updates are tracked too
+// (so the fee bumper can reach them) but only repeat the text of the observation
+// relay they follow.
+const OBSERVATION_KINDS = new Set(['claim', 'observation']);
+
+function matchesKind(record, observationsOnly) {
+    return !observationsOnly || OBSERVATION_KINDS.has(record.kind);
+}
+
+// How often pending records are reconciled against the chain
+const RECONCILE_INTERVAL = 30 * 1000;  // 30 seconds
+
+/**
+ * Initialize the claim tracker
+ * @param {ethers.Provider} provider - Provider used to reconcile pending transactions
+ * @returns {Object} Tracker API
+ */
+function initClaimTracker(provider) {
+    const store = createJsonStore('claims.json', { records: {} });
+    let reconcileTimer = null;
+
+    function now() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+    function findByTxHash(txHash) {
+        const needle = txHash.toLowerCase();
+        return Object.values(store.data.records).find(r => r.txHash && r.txHash.toLowerCase() === needle) || null;
+    }
+
+    function update(record, changes) {
+        Object.assign(record, changes, { updatedAt: now() });
+        store.save();
+        return record;
+    }
+
+    /**
+     * Record a newly broadcast relay transaction
+     */
+    function recordSubmission({ kind, txHash, address, tokenId, observation, from, nonce }) {
+        const existing = findByTxHash(txHash);
+        if (existing) return existing;
+
+        const record = {
+            id: crypto.randomUUID(),
+            kind,
+            txHash,
+            address,
+            tokenId: tokenId != null ? Number(tokenId) : null,
+            observation: observation || null,
+            from: from || null,
+            nonce: nonce != null ? Number(nonce) : null,
+            state: CLAIM_STATES.SUBMITTED,
+            blockNumber: null,
+            gasUsed: null,
+            error: null,
+            replacedBy: null,
+            replaces: null,
+            submittedAt: now(),
+            updatedAt: now()
+        };
+
+        store.data.records[record.id] = record;
+        store.save();
+        return record;
+    }
+
+    /**
+     * Mark a record final from a mined receipt
+     */
+    function applyReceipt(record, receipt) {
+        if (receipt.status === 1) {
+            console.log(`[ClaimTracker] ${record.kind} TX ${record.txHash} confirmed in block ${receipt.blockNumber}`);
+            return update(record, {
+                state: CLAIM_STATES.CONFIRMED,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed.toString()
+            });
+        }
+
+        console.error(`[ClaimTracker] ${record.kind} TX ${record.txHash} reverted in block ${receipt.blockNumber}`);
+        return update(record, {
+            state: CLAIM_STATES.FAILED,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            error: 'Transaction reverted'
+        });
+    }
+
+    /**
+     * Mark a record replaced and, when the replacement carries the same
+     * call (a reprice), continue tracking under the new hash
+     */
+    function applyReplacement(record, { hash, reason, receipt }) {
+        console.warn(`[ClaimTracker] ${record.kind} TX ${record.txHash} replaced by ${hash} (${reason})`);
+
+        update(record, {
+            state: CLAIM_STATES.REPLACED,
+            replacedBy: hash,
+            error: reason === 'repriced' ? null : `Transaction ${reason}`
+        });
+
+        if (reason !== 'repriced') return null;
+
+        const successor = findByTxHash(hash) || recordSubmission({
+            kind: record.kind,
+            txHash: hash,
+            address: record.address,
+            tokenId: record.tokenId,
+            observation: record.observation,
+            from: record.from,
+            nonce: record.nonce
+        });
+        update(successor, { replaces: record.id });
+
+        if (receipt) {
+            applyReceipt(successor, receipt);
+        }
+        return successor;
+    }
+
+    /**
+     * Follow a broadcast transaction to a final state in the background
+     */
+    function follow(tx, record) {
+        tx.wait().then(receipt => {
+            applyReceipt(record, receipt);
+        }).catch(err => {
+            if (err.code === 'TRANSACTION_REPLACED') {
+                applyReplacement(record, err);
+            } else if (err.code === 'CALL_EXCEPTION' && err.receipt) {
+                applyReceipt(record, err.receipt);
+            } else {
+                // Network hiccup - leave it pending, reconciliation will pick it up
+                console.error(`[ClaimTracker] Lost track of TX ${tx.hash}:`, err.message);
+            }
+        });
+    }
+
+    /**
+     * Record a transaction and follow it to a final state in the background
+     * @param {ethers.TransactionResponse} tx - Broadcast transaction
+     * @param {Object} details - { kind, address, tokenId, observation }
+     * @returns {Object} The stored record
+     */
+    function trackTransaction(tx, details) {
+        const record = recordSubmission({
+            ...details,
+            txHash: tx.hash,
+            from: tx.from,
+            nonce: tx.nonce
+        });
+
+        follow(tx, record);
+        return record;
+    }
+
+    /**
+     * Record that we replaced a pending transaction ourselves (same nonce, higher fees)
+     * and follow the replacement; the original hash keeps resolving through the chain
+     * @param {Object} record - Record of the stuck transaction
+     * @param {ethers.TransactionResponse} replacementTx - Broadcast replacement
+     * @returns {Object} The replacement record
+     */
+    function recordReplacement(record, replacementTx) {
+        const successor = recordSubmission({
+            kind: record.kind,
+            txHash: replacementTx.hash,
+            address: record.address,
+            tokenId: record.tokenId,
+            observation: record.observation,
+            from: replacementTx.from,
+            nonce: replacementTx.nonce
+        });
+
+        update(successor, {
+            replaces: record.id,
+            bumpCount: (record.bumpCount || 0) + 1
+        });
+        update(record, {
+            state: CLAIM_STATES.REPLACED,
+            replacedBy: replacementTx.hash
+        });
+
+        follow(replacementTx, successor);
+        return successor;
+    }
+
+    /**
+     * Records still waiting to be mined
+     * @param {Object} [options]
+     * @param {boolean} [options.observationsOnly] - Leave out metadata updates
+     */
+    function listPending({ observationsOnly = false } = {}) {
+        return Object.values(store.data.records)
+            .filter(r => r.state === CLAIM_STATES.SUBMITTED && matchesKind(r, observationsOnly));
+    }
+
+    /**
+     * Walk back through replaced predecessors looking for one that was mined
+     */
+    async function findMinedPredecessor(record) {
+        let current = record;
+        while (current.replaces) {
+            const previous = store.data.records[current.replaces];
+            if (!previous) return null;
+
+            const receipt = await provider.getTransactionReceipt(previous.txHash);
+            if (receipt) {
+                applyReceipt(previous, receipt);
+                return previous;
+            }
+            current = previous;
+        }
+        return null;
+    }
+
+    /**
+     * Check every pending record against the chain
+     */
+    async function reconcilePending() {
+        const pending = listPending();
+
+        for (const record of pending) {
+            try {
+                const receipt = await provider.getTransactionReceipt(record.txHash);
+                if (receipt) {
+                    applyReceipt(record, receipt);
+                    continue;
+                }
+
+                // Still in the mempool
+                const tx = await provider.getTransaction(record.txHash);
+                if (tx) continue;
+
+                // Gone from the mempool: if the sender's nonce moved past it, it will never mine
+                if (record.from && record.nonce != null) {
+                    const minedNonce = await provider.getTransactionCount(record.from, 'latest');
+                    if (minedNonce > record.nonce) {
+                        // A fee bump lost the race: an earlier version of this transaction mined instead
+                        const minedPredecessor = await findMinedPredecessor(record);
+                        if (minedPredecessor) {
+                            update(record, {
+                                state: CLAIM_STATES.FAILED,
+                                error: `Superseded by earlier transaction ${minedPredecessor.txHash}`
+                            });
+                            continue;
+                        }
+
+                        update(record, {
+                            state: CLAIM_STATES.FAILED,
+                            error: 'Transaction dropped (nonce consumed by another transaction)'
+                        });
+                    }
+                }
+            } catch (err) {
+                console.error(`[ClaimTracker] Reconcile failed for ${record.txHash}:`, err.message);
+            }
+        }
+    }
+
+    /**
+     * Resolve a tx hash to the final transaction in its replacement chain
+     */
+    function resolveStatus(txHash) {
+        const original = findByTxHash(txHash);
+        if (!original) return null;
+
+        let current = original;
+        const chain = [original.txHash];
+        while (current.state === CLAIM_STATES.REPLACED && current.replacedBy) {
+            const next = findByTxHash(current.replacedBy);
+            if (!next || chain.includes(next.txHash)) break;
+            chain.push(next.txHash);
+            current = next;
+        }
+
+        // A replacement we don't track (cancel / foreign tx) ends the claim
+        const resolvedState = current.state === CLAIM_STATES.REPLACED
+            ? CLAIM_STATES.FAILED
+            : current.state;
+
+        return {
+            ...original,
+            resolvedTxHash: current.replacedBy && current.state === CLAIM_STATES.REPLACED
+                ? current.replacedBy
+                : current.txHash,
+            resolvedState,
+            final: FINAL_STATES.has(resolvedState),
+            blockNumber: current.blockNumber,
+            gasUsed: current.gasUsed,
+            error: current.error,
+            replacementChain: chain
+        };
+    }
+
+    /**
+     * All records for an address, newest first
+     * @param {string} address
+     * @param {Object} [options]
+     * @param {boolean} [options.observationsOnly] - Leave out metadata updates
+     */
+    function getHistory(address, { observationsOnly = false } = {}) {
+        const needle = address.toLowerCase();
+        return Object.values(store.data.records)
+            .filter(r => r.address && r.address.toLowerCase() === needle && matchesKind(r, observationsOnly))
+            .sort((a, b) => b.submittedAt - a.submittedAt);
+    }
+
+    /**
+     * Start periodic reconciliation (also resolves records pending from a previous run)
+     */
+    function start() {
+        if (reconcileTimer) return;
+        reconcilePending();
+        reconcileTimer = setInterval(reconcilePending, RECONCILE_INTERVAL);
+    }
+
+    function stop() {
+        if (reconcileTimer) {
+            clearInterval(reconcileTimer);
+            reconcileTimer = null;
+        }
+    }
+
+    return {
+        recordSubmission,
+        trackTransaction,
+        recordReplacement,
+        listPending,
+        update,
+        reconcilePending,
+        resolveStatus,
+        getHistory,
+        findByTxHash,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    CLAIM_STATES,
+    OBSERVATION_KINDS,
+    initClaimTracker
+};
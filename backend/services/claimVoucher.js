@@ -0,0 +1,168 @@
+/**
+ * Claim Voucher Service for After Patmos
+ *
+ * When the gasless relay fails, the Guardian hands the observer a voucher they
+ * can redeem themselves. Two kinds exist, named by the claimer function that
+ * redeems them (voucher.type):
+ *
+ *   claimNFT              - EIP-191 signature over
+ *                           keccak256(abi.encodePacked(recipient, tokenId, observation, nonce)),
+ *                           accepted by every deployed claimer
+ *   claimNFTWithApproval  - EIP-712 GuardianApproval (see guardianApproval.js at
+ *                           the repository root, shared with the frontend):
+ *                           recipient, tokenId, keccak256(observation), nonce, deadline
+ *                           under the domain { AfterPatmosClaimer, 1, chainId, claimer contract }
+ *
+ * Typed approvals are only issued once the claimer exposes hashGuardianApproval
+ * (the redeploy in contracts/MIGRATION_V2.md); older claimers get claimNFT
+ * vouchers. Either way the nonce is the recipient's current on-chain nonce, so
+ * once redeemed the voucher can never be replayed.
+ */
+
+const { ethers } = require('ethers');
+const GuardianApproval = require('../../guardianApproval')(ethers);
+
+// Default voucher lifetime (1 hour). Typed approvals carry it on-chain as the
+// deadline; claimNFT vouchers only as an expiry the frontend honours.
+const DEFAULT_VOUCHER_TTL_SECONDS = 60 * 60;
+
+const VOUCHER_TYPES = {
+    NONCE: 'claimNFT',
+    APPROVAL: 'claimNFTWithApproval'
+};
+
+// Claimer contract -> whether it redeems typed approvals (settled answers only)
+const typedSupport = new WeakMap();
+
+/**
+ * Hash the claim payload exactly as AfterPatmosClaimer.claimNFT does
+ * (before the EIP-191 prefix is applied)
+ */
+function hashClaimVoucher(recipient, tokenId, observation, nonce) {
+    return ethers.solidityPackedKeccak256(
+        ['address', 'uint256', 'string', 'uint256'],
+        [recipient, tokenId, observation, nonce]
+    );
+}
+
+/**
+ * Recover the address that signed a voucher
+ * Useful for sanity checks before handing a voucher to the user
+ */
+function recoverVoucherSigner(voucher) {
+    if (voucher.type === VOUCHER_TYPES.APPROVAL) {
+        return GuardianApproval.recoverSigner(voucher);
+    }
+    const messageHash = hashClaimVoucher(
+        voucher.recipient,
+        voucher.tokenId,
+        voucher.observation,
+        voucher.nonce
+    );
+    return ethers.verifyMessage(ethers.getBytes(messageHash), voucher.signature);
+}
+
+/**
+ * Does this claimer redeem EIP-712 approvals (claimNFTWithApproval)?
+ * Probes hashGuardianApproval; a revert means an older claimer. RPC errors
+ * answer false for now without remembering it, so the next voucher asks again.
+ * @param {ethers.Contract} claimerContract - Claimer contract (ABI must hold hashGuardianApproval)
+ * @returns {Promise<boolean>}
+ */
+async function supportsTypedApprovals(claimerContract) {
+    if (typedSupport.has(claimerContract)) return typedSupport.get(claimerContract);
+
+    try {
+        await claimerContract.hashGuardianApproval(ethers.ZeroAddress, 0, ethers.ZeroHash, 0, 0);
+        typedSupport.set(claimerContract, true);
+        return true;
+    } catch (err) {
+        if (err.code === 'CALL_EXCEPTION') {
+            console.log('[ClaimVoucher] Claimer has no hashGuardianApproval - issuing claimNFT vouchers');
+            typedSupport.set(claimerContract, false);
+        } else {
+            console.warn('[ClaimVoucher] Could not probe the claimer for typed approvals:', err.message);
+        }
+        return false;
+    }
+}
+
+/**
+ * Create a manual claim voucher for the claimer's redemption path
+ * @param {Object} options
+ * @param {ethers.Wallet} options.signer - Wallet registered as the claimer contract's signer
+ * @param {ethers.Contract} options.claimerContract - Read-only claimer contract (needs getNonce)
+ * @param {string} options.recipient - Address that will redeem the voucher (msg.sender)
+ * @param {number} options.tokenId - Token ID to claim
+ * @param {string} options.observation - Observation text, byte-for-byte as it will be submitted
+ * @param {number} [options.ttlSeconds] - Voucher lifetime in seconds
+ * @param {boolean} [options.typed] - Force the voucher type (default: detect from the claimer)
+ * @returns {Promise<Object>} Voucher with its type, signature, nonce and expiry
+ */
+async function createClaimVoucher({ signer, claimerContract, recipient, tokenId, observation, ttlSeconds, typed }) {
+    if (!signer || !claimerContract) {
+        throw new Error('Claim vouchers require a signer and claimer contract');
+    }
+
+    const useApproval = typed ?? await supportsTypedApprovals(claimerContract);
+    const checksummedRecipient = ethers.getAddress(recipient);
+    const lifetime = ttlSeconds || DEFAULT_VOUCHER_TTL_SECONDS;
+    const expiresAt = Math.floor(Date.now() / 1000) + lifetime;
+
+    if (!useApproval) {
+        const [nonce, claimerAddress] = await Promise.all([
+            claimerContract.getNonce(checksummedRecipient),
+            claimerContract.getAddress()
+        ]);
+        const messageHash = hashClaimVoucher(checksummedRecipient, tokenId, observation, nonce);
+        const signature = await signer.signMessage(ethers.getBytes(messageHash));
+
+        return {
+            type: VOUCHER_TYPES.NONCE,
+            signature,
+            recipient: checksummedRecipient,
+            tokenId: Number(tokenId),
+            observation,
+            nonce: nonce.toString(),
+            expiresAt,
+            claimerContract: claimerAddress,
+            signer: signer.address
+        };
+    }
+
+    const [nonce, network, verifyingContract] = await Promise.all([
+        claimerContract.getNonce(checksummedRecipient),
+        claimerContract.runner.provider.getNetwork(),
+        claimerContract.getAddress()
+    ]);
+
+    const approval = {
+        recipient: checksummedRecipient,
+        tokenId: Number(tokenId),
+        observation,
+        nonce: nonce.toString(),
+        deadline: expiresAt,
+        chainId: Number(network.chainId),
+        verifyingContract
+    };
+    const signature = await GuardianApproval.signApproval(signer, approval);
+
+    return {
+        type: VOUCHER_TYPES.APPROVAL,
+        ...approval,
+        signature,
+        // Kept under its earlier names for clients that read them
+        expiresAt: approval.deadline,
+        claimerContract: verifyingContract,
+        signer: signer.address
+    };
+}
+
+module.exports = {
+    DEFAULT_VOUCHER_TTL_SECONDS,
+    VOUCHER_TYPES,
+    hashClaimVoucher,
+    recoverVoucherSigner,
+    supportsTypedApprovals,
+    createClaimVoucher
+};
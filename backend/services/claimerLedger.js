@@ -0,0 +1,205 @@
+/**
+ * Claimer Activity Ledger for After Patmos
+ *
+ * Every event the claimer emits, normalized into one row shape so treasury
+ * and claim history can be read (and exported) without Etherscan:
+ *
+ *   NFTClaimed       tokenId, address = claimer, observation
+ *   NFTDeposited     tokenId
+ *   NFTWithdrawn     tokenId, address = recipient
+ *   SignerUpdated    address = new signer, previousAddress = old signer
+ *   RelayerUpdated   address = relayer, allowed
+ *   ETHDeposited     address = sender, amountWei
+ *   ETHWithdrawn     address = recipient, amountWei
+ *
+ * Rows are collected by the observation indexer (same checkpoint, same
+ * pending / final states and reorg rollback); this module only shapes,
+ * filters and exports them (GET /api/ledger, ?format=csv).
+ */
+
+const { ethers } = require('ethers');
+
+const LEDGER_EVENT_TYPES = [
+    'NFTClaimed',
+    'NFTDeposited',
+    'NFTWithdrawn',
+    'SignerUpdated',
+    'RelayerUpdated',
+    'ETHDeposited',
+    'ETHWithdrawn'
+];
+
+const MAX_PAGE_SIZE = 5000;
+const DEFAULT_PAGE_SIZE = 500;
+
+const CSV_COLUMNS = [
+    'blockNumber', 'timestamp', 'type', 'status', 'tokenId', 'address', 'previousAddress',
+    'amountEth', 'amountWei', 'allowed', 'observation', 'txHash', 'logIndex'
+];
+
+/**
+ * Normalize a decoded claimer event into a ledger row
+ * @param {ethers.EventLog} event - Decoded event (eventName + args)
+ * @param {number|null} blockTimestamp - Timestamp of the event's block
+ * @returns {Object|null} Row, or null for events the ledger does not know
+ */
+function toLedgerEntry(event, blockTimestamp) {
+    if (!LEDGER_EVENT_TYPES.includes(event.eventName)) return null;
+
+    const { args } = event;
+    const entry = {
+        id: `${event.transactionHash}:${event.index}`,
+        type: event.eventName,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        txHash: event.transactionHash,
+        logIndex: event.index,
+        timestamp: blockTimestamp,
+        tokenId: null,
+        address: null,
+        previousAddress: null,
+        amountWei: null,
+        allowed: null,
+        observation: null
+    };
+
+    switch (event.eventName) {
+        case 'NFTClaimed':
+            Object.assign(entry, { address: args[0], tokenId: Number(args[1]), observation: args[2], timestamp: Number(args[3]) });
+            break;
+        case 'NFTDeposited':
+            Object.assign(entry, { tokenId: Number(args[0]), timestamp: Number(args[1]) });
+            break;
+        case 'NFTWithdrawn':
+            Object.assign(entry, { tokenId: Number(args[0]), address: args[1] });
+            break;
+        case 'SignerUpdated':
+            Object.assign(entry, { previousAddress: args[0], address: args[1] });
+            break;
+        case 'RelayerUpdated':
+            Object.assign(entry, { address: args[0], allowed: Boolean(args[1]) });
+            break;
+        case 'ETHDeposited':
+        case 'ETHWithdrawn':
+            Object.assign(entry, { address: args[0], amountWei: args[1].toString() });
+            break;
+    }
+
+    return entry;
+}
+
+/**
+ * Parse ledger query parameters
+ * @param {Object} query - Express req.query
+ * @returns {{ filter?: Object, error?: string }}
+ */
+function parseLedgerQuery(query) {
+    const filter = {};
+
+    if (query.type) {
+        const types = String(query.type).split(',').map(type => type.trim()).filter(Boolean);
+        const unknown = types.filter(type => !LEDGER_EVENT_TYPES.includes(type));
+        if (unknown.length > 0) {
+            return { error: `Unknown event type ${unknown.join(', ')} (one of: ${LEDGER_EVENT_TYPES.join(', ')})` };
+        }
+        filter.types = types;
+    }
+
+    if (query.tokenId !== undefined) {
+        const tokenId = parseInt(query.tokenId, 10);
+        if (isNaN(tokenId) || tokenId < 1 || tokenId > 100) {
+            return { error: 'Invalid token ID (must be 1-100)' };
+        }
+        filter.tokenId = tokenId;
+    }
+
+    if (query.address !== undefined) {
+        if (!ethers.isAddress(query.address)) {
+            return { error: 'Invalid Ethereum address' };
+        }
+        filter.address = query.address.toLowerCase();
+    }
+
+    for (const key of ['fromBlock', 'toBlock']) {
+        if (query[key] !== undefined) {
+            const block = parseInt(query[key], 10);
+            if (isNaN(block) || block < 0) {
+                return { error: `${key} must be a block number` };
+            }
+            filter[key] = block;
+        }
+    }
+
+    if (query.status !== undefined) {
+        if (!['pending', 'final'].includes(query.status)) {
+            return { error: 'status must be one of: pending, final' };
+        }
+        filter.status = query.status;
+    }
+
+    const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_PAGE_SIZE;
+    const offset = query.offset !== undefined ? parseInt(query.offset, 10) : 0;
+    if (isNaN(limit) || limit < 1 || isNaN(offset) || offset < 0) {
+        return { error: 'limit and offset must be positive numbers' };
+    }
+    filter.limit = Math.min(limit, MAX_PAGE_SIZE);
+    filter.offset = offset;
+
+    return { filter };
+}
+
+/**
+ * Filter ledger rows (oldest first)
+ * @param {Object[]} entries - Ledger rows
+ * @param {Object} filter - From parseLedgerQuery
+ * @returns {{ entries: Object[], total: number }}
+ */
+function filterLedger(entries, { types, tokenId, address, fromBlock, toBlock, status, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+    const matching = entries.filter(entry =>
+        (!types || types.includes(entry.type)) &&
+        (tokenId === undefined || entry.tokenId === tokenId) &&
+        (!address || [entry.address, entry.previousAddress].some(a => a && a.toLowerCase() === address)) &&
+        (fromBlock === undefined || entry.blockNumber >= fromBlock) &&
+        (toBlock === undefined || entry.blockNumber <= toBlock) &&
+        (!status || entry.status === status)
+    );
+
+    return {
+        entries: matching.slice(offset, offset + limit),
+        total: matching.length
+    };
+}
+
+/**
+ * Quote a CSV cell; cells a spreadsheet would run as a formula are prefixed with '
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export ledger rows as CSV
+ */
+function ledgerToCsv(entries) {
+    const rows = entries.map(entry => {
+        const row = {
+            ...entry,
+            timestamp: entry.timestamp ? new Date(entry.timestamp * 1000).toISOString() : '',
+            amountEth: entry.amountWei !== null ? ethers.formatEther(entry.amountWei) : null
+        };
+        return CSV_COLUMNS.map(column => csvCell(row[column])).join(',');
+    });
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    LEDGER_EVENT_TYPES,
+    toLedgerEntry,
+    parseLedgerQuery,
+    filterLedger,
+    csvCell,
+    ledgerToCsv
+};
@@ -0,0 +1,396 @@
+/**
+ * Content Moderation for After Patmos
+ *
+ * Approved observations are inscribed forever (NFTClaimed events, Arweave
+ * metadata), so every submission is screened locally before it can be
+ * approved and relayed. Rules:
+ *
+ *   wordlist        - words and phrases (slurs, abuse), seeded with BASELINE_WORDLIST
+ *                     and extended by admins; matched on normalized text, so l33t
+ *                     spellings and s p a c e d letters count
+ *   email           - email addresses
+ *   wallet_address  - 0x addresses and ENS names
+ *   url             - links (with a scheme or www.) and bare lowercase domains such
+ *                     as gallery.art; sentence-case typos like "red.To" are not links.
+ *                     Admin-allowed domains are skipped
+ *   handle          - @handles
+ *   phone           - phone numbers: 10-15 digits written like one (leading +,
+ *                     an area code in parentheses, 3-3-4 or trunk-prefixed groups,
+ *                     or one unbroken run) - years and number pairs are ignored
+ *   street_address  - house number + street name
+ *
+ * Each rule has an action, changeable by admins without a deploy:
+ *
+ *   block   - refused outright; counts as a failed attempt and the matched text is not echoed
+ *   revise  - the observer is asked to remove what matched and submit again
+ *   off     - rule disabled
+ *
+ * Actions and lists live in moderation.json and are changed through the admin
+ * routes (createModerationAdminRouter, mounted at /api/admin/moderation).
+ */
+
+const express = require('express');
+const { createJsonStore } = require('./jsonStore');
+const { normalizeForScreening } = require('./injectionDetector');
+
+const ACTIONS = ['block', 'revise', 'off'];
+
+const LISTS = ['wordlist', 'allowedDomains'];
+
+const MAX_LIST_ENTRIES = 5000;
+const MAX_ENTRY_LENGTH = 100;
+
+// Seed for the wordlist on a fresh moderation.json: unambiguous slurs and abuse
+// only - words with an innocent reading in an art observation ("chink of light")
+// are left for admins to add if they need them. Plurals match on their own.
+const BASELINE_WORDLIST = [
+    'fag',
+    'faggot',
+    'kike',
+    'kill yourself',
+    'kys',
+    'nigga',
+    'nigger',
+    'raghead',
+    'retard',
+    'spic',
+    'towelhead',
+    'tranny',
+    'wetback'
+];
+
+// Letters commonly swapped for digits and symbols
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '@': 'a', '$': 's', '!': 'i', '|': 'i' };
+
+const TLDS = 'com|net|org|io|xyz|art|gg|me|co|app|dev|ly|link|info|biz|tv|us|uk|de|fr|ru|cn|to|so|fm|site|online|store|shop|club|top|page|social';
+
+/**
+ * Does a run of digits read as a phone number rather than years or measurements?
+ * Needs 10-15 digits and a phone's shape: a leading +, an area code in
+ * parentheses, an unbroken run, 3-3-4 groups or groups after a 0 trunk prefix
+ */
+function isPhoneShaped(match) {
+    const digits = match.replace(/\D/g, '').length;
+    if (digits < 10 || digits > 15) return false;
+
+    return /^\+/.test(match) ||
+        /\(\d{1,5}\)/.test(match) ||
+        /^\d+$/.test(match) ||
+        /^\d{3}([-. ])\d{3}\1\d{4}$/.test(match) ||
+        /^0\d{1,4}(?:[-. ]\d{2,4}){2,4}$/.test(match);
+}
+
+/**
+ * Pattern rules - label is what the observer is asked to remove; a rule may
+ * hold several patterns, tried in order
+ */
+const RULES = {
+    wordlist: {
+        label: 'language that cannot be inscribed',
+        defaultAction: 'block'
+    },
+    email: {
+        label: 'an email address',
+        defaultAction: 'revise',
+        pattern: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi
+    },
+    wallet_address: {
+        label: 'a wallet address',
+        defaultAction: 'revise',
+        pattern: /\b0x[a-fA-F0-9]{40}\b|\b[a-z0-9-]{3,}\.eth\b/gi
+    },
+    url: {
+        label: 'a link',
+        defaultAction: 'revise',
+        pattern: [
+            /\b(?:https?:\/\/|www\.)[^\s]+/gi,
+            // Bare domains: lowercase host with a letter before a known TLD, not inside a word
+            new RegExp(`(?<![\\w@.-])[a-z0-9-]*[a-z][a-z0-9-]*(?:\\.[a-z0-9-]+)*\\.(?:${TLDS})\\b(?:\\/[^\\s]*)?`, 'g')
+        ]
+    },
+    handle: {
+        label: 'a social media handle',
+        defaultAction: 'revise',
+        pattern: /(?:^|[^\w@.])@[A-Za-z0-9_]{2,30}\b/g
+    },
+    phone: {
+        label: 'a phone number',
+        defaultAction: 'revise',
+        pattern: /\+?\(?\d[\d\s().-]{5,}\d/g,
+        accept: isPhoneShaped
+    },
+    street_address: {
+        label: 'a street address',
+        defaultAction: 'revise',
+        pattern: /\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Place|Pl|Way)\b\.?/g
+    }
+};
+
+/**
+ * Lowercase, fold homoglyphs and l33t, keep only letters and single spaces
+ */
+function normalizeWords(text) {
+    const folded = normalizeForScreening(text)
+        .toLowerCase()
+        .replace(/[0134578@$!|]/g, ch => LEET[ch] || ch)
+        .replace(/[^\p{L}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // Re-join words spelled out letter by letter ("s l u r" -> "slur")
+    return folded.replace(/\b(?:\p{L} ){2,}\p{L}\b/gu, run => run.replace(/ /g, ''));
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function hostOf(match) {
+    return match
+        .replace(/^https?:\/\//i, '')
+        .replace(/^www\./i, '')
+        .split(/[/?#]/)[0]
+        .toLowerCase();
+}
+
+/**
+ * Create the moderation screen
+ * @returns {Object} Moderation API
+ */
+function createContentModeration() {
+    const store = createJsonStore('moderation.json', { actions: {}, wordlist: [...BASELINE_WORDLIST], allowedDomains: [] });
+    let wordPatterns = [];
+    const stats = { screened: 0, revised: 0, blocked: 0, byRule: {} };
+
+    function compileWordlist() {
+        wordPatterns = store.data.wordlist
+            .map(entry => normalizeWords(entry))
+            .filter(Boolean)
+            .map(entry => new RegExp(`(?:^| )${escapeRegExp(entry)}(?:s|es)?(?= |$)`, 'u'));
+    }
+    compileWordlist();
+
+    function actionFor(rule) {
+        return store.data.actions[rule] || RULES[rule].defaultAction;
+    }
+
+    function isAllowedDomain(match) {
+        const host = hostOf(match);
+        return store.data.allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    }
+
+    /**
+     * Screen text that may be inscribed
+     * @param {string} text - Observation
+     * @returns {{ action: 'allow'|'revise'|'block', violations: Object[], message: string|null }}
+     */
+    function screen(text) {
+        stats.screened++;
+        const violations = [];
+
+        if (actionFor('wordlist') !== 'off') {
+            const words = normalizeWords(text);
+            if (wordPatterns.some(pattern => pattern.test(words))) {
+                violations.push({ rule: 'wordlist', action: actionFor('wordlist'), label: RULES.wordlist.label });
+            }
+        }
+
+        // Rules run in order and each blanks out what it matched, so an email's
+        // domain is not also a link and an address's digits not a phone number
+        let remaining = text;
+        for (const [rule, { label, pattern, accept }] of Object.entries(RULES)) {
+            if (!pattern) continue;
+
+            const found = [];
+            for (const rulePattern of [].concat(pattern)) {
+                for (const match of (remaining.match(rulePattern) || []).map(m => m.trim())) {
+                    remaining = remaining.split(match).join(' '.repeat(match.length));
+                    found.push(match);
+                }
+            }
+            if (actionFor(rule) === 'off') continue;
+
+            const matches = found
+                .filter(match => !accept || accept(match))
+                .filter(match => rule !== 'url' || !isAllowedDomain(match));
+            if (matches.length > 0) {
+                violations.push({ rule, action: actionFor(rule), label, matches });
+            }
+        }
+
+        if (violations.length === 0) {
+            return { action: 'allow', violations, message: null };
+        }
+
+        for (const { rule } of violations) {
+            stats.byRule[rule] = (stats.byRule[rule] || 0) + 1;
+        }
+
+        if (violations.some(v => v.action === 'block')) {
+            stats.blocked++;
+            console.warn(`[Moderation] Blocked observation: ${violations.map(v => v.rule).join(', ')}`);
+            return {
+                action: 'block',
+                violations: violations.map(({ rule, action }) => ({ rule, action })),
+                message: 'The Guardian will not inscribe these words. Observations are permanent - offer what you see, without harm to others.'
+            };
+        }
+
+        stats.revised++;
+        const labels = [...new Set(violations.map(v => v.label))];
+        const list = labels.length > 1
+            ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+            : labels[0];
+        return {
+            action: 'revise',
+            violations: violations.map(({ rule, action, label, matches }) => ({ rule, action, label, matches })),
+            message: `Your observation will be inscribed forever. Please remove ${list} and submit again.`
+        };
+    }
+
+    // ============ ADMIN ============
+
+    /**
+     * Set a rule's action
+     * @returns {string|null} Error message, null on success
+     */
+    function setAction(rule, action) {
+        if (!RULES[rule]) return `Unknown rule (one of: ${Object.keys(RULES).join(', ')})`;
+        if (!ACTIONS.includes(action)) return `Invalid action (one of: ${ACTIONS.join(', ')})`;
+
+        store.data.actions[rule] = action;
+        store.save();
+        console.log(`[Moderation] Rule ${rule} set to ${action}`);
+        return null;
+    }
+
+    function cleanEntries(entries, list) {
+        return entries
+            .filter(entry => typeof entry === 'string')
+            .map(entry => entry.trim().toLowerCase().slice(0, MAX_ENTRY_LENGTH))
+            .map(entry => list === 'allowedDomains' ? hostOf(entry) : entry)
+            .filter(Boolean);
+    }
+
+    /**
+     * Replace a list, or add / remove entries
+     * @param {string} list - 'wordlist' or 'allowedDomains'
+     * @param {Object} changes - { entries } to replace, or { add, remove }
+     * @returns {{ error?: string, size?: number }}
+     */
+    function updateList(list, { entries, add = [], remove = [] }) {
+        if (!LISTS.includes(list)) return { error: `Unknown list (one of: ${LISTS.join(', ')})` };
+
+        let next;
+        if (entries !== undefined) {
+            if (!Array.isArray(entries)) return { error: 'entries must be an array of strings' };
+            next = new Set(cleanEntries(entries, list));
+        } else {
+            if (!Array.isArray(add) || !Array.isArray(remove)) return { error: 'add and remove must be arrays of strings' };
+            next = new Set(store.data[list]);
+            cleanEntries(add, list).forEach(entry => next.add(entry));
+            cleanEntries(remove, list).forEach(entry => next.delete(entry));
+        }
+
+        if (next.size > MAX_LIST_ENTRIES) return { error: `A list holds at most ${MAX_LIST_ENTRIES} entries` };
+
+        store.data[list] = [...next].sort();
+        store.save();
+        if (list === 'wordlist') compileWordlist();
+
+        console.log(`[Moderation] ${list} updated (${next.size} entries)`);
+        return { size: next.size };
+    }
+
+    /**
+     * Current rules and lists (admin view)
+     */
+    function describe() {
+        const rules = {};
+        for (const [rule, { label, defaultAction }] of Object.entries(RULES)) {
+            rules[rule] = { action: actionFor(rule), defaultAction, label };
+        }
+        return {
+            rules,
+            wordlist: [...store.data.wordlist],
+            allowedDomains: [...store.data.allowedDomains]
+        };
+    }
+
+    return {
+        screen,
+        setAction,
+        updateList,
+        describe,
+        getStats: () => ({
+            ...stats,
+            byRule: { ...stats.byRule },
+            wordlistSize: store.data.wordlist.length
+        })
+    };
+}
+
+/**
+ * Admin routes for rule actions and lists (mount behind requireAdmin)
+ * @param {Object} moderation - Moderation API from createContentModeration
+ * @returns {express.Router}
+ */
+function createModerationAdminRouter(moderation) {
+    const router = express.Router();
+
+    /**
+     * Moderation rules (with their actions), wordlist and allowed link domains
+     */
+    router.get('/', (req, res) => {
+        res.json({ ...moderation.describe(), stats: moderation.getStats() });
+    });
+
+    /**
+     * Change a rule's action
+     * Body: { action: 'block' | 'revise' | 'off' }
+     */
+    router.put('/rules/:rule', (req, res) => {
+        const error = moderation.setAction(req.params.rule, req.body.action);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json(moderation.describe().rules[req.params.rule]);
+    });
+
+    /**
+     * Replace a moderation list ('wordlist' or 'allowedDomains')
+     * Body: { entries: [...] }
+     */
+    router.put('/lists/:list', (req, res) => {
+        if (!Array.isArray(req.body.entries)) {
+            return res.status(400).json({ error: 'entries must be an array of strings' });
+        }
+        const result = moderation.updateList(req.params.list, { entries: req.body.entries });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ list: req.params.list, size: result.size });
+    });
+
+    /**
+     * Add to / remove from a moderation list
+     * Body: { add: [...], remove: [...] }
+     */
+    router.patch('/lists/:list', (req, res) => {
+        const result = moderation.updateList(req.params.list, { add: req.body.add, remove: req.body.remove });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ list: req.params.list, size: result.size });
+    });
+
+    return router;
+}
+
+module.exports = {
+    ACTIONS,
+    BASELINE_WORDLIST,
+    RULES,
+    createContentModeration,
+    createModerationAdminRouter
+};
@@ -0,0 +1,228 @@
+/**
+ * Deferred Claim Queue for After Patmos
+ *
+ * When the gas guard reports fees above the ceiling, approved claims are not
+ * relayed right away. They are persisted here and relayed by a background
+ * worker once the base fee drops back under the ceiling:
+ *
+ *   deferred -> submitted   (relayed; follow the tx via /api/claim-status)
+ *   deferred -> deferred    (transient relay failure; retried with backoff)
+ *   deferred -> failed      (the chain refuses the claim, or retries ran out)
+ *
+ * The store survives restarts, so an observer's approved claim is never lost
+ * while the chain is congested. When retries run out, onFailed is where the
+ * caller issues a manual claim voucher, as the direct relay path does.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { decodeRelayError } = require('./txSimulator');
+
+const DEFERRED_STATES = {
+    DEFERRED: 'deferred',
+    SUBMITTED: 'submitted',
+    FAILED: 'failed'
+};
+
+// How often the worker checks fees while claims are waiting
+const DEFAULT_PROCESS_INTERVAL = 60 * 1000;  // 1 minute
+
+// Relay attempts before a transient failure is given up on
+const MAX_RELAY_ATTEMPTS = 5;
+
+// Wait after the first failed attempt, doubled per attempt up to the cap
+const RETRY_BACKOFF_BASE = 2 * 60;       // 2 minutes (seconds)
+const RETRY_BACKOFF_CAP = 30 * 60;       // 30 minutes (seconds)
+
+/**
+ * Seconds to wait before the next attempt after `attempts` failures
+ */
+function retryDelay(attempts) {
+    return Math.min(RETRY_BACKOFF_BASE * 2 ** (attempts - 1), RETRY_BACKOFF_CAP);
+}
+
+/**
+ * Create the deferred claim queue
+ * @param {Object} options
+ * @param {Object} options.gasGuard - Guard deciding when relays may be sent
+ * @param {Function} options.relay - async (claim) => { txHash } - sends the relay
+ * @param {Function} [options.onSubmitted] - (claim, result) called after a successful relay
+ * @param {Function} [options.onFailed] - async (claim, error) called when the chain refuses the claim or retries run out
+ * @param {Function} [options.isPaused] - () => boolean; no relays while true (e.g. relayer out of funds)
+ * @param {number} [options.intervalMs] - Worker interval
+ * @returns {Object} Queue API
+ */
+function createDeferredClaimQueue({
+    gasGuard,
+    relay,
+    onSubmitted = () => {},
+    onFailed = () => {},
+    isPaused = () => false,
+    intervalMs = DEFAULT_PROCESS_INTERVAL
+}) {
+    const store = createJsonStore('deferred-claims.json', { claims: {} });
+    let processTimer = null;
+    let processing = false;
+
+    function now() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+    function update(claim, changes) {
+        Object.assign(claim, changes, { updatedAt: now() });
+        store.save();
+        return claim;
+    }
+
+    /**
+     * Claims still waiting for fees to drop, oldest first
+     */
+    function listDeferred() {
+        return Object.values(store.data.claims)
+            .filter(c => c.state === DEFERRED_STATES.DEFERRED)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Queue an approved claim
+     * @param {Object} details - { address, tokenId, observation, reservationId }
+     * @returns {Object} The stored claim
+     */
+    function defer({ address, tokenId, observation, reservationId }) {
+        const claim = {
+            id: crypto.randomUUID(),
+            address,
+            tokenId: tokenId != null ? Number(tokenId) : null,
+            observation,
+            reservationId: reservationId || null,
+            state: DEFERRED_STATES.DEFERRED,
+            txHash: null,
+            error: null,
+            attempts: 0,
+            nextAttemptAt: null,
+            createdAt: now(),
+            updatedAt: now()
+        };
+
+        store.data.claims[claim.id] = claim;
+        store.save();
+
+        console.log(`[DeferredClaims] Claim #${claim.tokenId} for ${address} deferred until fees drop (${claim.id})`);
+        return claim;
+    }
+
+    function get(id) {
+        return store.data.claims[id] || null;
+    }
+
+    function findDeferredByAddress(address) {
+        const needle = address.toLowerCase();
+        return listDeferred().find(c => c.address.toLowerCase() === needle) || null;
+    }
+
+    /**
+     * Record a failed relay: transient failures wait and retry, refusals and
+     * exhausted retries end the claim
+     */
+    async function recordFailure(claim, err) {
+        const message = err.shortMessage || err.message;
+        const decoded = decodeRelayError(err);
+        const attempts = (claim.attempts || 0) + 1;
+
+        // A decoded revert that isn't retryable is the chain refusing this claim
+        const refused = decoded && !decoded.retryable;
+
+        if (!refused && attempts < MAX_RELAY_ATTEMPTS) {
+            const delay = retryDelay(attempts);
+            update(claim, { attempts, nextAttemptAt: now() + delay, error: message });
+            console.warn(`[DeferredClaims] Deferred claim ${claim.id} attempt ${attempts}/${MAX_RELAY_ATTEMPTS} failed (${message}) - retrying in ${delay}s`);
+            return;
+        }
+
+        console.error(`[DeferredClaims] Deferred claim ${claim.id} failed${refused ? '' : ` after ${attempts} attempts`}:`, message);
+        update(claim, {
+            state: DEFERRED_STATES.FAILED,
+            attempts,
+            nextAttemptAt: null,
+            error: decoded ? decoded.message : message,
+            errorCode: decoded ? decoded.code : 'RELAY_FAILED'
+        });
+
+        try {
+            await onFailed(claim, err);
+        } catch (callbackErr) {
+            console.error(`[DeferredClaims] onFailed for ${claim.id} threw:`, callbackErr.message);
+        }
+    }
+
+    /**
+     * Relay waiting claims while fees stay under the ceiling
+     */
+    async function processDeferred() {
+        if (processing || isPaused()) return;
+        processing = true;
+
+        try {
+            const due = listDeferred().filter(c => !c.nextAttemptAt || c.nextAttemptAt <= now());
+
+            for (const claim of due) {
+                const fees = await gasGuard.check();
+                if (!fees.ok) {
+                    console.log(`[DeferredClaims] Base fee ${fees.baseFeeGwei} gwei above ceiling ${fees.maxBaseFeeGwei} - ${listDeferred().length} claim(s) waiting`);
+                    return;
+                }
+
+                try {
+                    const result = await relay(claim);
+                    update(claim, { state: DEFERRED_STATES.SUBMITTED, txHash: result.txHash, nextAttemptAt: null, error: null });
+                    console.log(`[DeferredClaims] Relayed deferred claim ${claim.id}: ${result.txHash}`);
+                    onSubmitted(claim, result);
+                } catch (err) {
+                    // Another relay for the same token/recipient is still in flight,
+                    // or every relayer key is out of rotation - try next round
+                    if (err.code === 'RELAY_IN_FLIGHT' || err.code === 'NO_RELAYER_AVAILABLE') continue;
+
+                    await recordFailure(claim, err);
+                }
+            }
+        } catch (err) {
+            console.error('[DeferredClaims] Processing failed:', err.message);
+        } finally {
+            processing = false;
+        }
+    }
+
+    function start() {
+        if (processTimer) return;
+        processDeferred();
+        processTimer = setInterval(processDeferred, intervalMs);
+    }
+
+    function stop() {
+        if (processTimer) {
+            clearInterval(processTimer);
+            processTimer = null;
+        }
+    }
+
+    return {
+        defer,
+        get,
+        update,
+        listDeferred,
+        findDeferredByAddress,
+        processDeferred,
+        start,
+        stop,
+        getStats: () => ({
+            waiting: listDeferred().length
+        })
+    };
+}
+
+module.exports = {
+    DEFERRED_STATES,
+    MAX_RELAY_ATTEMPTS,
+    retryDelay,
+    createDeferredClaimQueue
+};
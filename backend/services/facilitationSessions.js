@@ -0,0 +1,162 @@
+/**
+ * Facilitation Sessions for After Patmos
+ *
+ * A soft rejection (score 3-4) opens a facilitation session instead of
+ * sending the observer back to an empty form. The session remembers the
+ * observer's earlier words and every question the Guardian asked, so the
+ * next submission is evaluated as a reply to that question rather than
+ * from scratch:
+ *
+ *   observation -> soft reject (question) -> reply -> ... -> approved | rejected
+ *
+ * Once approved, the observer chooses what is inscribed on-chain: their
+ * final reply, one of their earlier observations, or all of them merged.
+ *
+ * Sessions live in memory - like fragment holds, they are short-lived and
+ * it is fine for a restart to clear them (the observer simply starts over).
+ */
+
+const crypto = require('crypto');
+
+// How long a session stays open without a reply
+const DEFAULT_SESSION_TTL = 30 * 60 * 1000;  // 30 minutes
+
+// Questions per session before the observer starts a fresh one
+const DEFAULT_MAX_TURNS = 3;
+
+// Contract limit for an inscribed observation (bytes, as the claimer counts them)
+const MAX_INSCRIPTION_LENGTH = 250;
+
+// Joins the observer's words when they choose a merged inscription
+const MERGE_SEPARATOR = ' / ';
+
+/**
+ * Create the facilitation session store
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - Idle lifetime of a session
+ * @param {number} [options.maxTurns] - Questions per session
+ * @returns {Object} Session API
+ */
+function createFacilitationSessions({ ttlMs = DEFAULT_SESSION_TTL, maxTurns = DEFAULT_MAX_TURNS } = {}) {
+    const sessions = new Map();  // id -> session
+
+    function isExpired(session) {
+        return Date.now() >= session.expiresAt;
+    }
+
+    function sweep() {
+        for (const [id, session] of sessions) {
+            if (isExpired(session)) sessions.delete(id);
+        }
+    }
+
+    /**
+     * Open session for this observer and token, if any
+     * @returns {Object|null}
+     */
+    function find(id, address, tokenId) {
+        if (!id) return null;
+        const session = sessions.get(id);
+        if (!session) return null;
+
+        if (isExpired(session)) {
+            sessions.delete(id);
+            return null;
+        }
+        if (session.address !== address.toLowerCase() || session.tokenId !== (tokenId != null ? Number(tokenId) : null)) {
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Record a soft rejection - opens a session, or adds a turn to an open one
+     * A session that has used all its questions is replaced by a fresh one
+     * @param {Object|null} session - Current session (from find)
+     * @param {Object} turn - { address, tokenId, observation, question, score, reason }
+     * @returns {Object} The session the turn was recorded in
+     */
+    function recordSoftReject(session, { address, tokenId, observation, question, score, reason }) {
+        sweep();
+
+        if (!session || session.turns.length >= maxTurns) {
+            if (session) sessions.delete(session.id);
+            session = {
+                id: crypto.randomUUID(),
+                address: address.toLowerCase(),
+                tokenId: tokenId != null ? Number(tokenId) : null,
+                turns: [],
+                createdAt: Date.now()
+            };
+            sessions.set(session.id, session);
+        }
+
+        session.turns.push({ observation, question, score, reason, at: Date.now() });
+        session.expiresAt = Date.now() + ttlMs;
+        return session;
+    }
+
+    /**
+     * Text to inscribe for an approved reply
+     * @param {Object|null} session - Session the reply belongs to
+     * @param {string} reply - The approved observation
+     * @param {string|number} [choice] - 'reply' (default), 'merged', or the index of an earlier observation
+     * @returns {{ text?: string, error?: string }}
+     */
+    function composeInscription(session, reply, choice = 'reply') {
+        if (!session || choice === 'reply' || choice == null) {
+            return { text: reply };
+        }
+
+        if (choice === 'merged') {
+            const text = [...session.turns.map(t => t.observation), reply].join(MERGE_SEPARATOR);
+            const length = Buffer.byteLength(text, 'utf8');
+            return length <= MAX_INSCRIPTION_LENGTH
+                ? { text }
+                : { error: `Your merged words are ${length} characters - the chain holds at most ${MAX_INSCRIPTION_LENGTH}. Choose a single observation instead.` };
+        }
+
+        const turn = Number.isInteger(Number(choice)) ? session.turns[Number(choice)] : null;
+        return turn ? { text: turn.observation } : { error: 'Unknown inscription choice' };
+    }
+
+    /**
+     * End a session (approved, hard-rejected or abandoned)
+     */
+    function close(session) {
+        if (session) sessions.delete(session.id);
+    }
+
+    /**
+     * Client view of a session
+     */
+    function describe(session) {
+        return {
+            id: session.id,
+            tokenId: session.tokenId,
+            turns: session.turns.map(({ observation, question }) => ({ observation, question })),
+            questionsRemaining: Math.max(0, maxTurns - session.turns.length),
+            expiresAt: session.expiresAt
+        };
+    }
+
+    return {
+        ttlMs,
+        maxTurns,
+        find,
+        recordSoftReject,
+        composeInscription,
+        close,
+        describe,
+        getStats: () => {
+            sweep();
+            return { open: sessions.size };
+        }
+    };
+}
+
+module.exports = {
+    MAX_INSCRIPTION_LENGTH,
+    MERGE_SEPARATOR,
+    createFacilitationSessions
+};
@@ -0,0 +1,188 @@
+/**
+ * Stuck Transaction Watcher for After Patmos
+ *
+ * Relays and setTokenURI updates are sent with the provider's default fees.
+ * When mainnet fees spike they can sit in the mempool indefinitely, so this
+ * watcher periodically looks for tracked transactions that have been pending
+ * longer than a threshold and re-broadcasts the same call at the same nonce
+ * with higher EIP-1559 fees, never exceeding the configured cap.
+ *
+ * Each replacement is recorded in the claim tracker, so the original hash
+ * keeps resolving through the replacement chain in /api/claim-status.
+ */
+
+const { ethers } = require('ethers');
+
+// Defaults (overridable via env)
+const DEFAULT_STUCK_THRESHOLD_SECONDS = 180;  // 3 minutes
+const DEFAULT_BUMP_PERCENT = 25;
+const DEFAULT_MAX_FEE_CAP_GWEI = '150';
+
+// Nodes reject replacements that raise fees by less than 10%
+const MIN_BUMP_PERCENT = 10;
+
+// How often pending transactions are checked
+const CHECK_INTERVAL = 30 * 1000;  // 30 seconds
+
+function bump(value, percent) {
+    return value * BigInt(100 + percent) / 100n;
+}
+
+function maxBigInt(a, b) {
+    return a > b ? a : b;
+}
+
+/**
+ * Create the stuck transaction watcher
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider - Provider for fee data and mempool lookups
+ * @param {Object} options.claimTracker - Tracker holding the pending records
+ * @param {ethers.Wallet[]} options.wallets - Wallets allowed to replace their own transactions
+ * @param {number} [options.thresholdSeconds] - Pending age before a transaction counts as stuck
+ * @param {number} [options.bumpPercent] - Fee increase per replacement
+ * @param {string} [options.maxFeeCapGwei] - Hard ceiling for maxFeePerGas
+ * @returns {Object} Watcher API
+ */
+function createFeeBumper({
+    provider,
+    claimTracker,
+    wallets,
+    thresholdSeconds = DEFAULT_STUCK_THRESHOLD_SECONDS,
+    bumpPercent = DEFAULT_BUMP_PERCENT,
+    maxFeeCapGwei = DEFAULT_MAX_FEE_CAP_GWEI
+}) {
+    const percent = Math.max(bumpPercent, MIN_BUMP_PERCENT);
+    const maxFeeCap = ethers.parseUnits(String(maxFeeCapGwei), 'gwei');
+    const walletsByAddress = new Map(
+        wallets.filter(Boolean).map(wallet => [wallet.address.toLowerCase(), wallet])
+    );
+
+    let checkTimer = null;
+    let checking = false;
+    let replacementCount = 0;
+
+    /**
+     * Work out replacement fees: at least the bump over the stuck fees,
+     * at least what the network currently asks, never above the cap
+     * @returns {Object|null} Fee overrides, or null if the cap leaves no room
+     */
+    async function computeReplacementFees(stuckTx) {
+        const feeData = await provider.getFeeData();
+
+        const oldMaxFee = stuckTx.maxFeePerGas ?? stuckTx.gasPrice ?? 0n;
+        const oldPriority = stuckTx.maxPriorityFeePerGas ?? stuckTx.gasPrice ?? 0n;
+
+        let maxPriorityFeePerGas = maxBigInt(bump(oldPriority, percent), feeData.maxPriorityFeePerGas ?? 0n);
+        let maxFeePerGas = maxBigInt(bump(oldMaxFee, percent), feeData.maxFeePerGas ?? 0n);
+
+        if (maxFeePerGas > maxFeeCap) {
+            maxFeePerGas = maxFeeCap;
+        }
+        if (maxPriorityFeePerGas > maxFeePerGas) {
+            maxPriorityFeePerGas = maxFeePerGas;
+        }
+
+        // Capped fees must still clear the node's minimum replacement bump
+        if (maxFeePerGas < bump(oldMaxFee, MIN_BUMP_PERCENT) ||
+            maxPriorityFeePerGas < bump(oldPriority, MIN_BUMP_PERCENT)) {
+            return null;
+        }
+
+        return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    /**
+     * Replace one stuck transaction
+     */
+    async function bumpRecord(record) {
+        const wallet = walletsByAddress.get((record.from || '').toLowerCase());
+        if (!wallet) return;
+
+        // Mined since the last reconcile - the tracker will catch up
+        const receipt = await provider.getTransactionReceipt(record.txHash);
+        if (receipt) return;
+
+        // Not in the mempool any more - nothing to replace, reconciliation decides its fate
+        const stuckTx = await provider.getTransaction(record.txHash);
+        if (!stuckTx) return;
+
+        const fees = await computeReplacementFees(stuckTx);
+        if (!fees) {
+            console.warn(`[FeeBumper] ${record.kind} TX ${record.txHash} is stuck but already at the fee cap (${maxFeeCapGwei} gwei)`);
+            return;
+        }
+
+        const replacementTx = await wallet.sendTransaction({
+            to: stuckTx.to,
+            data: stuckTx.data,
+            value: stuckTx.value,
+            gasLimit: stuckTx.gasLimit,
+            nonce: stuckTx.nonce,
+            chainId: stuckTx.chainId,
+            type: 2,
+            ...fees
+        });
+
+        replacementCount++;
+        console.log(`[FeeBumper] Replaced ${record.kind} TX ${record.txHash} with ${replacementTx.hash} (nonce ${stuckTx.nonce}, maxFee ${ethers.formatUnits(fees.maxFeePerGas, 'gwei')} gwei)`);
+
+        claimTracker.recordReplacement(record, replacementTx);
+    }
+
+    /**
+     * Scan pending records and replace the ones that have been waiting too long
+     */
+    async function checkStuck() {
+        if (checking) return;
+        checking = true;
+
+        try {
+            const cutoff = Math.floor(Date.now() / 1000) - thresholdSeconds;
+            const stuck = claimTracker.listPending().filter(record => record.submittedAt <= cutoff);
+
+            for (const record of stuck) {
+                try {
+                    await bumpRecord(record);
+                } catch (err) {
+                    // Typically "replacement underpriced" or the original mined in between
+                    console.error(`[FeeBumper] Could not replace ${record.txHash}:`, err.shortMessage || err.message);
+                }
+            }
+        } finally {
+            checking = false;
+        }
+    }
+
+    function start() {
+        if (checkTimer) return;
+        console.log(`[FeeBumper] Watching for transactions pending over ${thresholdSeconds}s (+${percent}% per bump, cap ${maxFeeCapGwei} gwei)`);
+        checkTimer = setInterval(checkStuck, CHECK_INTERVAL);
+    }
+
+    function stop() {
+        if (checkTimer) {
+            clearInterval(checkTimer);
+            checkTimer = null;
+        }
+    }
+
+    return {
+        checkStuck,
+        computeReplacementFees,
+        start,
+        stop,
+        getStats: () => ({
+            thresholdSeconds,
+            bumpPercent: percent,
+            maxFeeCapGwei: String(maxFeeCapGwei),
+            replacements: replacementCount
+        })
+    };
+}
+
+module.exports = {
+    DEFAULT_STUCK_THRESHOLD_SECONDS,
+    DEFAULT_BUMP_PERCENT,
+    DEFAULT_MAX_FEE_CAP_GWEI,
+    createFeeBumper
+};
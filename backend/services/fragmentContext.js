@@ -0,0 +1,220 @@
+/**
+ * Fragment Context for After Patmos
+ *
+ * Grounds Guardian evaluations in the fragment actually being observed:
+ *
+ * - Image: resolved from the token's metadata (fetchOriginalMetadata), downloaded
+ *   once and cached on disk under DATA_DIR/fragment-images, then handed to
+ *   multimodal providers as inline image data
+ * - Description: a short visual description of each fragment, written and
+ *   edited by the artist through the admin API and stored in fragment-context.json
+ *
+ * Both are optional - a fragment without a description or with an
+ * unreachable image is simply evaluated with whatever context exists.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore, resolveDataPath } = require('./jsonStore');
+const { fetchOriginalMetadata, toGatewayUrl } = require('./metadataService');
+
+const IMAGE_DIR = resolveDataPath('fragment-images');
+
+// Larger images are skipped (inline image data for the models is capped)
+const DEFAULT_MAX_IMAGE_BYTES = 8 * 1024 * 1024;  // 8 MB
+
+const IMAGE_FETCH_TIMEOUT = 30 * 1000;  // 30 seconds
+
+// After a failed download, don't retry on every evaluation
+const IMAGE_RETRY_INTERVAL = 10 * 60 * 1000;  // 10 minutes
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+const SUPPORTED_IMAGE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+/**
+ * Create the fragment context service
+ * @param {Object} options
+ * @param {ethers.Contract} [options.nftContract] - NFT contract (tokenURI), used to find each fragment's image
+ * @param {number} [options.maxImageBytes] - Largest image that will be cached and sent to models
+ * @returns {Object} Fragment context API
+ */
+function createFragmentContext({ nftContract = null, maxImageBytes = DEFAULT_MAX_IMAGE_BYTES } = {}) {
+    const store = createJsonStore('fragment-context.json', { descriptions: {}, images: {} });
+    const failedImages = new Map();  // tokenId -> last failure time
+    const pendingImages = new Map(); // tokenId -> in-flight download
+
+    // ============ DESCRIPTIONS ============
+
+    /**
+     * Artist's description of a fragment (null if none has been written)
+     */
+    function getDescription(tokenId) {
+        return store.data.descriptions[tokenId] || null;
+    }
+
+    /**
+     * Write or replace a fragment's description
+     * @param {number} tokenId - Fragment
+     * @param {string} text - Visual description
+     * @param {string} [updatedBy] - Who edited it (free-form, for the record)
+     * @returns {Object} The stored description
+     */
+    function setDescription(tokenId, text, updatedBy = null) {
+        const description = {
+            text: text.trim(),
+            updatedAt: Math.floor(Date.now() / 1000),
+            updatedBy
+        };
+        store.data.descriptions[tokenId] = description;
+        store.save();
+
+        console.log(`[FragmentContext] Description for #${tokenId} updated${updatedBy ? ` by ${updatedBy}` : ''}`);
+        return description;
+    }
+
+    /**
+     * Remove a fragment's description
+     * @returns {boolean} False if there was none
+     */
+    function deleteDescription(tokenId) {
+        if (!store.data.descriptions[tokenId]) return false;
+        delete store.data.descriptions[tokenId];
+        store.save();
+        return true;
+    }
+
+    // ============ IMAGES ============
+
+    async function downloadImage(tokenId) {
+        const metadata = await fetchOriginalMetadata(tokenId, nftContract);
+        if (!metadata || !metadata.image) {
+            throw new Error('Metadata has no image');
+        }
+
+        const sourceUrl = toGatewayUrl(metadata.image);
+        const response = await fetch(sourceUrl, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT) });
+        if (!response.ok) {
+            throw new Error(`Image fetch failed: ${response.status}`);
+        }
+
+        const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim();
+        const extension = SUPPORTED_IMAGE_TYPES[mimeType];
+        if (!extension) {
+            throw new Error(`Unsupported image type "${mimeType}"`);
+        }
+
+        const declaredLength = parseInt(response.headers.get('content-length'), 10);
+        if (declaredLength > maxImageBytes) {
+            throw new Error(`Image is ${declaredLength} bytes (limit ${maxImageBytes})`);
+        }
+
+        const data = Buffer.from(await response.arrayBuffer());
+        if (data.length > maxImageBytes) {
+            throw new Error(`Image is ${data.length} bytes (limit ${maxImageBytes})`);
+        }
+
+        fs.mkdirSync(IMAGE_DIR, { recursive: true });
+        const file = `${tokenId}.${extension}`;
+        fs.writeFileSync(path.join(IMAGE_DIR, file), data);
+
+        store.data.images[tokenId] = {
+            file,
+            mimeType,
+            sourceUrl,
+            bytes: data.length,
+            fetchedAt: Math.floor(Date.now() / 1000)
+        };
+        store.save();
+
+        console.log(`[FragmentContext] Cached image for #${tokenId} (${Math.round(data.length / 1024)} KB)`);
+        return { mimeType, data };
+    }
+
+    /**
+     * Cache record of a fragment's image (null if not cached yet)
+     */
+    function getImageInfo(tokenId) {
+        return store.data.images[tokenId] || null;
+    }
+
+    /**
+     * Fragment image, from the local cache or downloaded once
+     * @returns {Promise<{ mimeType: string, data: string }|null>} Base64 image data, null if unavailable
+     */
+    async function getImage(tokenId) {
+        const cached = store.data.images[tokenId];
+        if (cached) {
+            try {
+                const data = await fs.promises.readFile(path.join(IMAGE_DIR, cached.file));
+                return { mimeType: cached.mimeType, data: data.toString('base64') };
+            } catch (err) {
+                console.warn(`[FragmentContext] Cached image for #${tokenId} unreadable, fetching again:`, err.message);
+            }
+        }
+
+        if (!nftContract) return null;
+
+        const lastFailure = failedImages.get(tokenId);
+        if (lastFailure && Date.now() - lastFailure < IMAGE_RETRY_INTERVAL) return null;
+
+        // Concurrent evaluations of the same fragment share one download
+        if (!pendingImages.has(tokenId)) {
+            pendingImages.set(tokenId, downloadImage(tokenId).finally(() => pendingImages.delete(tokenId)));
+        }
+
+        try {
+            const { mimeType, data } = await pendingImages.get(tokenId);
+            failedImages.delete(tokenId);
+            return { mimeType, data: data.toString('base64') };
+        } catch (err) {
+            failedImages.set(tokenId, Date.now());
+            console.warn(`[FragmentContext] No image for #${tokenId}:`, err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Everything the Guardian should know about a fragment
+     * @param {number|string} tokenId - Fragment ('random' or invalid IDs have no context)
+     * @param {Object} [options]
+     * @param {boolean} [options.includeImage] - Load the image (only worth it for multimodal providers)
+     * @returns {Promise<{ description: string|null, image: Object|null }>}
+     */
+    async function getContext(tokenId, { includeImage = true } = {}) {
+        const id = Number(tokenId);
+        if (!Number.isInteger(id) || id < 1) {
+            return { description: null, image: null };
+        }
+
+        const description = getDescription(id);
+        return {
+            description: description ? description.text : null,
+            image: includeImage ? await getImage(id) : null
+        };
+    }
+
+    return {
+        getContext,
+        getImage,
+        getImageInfo,
+        getDescription,
+        listDescriptions: () => ({ ...store.data.descriptions }),
+        setDescription,
+        deleteDescription,
+        getStats: () => ({
+            descriptions: Object.keys(store.data.descriptions).length,
+            cachedImages: Object.keys(store.data.images).length
+        })
+    };
+}
+
+module.exports = {
+    MAX_DESCRIPTION_LENGTH,
+    createFragmentContext
+};
@@ -0,0 +1,80 @@
+/**
+ * Gas Price Guard for After Patmos
+ *
+ * The relayer pays gas for every gasless claim. During mainnet fee spikes
+ * that gets expensive fast, so relays are only sent while the current base
+ * fee is at or below a configured ceiling (MAX_BASE_FEE_GWEI). Without a
+ * ceiling the guard is disabled and every check passes.
+ */
+
+const { ethers } = require('ethers');
+
+// Base fee changes at most once per block - no need to ask more often
+const BASE_FEE_CACHE_TTL = 12 * 1000;  // 12 seconds
+
+/**
+ * Create the gas guard
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider - Provider used to read the latest block
+ * @param {string|number} [options.maxBaseFeeGwei] - Ceiling in gwei (unset = disabled)
+ * @returns {Object} Guard API
+ */
+function createGasGuard({ provider, maxBaseFeeGwei }) {
+    const enabled = maxBaseFeeGwei !== undefined && maxBaseFeeGwei !== null && maxBaseFeeGwei !== '';
+    const maxBaseFee = enabled ? ethers.parseUnits(String(maxBaseFeeGwei), 'gwei') : null;
+
+    let cachedBaseFee = null;
+    let cachedAt = 0;
+
+    /**
+     * Current base fee (cached for one block)
+     */
+    async function getBaseFee() {
+        if (cachedBaseFee !== null && Date.now() - cachedAt < BASE_FEE_CACHE_TTL) {
+            return cachedBaseFee;
+        }
+
+        const block = await provider.getBlock('latest');
+        cachedBaseFee = block && block.baseFeePerGas != null ? block.baseFeePerGas : 0n;
+        cachedAt = Date.now();
+        return cachedBaseFee;
+    }
+
+    function describe(baseFee) {
+        return {
+            enabled,
+            ok: !enabled || baseFee <= maxBaseFee,
+            baseFeeGwei: baseFee !== null ? ethers.formatUnits(baseFee, 'gwei') : null,
+            maxBaseFeeGwei: enabled ? String(maxBaseFeeGwei) : null
+        };
+    }
+
+    /**
+     * Check whether relays may be sent right now
+     * @returns {Promise<{ enabled: boolean, ok: boolean, baseFeeGwei: string|null, maxBaseFeeGwei: string|null }>}
+     */
+    async function check() {
+        if (!enabled) return describe(null);
+        return describe(await getBaseFee());
+    }
+
+    /**
+     * Last known status without touching the network (for health checks)
+     */
+    function getStatus() {
+        if (!enabled || cachedBaseFee === null) {
+            return { ...describe(null), ok: !enabled || null };
+        }
+        return describe(cachedBaseFee);
+    }
+
+    return {
+        enabled,
+        check,
+        getStatus
+    };
+}
+
+module.exports = {
+    createGasGuard
+};
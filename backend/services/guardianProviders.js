@@ -0,0 +1,394 @@
+/**
+ * Guardian Model Providers for After Patmos
+ *
+ * Every provider exposes the same interface:
+ *
+ *   {
+ *     name: 'gemini' | 'openai' | 'rules',
+ *     model: string,
+ *     multimodal: boolean,   // accepts the fragment image
+ *     evaluate({ systemInstruction, prompt, observation, tokenId, dialogue, description, image }) => Promise<Object>
+ *   }
+ *
+ * `image` is { mimeType, data (base64) } and is only passed to multimodal providers.
+ *
+ * `evaluate` resolves to the raw Guardian verdict JSON (snake_case, as
+ * described in the VTS system instruction). It throws if the backend is
+ * unreachable, so the Guardian can move on to the next provider in
+ * GUARDIAN_PROVIDERS, and throws VERDICT_NOT_JSON if the answer can't be
+ * parsed (treated as a schema violation - see verdictSchema.js).
+ *
+ * Adapters:
+ * - gemini: Google Generative AI (GEMINI_API_KEY, GEMINI_MODEL)
+ * - openai: any OpenAI-compatible /chat/completions endpoint - OpenAI itself,
+ *           or a local llama.cpp / Ollama server (OPENAI_COMPAT_*)
+ * - rules:  deterministic, offline keyword scoring for CI and disconnected dev
+ *           boxes. Only used when GUARDIAN_PROVIDERS names it, and skipped when
+ *           NODE_ENV=production - a keyword count must never approve a
+ *           permanent inscription because the models are unreachable
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { scoreInjection } = require('./injectionDetector');
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash';
+const DEFAULT_TIMEOUT_MS = 20000;
+
+// Used when GUARDIAN_PROVIDERS is not set
+const DEFAULT_PROVIDER_ORDER = 'gemini';
+
+/**
+ * Pull the first JSON object out of a model response
+ * @throws {Error} code VERDICT_NOT_JSON if no parseable object is present
+ */
+function extractJson(text) {
+    const jsonMatch = (text || '').match(/\{[\s\S]*\}/);
+    try {
+        if (!jsonMatch) {
+            throw new Error('Model response contained no JSON object');
+        }
+        return JSON.parse(jsonMatch[0]);
+    } catch (err) {
+        const error = new Error(`Unparseable verdict: ${err.message}`);
+        error.code = 'VERDICT_NOT_JSON';
+        throw error;
+    }
+}
+
+// ============ GEMINI ============
+
+/**
+ * Google Gemini adapter
+ * @param {Object} options - { apiKey, model, timeoutMs }
+ */
+function createGeminiProvider({ apiKey, model = DEFAULT_GEMINI_MODEL, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    return {
+        name: 'gemini',
+        model,
+        multimodal: true,
+        async evaluate({ systemInstruction, prompt, image }) {
+            const generativeModel = genAI.getGenerativeModel({ model, systemInstruction }, { timeout: timeoutMs });
+            const parts = image
+                ? [{ inlineData: { mimeType: image.mimeType, data: image.data } }, { text: prompt }]
+                : prompt;
+            const result = await generativeModel.generateContent(parts);
+            return extractJson(result.response.text());
+        }
+    };
+}
+
+// ============ OPENAI-COMPATIBLE ============
+
+/**
+ * OpenAI-compatible chat completions adapter (OpenAI, llama.cpp server, Ollama, vLLM...)
+ * @param {Object} options - { baseUrl, apiKey, model, vision, timeoutMs }
+ */
+function createOpenAICompatibleProvider({ baseUrl, apiKey, model, vision = false, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    return {
+        name: 'openai',
+        model,
+        multimodal: vision,
+        async evaluate({ systemInstruction, prompt, image }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model,
+                    temperature: 0.2,
+                    messages: [
+                        { role: 'system', content: systemInstruction },
+                        {
+                            role: 'user',
+                            content: image
+                                ? [
+                                    { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } },
+                                    { type: 'text', text: prompt }
+                                ]
+                                : prompt
+                        }
+                    ]
+                }),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            if (!response.ok) {
+                throw new Error(`${endpoint} responded ${response.status}`);
+            }
+
+            const data = await response.json();
+            const content = data.choices?.[0]?.message?.content;
+            return extractJson(content);
+        }
+    };
+}
+
+// ============ DETERMINISTIC RULES ============
+
+// Injection detector signals that mean the text addresses the Guardian rather than the art
+const REDIRECT_SIGNALS = new Set(['ignore_previous', 'role_play', 'system_prompt']);
+
+const GENERIC_PHRASES = new Set([
+    'nice', 'cool', 'good', 'amazing', 'great', 'awesome', 'beautiful',
+    'i like it', 'beautiful art', 'very nice', 'love it', 'nice art', 'so cool'
+]);
+
+const VISUAL_WORDS = /\b(colou?rs?|blues?|reds?|golds?|greens?|blacks?|whites?|grey|gray|light|shadows?|dark(ness)?|bright|shapes?|lines?|forms?|textures?|layers?|edges?|horizon|fragments?|glow|fractur\w*|brush\w*|composition)\b/gi;
+const EMOTION_WORDS = /\b(feel\w*|fear|calm|joy|sad\w*|lonel\w*|peace\w*|anxi\w*|hope\w*|grief|longing|tension|melanchol\w*|wonder|awe|haunt\w*|tender\w*|warm\w*|cold)\b/gi;
+const PERSONAL_WORDS = /\b(i|me|my|remind\w*|memor\w*|childhood)\b/gi;
+
+const ARCHETYPE_WORDS = [
+    ['The Visionary', /\b(cosmic|universe|infinite|eternal|existence|divine|apocalyp\w*|revelation|god|soul)\b/gi],
+    ['The Storyteller', /\b(story|journey|character|travel\w*|walk\w*|someone|once|waiting|home)\b/gi],
+    ['The Builder', /\b(structure|composition|grid|geometr\w*|lines?|shapes?|balance|symmetr\w*|layers?)\b/gi],
+    ['The Critic', /\b(meaning|artist|intent\w*|context|represents?|comment\w*|critique|society|history)\b/gi]
+];
+
+const FACILITATOR_QUESTIONS = [
+    'What colors or shapes draw your eye first?',
+    'If this fragment could speak, what might it say?',
+    'Does this remind you of anything from your own life?',
+    'What emotion do you sense hiding in the forms?',
+    'Look again - what small detail might you have missed?'
+];
+
+function countMatches(text, pattern) {
+    return (text.match(pattern) || []).length;
+}
+
+// Stable small hash so the same observation always gets the same question
+function stableIndex(text, modulo) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+    }
+    return hash % modulo;
+}
+
+function looksLikeGibberish(text) {
+    const letters = (text.match(/[a-z]/gi) || []).length;
+    if (letters / Math.max(text.length, 1) < 0.6) return true;
+    if (/(.)\1{4,}/.test(text)) return true;
+    const words = text.split(/\s+/).filter(Boolean);
+    return words.some(word => word.length > 6 && !/[aeiouy]/i.test(word));
+}
+
+// Words too common to show that an observation refers to a particular fragment
+const DESCRIPTION_STOPWORDS = new Set([
+    'this', 'that', 'with', 'from', 'into', 'over', 'under', 'there', 'their', 'which', 'where',
+    'while', 'about', 'through', 'fragment', 'piece', 'artwork', 'image', 'patmos', 'after'
+]);
+
+/**
+ * Elements of the artist's description the observation mentions (words of 4+ letters, loosely stemmed)
+ */
+function groundedTerms(text, description) {
+    const stem = word => word.replace(/(ing|ed|es|s)$/, '');
+    const observed = new Set((text.toLowerCase().match(/[a-z]{4,}/g) || []).map(stem));
+    const terms = new Set(
+        (description.toLowerCase().match(/[a-z]{4,}/g) || [])
+            .filter(word => !DESCRIPTION_STOPWORDS.has(word))
+            .map(stem)
+    );
+    return [...terms].filter(term => observed.has(term));
+}
+
+/**
+ * Score an observation on the rubric with fixed keyword rules (no network, fully deterministic)
+ * @param {string} observation - Observation text (with any earlier facilitation turns)
+ * @param {string|null} description - Artist's description of the fragment, if any
+ */
+function scoreRubric(observation, description) {
+    const text = observation.trim();
+    const normalized = text.toLowerCase().replace(/[^a-z\s]/g, '').trim();
+    const rubric = (authenticity, perception, depth, effort) => ({ authenticity, perception, depth, effort });
+
+    if (scoreInjection(text).signals.some(signal => REDIRECT_SIGNALS.has(signal.id))) {
+        const note = 'An attempt to redirect the Guardian, not an observation';
+        return {
+            injection: true,
+            rubric: rubric({ score: 0, note }, { score: 0, note }, { score: 0, note }, { score: 0, note })
+        };
+    }
+    if (GENERIC_PHRASES.has(normalized) || normalized.split(/\s+/).length < 3 || looksLikeGibberish(text)) {
+        return {
+            rubric: rubric(
+                { score: 0, note: 'Too brief or generic to be a personal response' },
+                { score: 0, note: 'Name what you actually see - colours, shapes, light' },
+                { score: 0, note: 'What does the fragment make you feel?' },
+                { score: 0, note: 'Very brief - take more time with the piece' }
+            )
+        };
+    }
+
+    const visual = countMatches(text, VISUAL_WORDS);
+    const emotion = countMatches(text, EMOTION_WORDS);
+    const personal = countMatches(text, PERSONAL_WORDS);
+    const grounded = description ? groundedTerms(text, description) : [];
+
+    const authenticity = personal > 0
+        ? { score: 3, note: 'A personal voice is present' }
+        : { score: 2, note: 'Genuine, but your own voice could come through more' };
+    let perception = visual > 0
+        ? { score: Math.min(3, visual), note: `Names ${visual} visual element(s) - colour, form or light` }
+        : { score: 0, note: 'Name what you actually see - colours, shapes, light' };
+    let depth = emotion >= 2
+        ? { score: 2, note: 'Felt responses give this depth' }
+        : emotion === 1
+            ? { score: 1, note: 'One felt response - stay with it longer' }
+            : { score: 0, note: 'What does the fragment make you feel?' };
+    let effort = text.length >= 160
+        ? { score: 2, note: 'A considered, unhurried observation' }
+        : text.length >= 80
+            ? { score: 1, note: 'Some care taken - a little more would deepen it' }
+            : { score: 0, note: 'Very brief - take more time with the piece' };
+
+    // With the artist's description, words that match nothing in the fragment score at most 4
+    if (description) {
+        if (grounded.length > 0) {
+            perception = { score: Math.min(3, perception.score + 1), note: `Refers to the fragment: ${grounded.slice(0, 5).join(', ')}` };
+        } else {
+            perception = { score: 0, note: 'Nothing named here is in this fragment - look at the piece itself' };
+            depth = { score: 0, note: 'Depth comes from what this fragment holds' };
+            effort = { ...effort, score: Math.min(1, effort.score) };
+        }
+    }
+
+    return { visual, emotion, personal, grounded, rubric: rubric(authenticity, perception, depth, effort) };
+}
+
+function classifyArchetype(observation) {
+    let best = ['The Interpreter', 0];
+    for (const [archetype, pattern] of ARCHETYPE_WORDS) {
+        const hits = countMatches(observation, pattern);
+        if (hits > best[1]) best = [archetype, hits];
+    }
+    return best[0];
+}
+
+/**
+ * Deterministic rule-based adapter - same verdict shape as the model providers
+ */
+function createRulesProvider() {
+    return {
+        name: 'rules',
+        model: 'deterministic-v1',
+        async evaluate({ observation, dialogue = [], description = null }) {
+            // A facilitation reply is scored together with the words that came before it
+            const seen = [...dialogue.map(turn => turn.observation), observation].join(' ');
+            const { rubric, injection, visual = 0, emotion = 0, personal = 0, grounded = [] } = scoreRubric(seen, description);
+            const total = Object.values(rubric).reduce((sum, dimension) => sum + dimension.score, 0);
+            const score = Math.max(1, total);
+
+            const softReject = score >= 3 && score <= 4;
+            const excerpt = observation.trim().slice(0, 80);
+
+            let reason;
+            if (injection) {
+                reason = 'I observe an attempt to redirect perception. What in the artwork itself draws your attention?';
+            } else if (score >= 5) {
+                reason = 'Your words trace what the fragment holds - the Guardian sees you looking.';
+            } else if (softReject) {
+                reason = 'There is a beginning of seeing here. Stay with the fragment a little longer.';
+            } else {
+                reason = 'The Guardian finds no trace of the artwork in these words.';
+            }
+
+            return {
+                approved: score >= 5,
+                soft_reject: softReject,
+                facilitator_question: softReject
+                    ? FACILITATOR_QUESTIONS[stableIndex(seen, FACILITATOR_QUESTIONS.length)]
+                    : null,
+                aesthetic_archetype: classifyArchetype(seen),
+                paraphrase: `Through your eyes: "${excerpt}${observation.trim().length > 80 ? '...' : ''}"`,
+                reason,
+                score,
+                vts_analysis: {
+                    what_happening: visual > 0 ? `${visual} visual element(s) named` : 'No visual elements named',
+                    evidence: description
+                        ? (grounded.length > 0 ? `Refers to the fragment: ${grounded.slice(0, 5).join(', ')}` : 'Refers to nothing in this fragment')
+                        : (emotion > 0 ? `${emotion} felt response(s)` : 'No felt response'),
+                    depth: personal > 0 ? 'Personal connection present' : 'No personal connection'
+                },
+                rubric
+            };
+        }
+    };
+}
+
+// ============ CONFIGURATION ============
+
+/**
+ * Build providers in the order given by GUARDIAN_PROVIDERS (default: gemini)
+ * Providers that are listed but not configured are skipped with a warning, as is
+ * the rules provider in production
+ * @param {Object} env - Usually process.env
+ * @returns {Object[]} Ordered providers
+ * @throws {Error} If no listed provider is usable - the Guardian could approve nothing
+ */
+function createProvidersFromEnv(env) {
+    const order = (env.GUARDIAN_PROVIDERS || DEFAULT_PROVIDER_ORDER)
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+    const timeoutMs = parseInt(env.GUARDIAN_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+    const providers = [];
+    for (const name of order) {
+        if (name === 'gemini') {
+            if (!env.GEMINI_API_KEY) {
+                console.warn('[Guardian] gemini provider listed but GEMINI_API_KEY not set - skipping');
+                continue;
+            }
+            providers.push(createGeminiProvider({
+                apiKey: env.GEMINI_API_KEY,
+                model: env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL,
+                timeoutMs
+            }));
+        } else if (name === 'openai') {
+            if (!env.OPENAI_COMPAT_BASE_URL || !env.OPENAI_COMPAT_MODEL) {
+                console.warn('[Guardian] openai provider listed but OPENAI_COMPAT_BASE_URL / OPENAI_COMPAT_MODEL not set - skipping');
+                continue;
+            }
+            providers.push(createOpenAICompatibleProvider({
+                baseUrl: env.OPENAI_COMPAT_BASE_URL,
+                apiKey: env.OPENAI_COMPAT_API_KEY,
+                model: env.OPENAI_COMPAT_MODEL,
+                vision: env.OPENAI_COMPAT_VISION === 'true',
+                timeoutMs
+            }));
+        } else if (name === 'rules') {
+            if (env.NODE_ENV === 'production') {
+                console.warn('[Guardian] rules provider listed but NODE_ENV=production - skipping (CI and dev only)');
+                continue;
+            }
+            providers.push(createRulesProvider());
+        } else {
+            console.warn(`[Guardian] Unknown provider "${name}" in GUARDIAN_PROVIDERS - skipping`);
+        }
+    }
+
+    if (providers.length === 0) {
+        throw new Error(`No usable Guardian provider in GUARDIAN_PROVIDERS="${order.join(',')}" - configure one (GEMINI_API_KEY, OPENAI_COMPAT_*), or use "rules" outside production`);
+    }
+
+    return providers;
+}
+
+module.exports = {
+    DEFAULT_PROVIDER_ORDER,
+    extractJson,
+    createGeminiProvider,
+    createOpenAICompatibleProvider,
+    createRulesProvider,
+    createProvidersFromEnv
+};
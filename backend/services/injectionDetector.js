@@ -0,0 +1,263 @@
+/**
+ * Prompt-Injection Detector for After Patmos
+ *
+ * Screens every observation before it reaches a Guardian model. Each
+ * matched signal carries a weight; the weights combine into a risk score
+ * between 0 and 1 (noisy-or, so independent signals reinforce each other):
+ *
+ *   none    - nothing matched
+ *   low     - weak signals only; evaluated normally
+ *   medium  - evaluated, but the prompt tells the model which signals matched
+ *   high    - hard reject without calling the model (risk >= block threshold
+ *             from at least two signals)
+ *
+ * Signals cover "ignore previous" overrides, role-play instructions,
+ * system-prompt / jailbreak markers, JSON smuggling, attempts to emit the
+ * verdict fields ("approved": true, score 10), and obfuscation with
+ * zero-width characters, bidi controls and homoglyphs. Patterns are also run
+ * on a normalized copy (NFKC, invisibles stripped, homoglyphs folded), so
+ * obfuscated instructions are caught as well.
+ *
+ * Every signal weighs less than the block threshold: an observation that
+ * merely reads like one ("Score: 10 for the gold light", "I forget the
+ * previous instructions my teacher gave me") is at most flagged, and only
+ * combined signals block.
+ *
+ * Every detection is appended to DATA_DIR/injection-detections.jsonl with its
+ * matched signals for later review (GET /api/admin/injection-detections).
+ */
+
+const fs = require('fs');
+const { ensureDataDir, resolveDataPath } = require('./jsonStore');
+
+const LOG_FILE = resolveDataPath('injection-detections.jsonl');
+
+const DEFAULT_BLOCK_THRESHOLD = 0.8;
+const FLAG_THRESHOLD = 0.4;
+
+// Zero-width characters, bidi controls and other invisibles - a zero-width
+// joiner only counts outside an emoji sequence (👨‍👩‍👧 is joined with U+200D)
+const INVISIBLE_CHARS = /[\u00AD\u180E\u200B\u200C\u200E\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]|(?<![\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\uFE0F])\u200D|\u200D(?!\p{Extended_Pictographic})/gu;
+
+// Cyrillic / Greek letters that render like Latin ones
+const HOMOGLYPHS = {
+    // Cyrillic
+    '\u0430': 'a', '\u0432': 'b', '\u0441': 'c', '\u0435': 'e', '\u04bb': 'h', '\u0456': 'i',
+    '\u0458': 'j', '\u043a': 'k', '\u043c': 'm', '\u043d': 'h', '\u043e': 'o', '\u0440': 'p',
+    '\u0455': 's', '\u0442': 't', '\u0443': 'y', '\u0445': 'x', '\u0501': 'd', '\u051b': 'q',
+    '\u051d': 'w',
+    '\u0410': 'A', '\u0412': 'B', '\u0421': 'C', '\u0415': 'E', '\u041d': 'H', '\u0406': 'I',
+    '\u041a': 'K', '\u041c': 'M', '\u041e': 'O', '\u0420': 'P', '\u0405': 'S', '\u0422': 'T',
+    '\u0425': 'X', '\u04ae': 'Y',
+    // Greek
+    '\u03b1': 'a', '\u03b5': 'e', '\u03b9': 'i', '\u03ba': 'k', '\u03bf': 'o', '\u03c1': 'p',
+    '\u03c4': 't', '\u03c5': 'u', '\u03bd': 'v', '\u03c7': 'x', '\u0391': 'A', '\u0392': 'B',
+    '\u0395': 'E', '\u0397': 'H', '\u0399': 'I', '\u039a': 'K', '\u039c': 'M', '\u039d': 'N',
+    '\u039f': 'O', '\u03a1': 'P', '\u03a4': 'T', '\u03a5': 'Y', '\u03a7': 'X', '\u0396': 'Z'
+};
+const HOMOGLYPH_PATTERN = new RegExp(`[${Object.keys(HOMOGLYPHS).join('')}]`, 'g');
+
+// A word mixing Latin letters with Cyrillic or Greek ones
+const MIXED_SCRIPT_WORD = /(?=[^\s]*[a-z])(?=[^\s]*[\u0370-\u03FF\u0400-\u052F])[^\s]+/i;
+
+/**
+ * Textual signals, matched on both the raw and the normalized observation
+ */
+const TEXT_SIGNALS = [
+    {
+        id: 'ignore_previous',
+        weight: 0.65,
+        // "rules" only counts with an explicit earlier/your - "ignores the rules of perspective" is an observation
+        pattern: /\b(ignore|disregard|forget|override|bypass)\b[^.!?\n]{0,30}\b(previous|prior|above|earlier|all|any|your|the|these)\b[^.!?\n]{0,20}\b(instructions?|prompts?|directions?|guidelines?|criteria)\b|\b(ignore|disregard|forget|override|bypass)\b[^.!?\n]{0,20}\b(previous|prior|above|earlier|your)\b[^.!?\n]{0,10}\brules\b/i
+    },
+    {
+        id: 'role_play',
+        weight: 0.6,
+        pattern: /\b(you are now|you're now|you are no longer|from now on,? you|pretend (to be|you are|you're)|role-?play as|act as (the|an?) (guardian|ai|assistant|evaluator|judge))\b/i
+    },
+    {
+        id: 'system_prompt',
+        weight: 0.65,
+        pattern: /(\bsystem prompt\b|\bdeveloper mode\b|\bjailbreak\b|\bDAN mode\b|\[\s*(system|assistant|inst)\s*\]|<\|?\s*(system|assistant|im_start|im_end)\s*\|?>|^\s*(system|assistant)\s*:)/im
+    },
+    {
+        id: 'verdict_forgery',
+        weight: 0.65,
+        // Only as a quoted key ("score": 10 / score": 10) - "Score: 10 for the light" is prose
+        pattern: /\b(approved|soft_?reject|score|aesthetic_?archetype)["'`]\s*[:=]\s*["'`]?(true|false|\d+)/i
+    },
+    {
+        id: 'approval_demand',
+        weight: 0.55,
+        pattern: /\b(approve (me|this|my)|must (be )?approved?|(set|give|assign) (me |it |this )?(a |the )?(score|rating)|score (of |it |me )?(a )?(9|10|ten)\b|mark (this|it|me) (as )?approved|return approved)\b/i
+    },
+    {
+        id: 'json_smuggling',
+        weight: 0.6,
+        pattern: /[{[]\s*["'][^"']{1,40}["']\s*:/
+    },
+    {
+        id: 'output_instruction',
+        weight: 0.4,
+        pattern: /\b(respond|reply|answer|output|return|print)\b[^.!?\n]{0,20}\b(json|only with|with only|the following|exactly)\b/i
+    },
+    {
+        id: 'code_fence',
+        weight: 0.3,
+        pattern: /```|<\/?(script|system|prompt)\b/i
+    }
+];
+
+/**
+ * NFKC-normalize, strip invisibles and fold homoglyphs to Latin
+ */
+function normalizeForScreening(text) {
+    return text
+        .normalize('NFKC')
+        .replace(INVISIBLE_CHARS, '')
+        .replace(HOMOGLYPH_PATTERN, ch => HOMOGLYPHS[ch]);
+}
+
+/**
+ * Remove invisible characters (used when building prompts)
+ */
+function stripInvisible(text) {
+    return text.replace(INVISIBLE_CHARS, '');
+}
+
+/**
+ * Score an observation for injection signals (pure, no logging)
+ * @param {string} observation - Observation text
+ * @param {number} [blockThreshold] - Risk at or above which the observation is blocked
+ * @returns {{ risk: number, level: string, block: boolean, signals: Object[] }}
+ */
+function scoreInjection(observation, blockThreshold = DEFAULT_BLOCK_THRESHOLD) {
+    const signals = [];
+    const add = (id, weight, match) => signals.push({ id, weight, match: String(match).slice(0, 80) });
+
+    const invisible = observation.match(INVISIBLE_CHARS);
+    if (invisible) {
+        add('zero_width', 0.5, invisible.map(ch => `U+${ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`).join(' '));
+    }
+
+    const mixedWord = observation.match(MIXED_SCRIPT_WORD);
+    if (mixedWord) {
+        add('homoglyph', 0.5, mixedWord[0]);
+    }
+
+    const normalized = normalizeForScreening(observation);
+    let obfuscated = false;
+    for (const { id, weight, pattern } of TEXT_SIGNALS) {
+        const raw = observation.match(pattern);
+        const folded = raw ? null : normalized.match(pattern);
+        if (raw || folded) {
+            add(id, weight, (raw || folded)[0]);
+            if (folded) obfuscated = true;
+        }
+    }
+    if (obfuscated) {
+        add('obfuscated_instruction', 0.5, 'matched only after normalization');
+    }
+
+    const risk = 1 - signals.reduce((clear, signal) => clear * (1 - signal.weight), 1);
+    const rounded = Math.round(risk * 100) / 100;
+
+    // One signal alone never blocks, whatever the configured threshold
+    let level = 'none';
+    if (rounded >= blockThreshold && signals.length >= 2) level = 'high';
+    else if (rounded >= FLAG_THRESHOLD) level = 'medium';
+    else if (signals.length > 0) level = 'low';
+
+    return { risk: rounded, level, block: level === 'high', signals };
+}
+
+/**
+ * Create the injection detector
+ * @param {Object} [options]
+ * @param {number} [options.blockThreshold] - Risk at or above which observations are rejected unseen by the model
+ * @returns {Object} Detector API
+ */
+function createInjectionDetector({ blockThreshold = DEFAULT_BLOCK_THRESHOLD } = {}) {
+    const stats = {
+        screened: 0,
+        flagged: 0,
+        blocked: 0,
+        bySignal: {}
+    };
+
+    function logDetection(entry) {
+        try {
+            ensureDataDir();
+            fs.appendFileSync(LOG_FILE, `${JSON.stringify(entry)}\n`);
+        } catch (err) {
+            console.error('[InjectionDetector] Could not write detection log:', err.message);
+        }
+    }
+
+    /**
+     * Screen an observation, recording and logging any detection
+     * @param {string} observation - Observation text
+     * @param {Object} [context] - { address, tokenId } for the review log
+     * @returns {{ risk: number, level: string, block: boolean, signals: Object[] }}
+     */
+    function screen(observation, { address = null, tokenId = null } = {}) {
+        const result = scoreInjection(observation, blockThreshold);
+        stats.screened++;
+
+        if (result.signals.length === 0) return result;
+
+        stats.flagged++;
+        if (result.block) stats.blocked++;
+        for (const { id } of result.signals) {
+            stats.bySignal[id] = (stats.bySignal[id] || 0) + 1;
+        }
+
+        const signalIds = result.signals.map(s => s.id).join(', ');
+        const message = `[InjectionDetector] ${result.level} risk (${result.risk}) from ${address || 'unknown'} on #${tokenId ?? '?'}: ${signalIds}`;
+        if (result.block) console.warn(message);
+        else console.log(message);
+
+        logDetection({
+            at: new Date().toISOString(),
+            address,
+            tokenId,
+            risk: result.risk,
+            level: result.level,
+            blocked: result.block,
+            signals: result.signals.map(({ id, match }) => ({ id, match })),
+            observation: observation.slice(0, 300)
+        });
+
+        return result;
+    }
+
+    /**
+     * Most recent detections from the review log, newest first
+     * @param {number} [limit] - Maximum entries
+     */
+    function listRecent(limit = 50) {
+        try {
+            if (!fs.existsSync(LOG_FILE)) return [];
+            const lines = fs.readFileSync(LOG_FILE, 'utf8').trim().split('\n').filter(Boolean);
+            return lines.slice(-limit).reverse().map(line => JSON.parse(line));
+        } catch (err) {
+            console.error('[InjectionDetector] Could not read detection log:', err.message);
+            return [];
+        }
+    }
+
+    return {
+        blockThreshold,
+        screen,
+        listRecent,
+        getStats: () => ({ ...stats, bySignal: { ...stats.bySignal } })
+    };
+}
+
+module.exports = {
+    DEFAULT_BLOCK_THRESHOLD,
+    normalizeForScreening,
+    stripInvisible,
+    scoreInjection,
+    createInjectionDetector
+};
@@ -0,0 +1,86 @@
+/**
+ * File-backed JSON Store for After Patmos
+ *
+ * A tiny durable key/value document store for backend state that must
+ * survive restarts (claim lifecycle, indexer checkpoints, admin lists).
+ * The whole document lives in memory and is written atomically
+ * (temp file + rename) on every save, so a crash mid-write never leaves
+ * a truncated file behind.
+ *
+ * Data directory defaults to backend/data and can be moved with DATA_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+/**
+ * Ensure the data directory exists
+ */
+function ensureDataDir() {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+}
+
+/**
+ * Resolve a file name inside the data directory
+ */
+function resolveDataPath(fileName) {
+    return path.join(DATA_DIR, fileName);
+}
+
+/**
+ * Create (or open) a JSON document store
+ * @param {string} fileName - File name inside DATA_DIR (e.g. 'claims.json')
+ * @param {Object} defaults - Initial document when the file does not exist yet
+ * @returns {{ data: Object, save: Function, reload: Function, filePath: string }}
+ */
+function createJsonStore(fileName, defaults = {}) {
+    ensureDataDir();
+    const filePath = resolveDataPath(fileName);
+
+    function read() {
+        try {
+            if (fs.existsSync(filePath)) {
+                const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                return { ...structuredClone(defaults), ...parsed };
+            }
+        } catch (err) {
+            console.error(`[JsonStore] Could not read ${fileName}, starting fresh:`, err.message);
+        }
+        return structuredClone(defaults);
+    }
+
+    const store = {
+        filePath,
+        data: read(),
+
+        /**
+         * Persist the current document atomically
+         */
+        save() {
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(store.data, null, 2));
+            fs.renameSync(tmpPath, filePath);
+        },
+
+        /**
+         * Re-read the document from disk (discarding in-memory changes)
+         */
+        reload() {
+            store.data = read();
+            return store.data;
+        }
+    };
+
+    return store;
+}
+
+module.exports = {
+    DATA_DIR,
+    ensureDataDir,
+    resolveDataPath,
+    createJsonStore
+};
@@ -0,0 +1,151 @@
+/**
+ * Live Feed (Server-Sent Events) for After Patmos
+ *
+ * GET /api/stream keeps a text/event-stream open and pushes what the
+ * backend sees as it happens, so the grid, seals bar and gallery update
+ * tiles in place instead of polling:
+ *
+ *   claim        NFTClaimed indexed (tokenId, claimer, txHash, status)
+ *   observation  observation added, final or rolled back by a reorg
+ *   reservation  fragment held / released / expired
+ *   pause        relayer circuit breaker opened or closed
+ *
+ * Every event carries an incrementing id. The last events are kept in a
+ * ring buffer, so a browser that reconnects (EventSource sends
+ * Last-Event-ID) receives what it missed; if the gap is no longer in the
+ * buffer - or the backend restarted - it receives a `resync` event and
+ * reloads state over the regular endpoints.
+ */
+
+const DEFAULT_HEARTBEAT_INTERVAL = 25 * 1000;  // under common proxy idle timeouts
+const DEFAULT_BUFFER_SIZE = 100;
+const DEFAULT_MAX_CLIENTS = 500;
+
+// Browsers wait this long before reconnecting a dropped stream
+const RECONNECT_DELAY = 5000;
+
+function formatEvent(id, type, data) {
+    return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Create the live feed
+ * @param {Object} [options]
+ * @param {number} [options.heartbeatMs] - Interval of keep-alive comments
+ * @param {number} [options.bufferSize] - Events kept for Last-Event-ID replay
+ * @param {number} [options.maxClients] - Open streams allowed at once
+ * @returns {Object} Feed API
+ */
+function createLiveFeed({
+    heartbeatMs = DEFAULT_HEARTBEAT_INTERVAL,
+    bufferSize = DEFAULT_BUFFER_SIZE,
+    maxClients = DEFAULT_MAX_CLIENTS
+} = {}) {
+    const clients = new Set();
+    const buffer = [];  // { id, frame }, oldest first
+    const published = {};
+    let lastEventId = 0;
+    let heartbeatTimer = null;
+
+    /**
+     * Push an event to every open stream
+     * @param {string} type - Event name (claim, observation, reservation, pause)
+     * @param {Object} data - JSON payload
+     */
+    function publish(type, data) {
+        const id = ++lastEventId;
+        const frame = formatEvent(id, type, data);
+
+        buffer.push({ id, frame });
+        if (buffer.length > bufferSize) buffer.shift();
+        published[type] = (published[type] || 0) + 1;
+
+        for (const res of clients) {
+            res.write(frame);
+        }
+    }
+
+    /**
+     * Events after a client's Last-Event-ID, or null if they are no longer buffered
+     */
+    function missedSince(lastSeenId) {
+        if (lastSeenId > lastEventId) return null;  // ids from before a restart
+        if (lastSeenId === lastEventId) return [];
+        if (buffer.length === 0 || buffer[0].id > lastSeenId + 1) return null;
+        return buffer.filter(event => event.id > lastSeenId);
+    }
+
+    /**
+     * Express handler for GET /api/stream
+     */
+    function handler(req, res) {
+        if (clients.size >= maxClients) {
+            return res.status(503).json({ error: 'Too many live connections - the page will fall back to polling.' });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'  // nginx would otherwise hold events back
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+        const lastSeen = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId, 10);
+        if (!isNaN(lastSeen)) {
+            const missed = missedSince(lastSeen);
+            if (missed) {
+                missed.forEach(event => res.write(event.frame));
+            } else {
+                res.write(formatEvent(lastEventId, 'resync', { lastEventId }));
+            }
+        }
+
+        clients.add(res);
+        req.on('close', () => {
+            clients.delete(res);
+        });
+    }
+
+    function start() {
+        if (heartbeatTimer) return;
+        heartbeatTimer = setInterval(() => {
+            for (const res of clients) {
+                res.write(': heartbeat\n\n');
+            }
+        }, heartbeatMs);
+    }
+
+    /**
+     * Stop the heartbeat and end every open stream
+     */
+    function stop() {
+        if (heartbeatTimer) {
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+        }
+        for (const res of clients) {
+            res.end();
+        }
+        clients.clear();
+    }
+
+    return {
+        publish,
+        handler,
+        start,
+        stop,
+        getStats: () => ({
+            clients: clients.size,
+            maxClients,
+            lastEventId,
+            buffered: buffer.length,
+            published: { ...published }
+        })
+    };
+}
+
+module.exports = {
+    createLiveFeed
+};
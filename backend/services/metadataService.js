@@ -39,8 +39,11 @@ const originalMetadataCache = new Map();
 /**
  * Initialize the metadata service
  * Returns null if owner wallet is not configured
+ * @param {ethers.Provider} provider
+ * @param {Object} [options]
+ * @param {Function} [options.onTransaction] - (tx, details) called when a setTokenURI tx is broadcast
  */
-function initMetadataService(provider) {
+function initMetadataService(provider, { onTransaction = null } = {}) {
     if (!process.env.OWNER_PRIVATE_KEY) {
         console.warn('[MetadataService] OWNER_PRIVATE_KEY not set - metadata updates disabled');
         return null;
@@ -58,7 +61,8 @@ function initMetadataService(provider) {
     return {
         ownerWallet,
         nftContract,
-        provider
+        provider,
+        onTransaction
     };
 }
 
@@ -90,6 +94,19 @@ async function loadArweaveWallet() {
     return null;
 }
 
+/**
+ * Resolve ar:// and ipfs:// URIs to HTTP gateway URLs
+ */
+function toGatewayUrl(uri) {
+    if (uri.startsWith('ar://')) {
+        return `https://arweave.net/${uri.slice(5)}`;
+    }
+    if (uri.startsWith('ipfs://')) {
+        return `https://ipfs.io/ipfs/${uri.slice(7)}`;
+    }
+    return uri;
+}
+
 /**
  * Fetch original metadata for a token
  * Caches result to avoid repeated fetches
@@ -104,14 +121,8 @@ async function fetchOriginalMetadata(tokenId, nftContract) {
         const tokenURI = await nftContract.tokenURI(tokenId);
         console.log(`[MetadataService] Fetched tokenURI for #${tokenId}: ${tokenURI}`);
 
-        let metadataUrl = tokenURI;
-
         // Handle different URI schemes
-        if (tokenURI.startsWith('ar://')) {
-            metadataUrl = `https://arweave.net/${tokenURI.slice(5)}`;
-        } else if (tokenURI.startsWith('ipfs://')) {
-            metadataUrl = `https://ipfs.io/ipfs/${tokenURI.slice(7)}`;
-        }
+        const metadataUrl = toGatewayUrl(tokenURI);
 
         const response = await fetch(metadataUrl);
         if (!response.ok) {
@@ -233,8 +244,9 @@ async function uploadToArweave(metadata, tokenId) {
 /**
  * Update token URI on Manifold contract
  * This requires the owner wallet to have admin rights
+ * @param {Function} [onSubmitted] - (tx) called once the transaction is broadcast
  */
-async function updateManifoldTokenURI(nftContract, tokenId, newUri) {
+async function updateManifoldTokenURI(nftContract, tokenId, newUri, onSubmitted) {
     console.log(`[MetadataService] Updating tokenURI for #${tokenId} to ${newUri}`);
 
     try {
@@ -248,13 +260,25 @@ async function updateManifoldTokenURI(nftContract, tokenId, newUri) {
         });
 
         console.log(`[MetadataService] TX submitted: ${tx.hash}`);
+        if (onSubmitted) {
+            onSubmitted(tx);
+        }
 
-        // Wait for confirmation
-        const receipt = await tx.wait();
+        // Wait for confirmation - a fee-bumped replacement of the same call counts as success
+        let receipt;
+        try {
+            receipt = await tx.wait();
+        } catch (err) {
+            if (err.code !== 'TRANSACTION_REPLACED' || err.reason !== 'repriced' || !err.receipt) {
+                throw err;
+            }
+            console.log(`[MetadataService] TX ${tx.hash} repriced as ${err.hash}`);
+            receipt = err.receipt;
+        }
         console.log(`[MetadataService] TX confirmed in block ${receipt.blockNumber}`);
 
         return {
-            txHash: tx.hash,
+            txHash: receipt.hash,
             blockNumber: receipt.blockNumber,
             gasUsed: receipt.gasUsed.toString()
         };
@@ -303,7 +327,13 @@ async function updateNFTWithObservation(service, tokenId, observation, observer,
     const txResult = await updateManifoldTokenURI(
         service.nftContract,
         tokenId,
-        arweaveResult.uri
+        arweaveResult.uri,
+        service.onTransaction && (tx => service.onTransaction(tx, {
+            kind: 'metadata',
+            address: observer,
+            tokenId,
+            observation
+        }))
     );
 
     return {
@@ -384,6 +414,7 @@ async function verifyOwnerPermissions(service) {
 
 module.exports = {
     initMetadataService,
+    toGatewayUrl,
     fetchOriginalMetadata,
     createObservationMetadata,
     uploadToArweave,
@@ -0,0 +1,435 @@
+/**
+ * Observation Indexer for After Patmos
+ *
+ * Observations live only in NFTClaimed events. Instead of re-reading every
+ * event from block zero (a range most RPC providers refuse), the indexer
+ * keeps a local copy and a checkpoint:
+ *
+ *   lastIndexedBlock  - every block up to here has been scanned
+ *   observations      - tokenId -> first observation inscribed on it
+ *   ledger            - every claimer event (deposits, withdrawals, signer,
+ *                       relayer and ETH movements too), see claimerLedger.js
+ *
+ * Each sync scans forward from the checkpoint to the latest block in bounded
+ * chunks (CLAIMER_INDEX_CHUNK_SIZE), saving after every chunk, so a restart
+ * or an RPC error resumes where it stopped. A chunk the provider rejects as
+ * too large is retried at half the size.
+ *
+ * Reorgs: an observation is 'pending' until its block is INDEXER_CONFIRMATIONS
+ * deep, then 'final'. The hashes of the checkpoint and of every block holding
+ * a pending observation are kept; when the checkpoint's hash no longer matches
+ * the chain, the indexer walks back to the last block that still matches,
+ * drops everything after it and re-ingests that range. Final observations are
+ * never rolled back.
+ *
+ * The first scan starts at the claimer's deployment block (CLAIMER_DEPLOY_BLOCK,
+ * known for the V2 claimer). The index lives in observation-index.json and is
+ * rebuilt from scratch when the claimer address changes.
+ *
+ * onLedgerEntry / onObservation report changes as they are indexed (the live
+ * feed pushes them to browsers).
+ */
+
+const { createJsonStore } = require('./jsonStore');
+const { toLedgerEntry } = require('./claimerLedger');
+
+// Bumped when the stored shape changes, so the index is rebuilt from the deploy block
+const INDEX_SCHEMA = 2;
+
+const DEFAULT_CHUNK_SIZE = 2000;
+const MIN_CHUNK_SIZE = 10;
+
+// Blocks on top of an observation's block before it is final
+const DEFAULT_CONFIRMATIONS = 12;
+
+// How often the indexer catches up with the chain
+const DEFAULT_SYNC_INTERVAL = 60 * 1000;  // 1 minute
+
+// Deployment blocks of known claimers (MIGRATION_V2.md) - add each redeployed claimer here
+const KNOWN_DEPLOY_BLOCKS = {
+    '0x80bdd352510dc5f180fa5c6fa3477b19feb1a807': 23898181
+};
+
+const OBSERVATION_STATUS = {
+    PENDING: 'pending',
+    FINAL: 'final'
+};
+
+/**
+ * Does this RPC error mean the block range (or result set) was too large?
+ */
+function isRangeError(error) {
+    const message = `${error?.message || ''} ${error?.error?.message || ''} ${error?.info?.error?.message || ''}`;
+    return /block range|range (is )?too (large|wide)|too many (blocks|results|logs)|query returned more than|response size|is limited to/i.test(message);
+}
+
+/**
+ * Create the observation indexer
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider - Provider used for block numbers and hashes
+ * @param {ethers.Contract} options.claimerContract - Claimer contract (its ABI must hold every event the ledger records)
+ * @param {number} [options.deployBlock] - First block to scan
+ * @param {number} [options.chunkSize] - Blocks per eth_getLogs request
+ * @param {number} [options.confirmations] - Confirmation depth at which observations are final
+ * @param {number} [options.intervalMs] - Sync interval
+ * @param {Function} [options.onLedgerEntry] - (entry) called for every newly indexed event
+ * @param {Function} [options.onObservation] - (change, observation) with change 'added', 'final' or 'removed'
+ * @returns {Object} Indexer API
+ */
+function createObservationIndexer({
+    provider,
+    claimerContract,
+    deployBlock,
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    confirmations = DEFAULT_CONFIRMATIONS,
+    intervalMs = DEFAULT_SYNC_INTERVAL,
+    onLedgerEntry = () => {},
+    onObservation = () => {}
+}) {
+    const store = createJsonStore('observation-index.json', {
+        schema: null,
+        contract: null,
+        deployBlock: null,
+        lastIndexedBlock: null,
+        blockHashes: {},  // block number -> hash, for blocks that are not final yet
+        observations: {},
+        ledger: {}        // "txHash:logIndex" -> ledger row
+    });
+
+    let contractAddress = null;
+    let startBlock = 0;
+    let currentChunkSize = chunkSize;
+    let syncing = null;
+    let syncTimer = null;
+    let lastSync = { at: null, latestBlock: null, error: null };
+    const reorgs = { detected: 0, observationsRolledBack: 0, lastAt: null, lastForkBlock: null };
+
+    /**
+     * Resolve the claimer address and reset the index if it belongs to another claimer
+     */
+    async function prepare() {
+        if (contractAddress) return;
+
+        contractAddress = (await claimerContract.getAddress()).toLowerCase();
+        const configured = Number.isInteger(deployBlock) ? deployBlock : KNOWN_DEPLOY_BLOCKS[contractAddress];
+        if (configured === undefined) {
+            console.warn('[Indexer] CLAIMER_DEPLOY_BLOCK not set - the first scan starts at block 0');
+        }
+        startBlock = configured ?? 0;
+
+        if (store.data.schema !== INDEX_SCHEMA || store.data.contract !== contractAddress || store.data.deployBlock !== startBlock) {
+            if (store.data.contract) {
+                console.log(`[Indexer] Claimer, deploy block or index format changed - rebuilding the index from block ${startBlock}`);
+            }
+            store.data = {
+                schema: INDEX_SCHEMA,
+                contract: contractAddress,
+                deployBlock: startBlock,
+                lastIndexedBlock: startBlock - 1,
+                blockHashes: {},
+                observations: {},
+                ledger: {}
+            };
+            store.save();
+        }
+    }
+
+    async function blockHash(blockNumber) {
+        const block = await provider.getBlock(blockNumber);
+        return block ? block.hash : null;
+    }
+
+    /**
+     * Record the events of one scanned range: every event in the ledger,
+     * NFTClaimed also as an observation (first observation per token wins)
+     * @returns {Promise<number>} Observations added
+     */
+    async function applyEvents(events) {
+        const timestamps = new Map();  // block number -> timestamp, for events that carry none
+        let added = 0;
+
+        for (const event of events) {
+            if (!event.eventName) continue;  // a log the ABI cannot decode
+
+            if (!timestamps.has(event.blockNumber)) {
+                const block = await provider.getBlock(event.blockNumber);
+                timestamps.set(event.blockNumber, block ? block.timestamp : null);
+            }
+            const entry = toLedgerEntry(event, timestamps.get(event.blockNumber));
+            if (entry && !store.data.ledger[entry.id]) {
+                store.data.ledger[entry.id] = { ...entry, status: OBSERVATION_STATUS.PENDING };
+                store.data.blockHashes[event.blockNumber] = event.blockHash;
+                onLedgerEntry(store.data.ledger[entry.id]);
+            }
+
+            if (event.eventName !== 'NFTClaimed') continue;
+            const tokenId = Number(event.args[1]);
+            if (store.data.observations[tokenId]) continue;
+
+            store.data.observations[tokenId] = {
+                tokenId,
+                observer: event.args[0],
+                observation: event.args[2],
+                timestamp: Number(event.args[3]),
+                txHash: event.transactionHash,
+                blockNumber: event.blockNumber,
+                blockHash: event.blockHash,
+                status: OBSERVATION_STATUS.PENDING
+            };
+            store.data.blockHashes[event.blockNumber] = event.blockHash;
+            added++;
+            onObservation('added', store.data.observations[tokenId]);
+        }
+        return added;
+    }
+
+    /**
+     * Drop everything indexed from a block on, so the range is re-ingested
+     */
+    function rollbackTo(forkBlock) {
+        let removed = 0;
+        for (const [tokenId, observation] of Object.entries(store.data.observations)) {
+            if (observation.blockNumber >= forkBlock && observation.status !== OBSERVATION_STATUS.FINAL) {
+                delete store.data.observations[tokenId];
+                removed++;
+                onObservation('removed', observation);
+            }
+        }
+        for (const [id, entry] of Object.entries(store.data.ledger)) {
+            if (entry.blockNumber >= forkBlock && entry.status !== OBSERVATION_STATUS.FINAL) {
+                delete store.data.ledger[id];
+            }
+        }
+        for (const blockNumber of Object.keys(store.data.blockHashes)) {
+            if (Number(blockNumber) >= forkBlock) delete store.data.blockHashes[blockNumber];
+        }
+        store.data.lastIndexedBlock = forkBlock - 1;
+        store.save();
+
+        reorgs.detected++;
+        reorgs.observationsRolledBack += removed;
+        reorgs.lastAt = Date.now();
+        reorgs.lastForkBlock = forkBlock;
+        console.warn(`[Indexer] Reorg detected - rolled back to block ${forkBlock - 1} (${removed} pending observation(s) removed), re-ingesting`);
+    }
+
+    /**
+     * Compare the tracked hashes with the chain and roll back past a reorg
+     */
+    async function checkForReorg(finalBlock) {
+        const checkpoint = store.data.lastIndexedBlock;
+        const known = store.data.blockHashes[checkpoint];
+        if (!known || await blockHash(checkpoint) === known) return;
+
+        // Walk back through the tracked blocks to the newest one still on the chain
+        const tracked = Object.keys(store.data.blockHashes).map(Number).sort((a, b) => b - a);
+        let forkBlock = null;
+        for (const blockNumber of tracked) {
+            if (blockNumber > checkpoint) continue;
+            if (await blockHash(blockNumber) === store.data.blockHashes[blockNumber]) {
+                forkBlock = blockNumber + 1;
+                break;
+            }
+        }
+
+        if (forkBlock === null) {
+            forkBlock = Math.max(startBlock, finalBlock + 1);
+            console.warn(`[Indexer] No tracked block survived the reorg - re-ingesting from block ${forkBlock}`);
+        }
+        rollbackTo(forkBlock);
+    }
+
+    /**
+     * Mark observations final once deep enough, and forget hashes no reorg can reach
+     */
+    function finalize(finalBlock) {
+        let finalized = 0;
+        for (const observation of Object.values(store.data.observations)) {
+            if (observation.status !== OBSERVATION_STATUS.FINAL && observation.blockNumber <= finalBlock) {
+                observation.status = OBSERVATION_STATUS.FINAL;
+                finalized++;
+                onObservation('final', observation);
+            }
+        }
+        for (const entry of Object.values(store.data.ledger)) {
+            if (entry.status !== OBSERVATION_STATUS.FINAL && entry.blockNumber <= finalBlock) {
+                entry.status = OBSERVATION_STATUS.FINAL;
+            }
+        }
+        for (const blockNumber of Object.keys(store.data.blockHashes)) {
+            if (Number(blockNumber) < finalBlock && Number(blockNumber) !== store.data.lastIndexedBlock) {
+                delete store.data.blockHashes[blockNumber];
+            }
+        }
+        if (finalized > 0) {
+            console.log(`[Indexer] ${finalized} observation(s) final at ${confirmations} confirmations`);
+        }
+    }
+
+    async function scan() {
+        await prepare();
+
+        const latestBlock = await provider.getBlockNumber();
+        const finalBlock = latestBlock - confirmations;
+        await checkForReorg(finalBlock);
+
+        let from = store.data.lastIndexedBlock + 1;
+        let added = 0;
+
+        while (from <= latestBlock) {
+            const to = Math.min(from + currentChunkSize - 1, latestBlock);
+
+            let events;
+            try {
+                events = await claimerContract.queryFilter('*', from, to);
+            } catch (error) {
+                if (isRangeError(error) && currentChunkSize > MIN_CHUNK_SIZE) {
+                    currentChunkSize = Math.max(MIN_CHUNK_SIZE, Math.floor(currentChunkSize / 2));
+                    console.warn(`[Indexer] Provider refused blocks ${from}-${to}, retrying with ${currentChunkSize}-block chunks`);
+                    continue;
+                }
+                throw error;
+            }
+
+            added += await applyEvents(events);
+            // Checkpoints that a reorg could still reach keep their hash
+            if (to > finalBlock) {
+                store.data.blockHashes[to] = await blockHash(to);
+            }
+            store.data.lastIndexedBlock = to;
+            store.save();
+            from = to + 1;
+        }
+
+        finalize(finalBlock);
+        store.save();
+
+        if (added > 0) {
+            console.log(`[Indexer] Indexed ${added} new observation(s) up to block ${latestBlock}`);
+        }
+        lastSync = { at: Date.now(), latestBlock, error: null };
+        return { added, latestBlock };
+    }
+
+    /**
+     * Catch up with the chain (concurrent callers share one scan)
+     * @returns {Promise<{ added: number, latestBlock: number }>}
+     */
+    function sync() {
+        if (!syncing) {
+            syncing = scan()
+                .catch(error => {
+                    console.error(`[Indexer] Sync stopped at block ${store.data.lastIndexedBlock}:`, error.message);
+                    lastSync = { ...lastSync, at: Date.now(), error: error.message };
+                    throw error;
+                })
+                .finally(() => {
+                    syncing = null;
+                });
+        }
+        return syncing;
+    }
+
+    /**
+     * Add confirmation count to an indexed observation
+     */
+    function describe(observation) {
+        return {
+            ...observation,
+            status: observation.status || OBSERVATION_STATUS.PENDING,
+            confirmations: lastSync.latestBlock !== null
+                ? Math.max(0, lastSync.latestBlock - observation.blockNumber + 1)
+                : null
+        };
+    }
+
+    /**
+     * Observation inscribed on a token, if any
+     */
+    function getObservation(tokenId) {
+        const observation = store.data.observations[tokenId];
+        return observation ? describe(observation) : null;
+    }
+
+    /**
+     * Indexed observations, by token ID
+     * @param {Object} [filter]
+     * @param {string} [filter.status] - 'pending' or 'final' (default: both)
+     */
+    function listObservations({ status = null } = {}) {
+        return Object.values(store.data.observations)
+            .map(describe)
+            .filter(observation => !status || observation.status === status)
+            .sort((a, b) => a.tokenId - b.tokenId);
+    }
+
+    /**
+     * Token IDs that carry an observation
+     * @param {Object} [filter] - { status } as for listObservations
+     */
+    function getTokenIds(filter) {
+        return listObservations(filter).map(observation => observation.tokenId);
+    }
+
+    /**
+     * Every ledger row, oldest first
+     */
+    function listLedger() {
+        return Object.values(store.data.ledger)
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+
+    function start() {
+        if (syncTimer) return;
+        sync().catch(() => {});
+        syncTimer = setInterval(() => sync().catch(() => {}), intervalMs);
+    }
+
+    function stop() {
+        if (syncTimer) {
+            clearInterval(syncTimer);
+            syncTimer = null;
+        }
+    }
+
+    return {
+        confirmations,
+        sync,
+        getObservation,
+        listObservations,
+        getTokenIds,
+        listLedger,
+        start,
+        stop,
+        getStats: () => {
+            const observations = Object.values(store.data.observations);
+            const final = observations.filter(o => o.status === OBSERVATION_STATUS.FINAL).length;
+            return {
+                contract: store.data.contract,
+                deployBlock: store.data.deployBlock,
+                lastIndexedBlock: store.data.lastIndexedBlock,
+                latestBlock: lastSync.latestBlock,
+                lagBlocks: lastSync.latestBlock !== null && store.data.lastIndexedBlock !== null
+                    ? Math.max(0, lastSync.latestBlock - store.data.lastIndexedBlock)
+                    : null,
+                confirmations,
+                observations: observations.length,
+                final,
+                pending: observations.length - final,
+                ledgerEntries: Object.keys(store.data.ledger).length,
+                trackedBlockHashes: Object.keys(store.data.blockHashes).length,
+                reorgs: { ...reorgs },
+                chunkSize: currentChunkSize,
+                syncing: !!syncing,
+                lastSyncAt: lastSync.at,
+                lastError: lastSync.error
+            };
+        }
+    };
+}
+
+module.exports = {
+    KNOWN_DEPLOY_BLOCKS,
+    OBSERVATION_STATUS,
+    createObservationIndexer
+};
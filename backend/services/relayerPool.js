@@ -0,0 +1,228 @@
+/**
+ * Relayer Wallet Pool for After Patmos
+ *
+ * Spreads relay transactions across several relayer keys (RELAYER_PRIVATE_KEYS),
+ * each of which must be whitelisted on the claimer contract (setRelayer).
+ *
+ * - Every key has its own transaction queue, so nonces are tracked per key
+ * - Jobs are assigned round-robin across keys that are active and healthy
+ * - Conflict keys (token / recipient) are enforced across the whole pool
+ * - Admins can drain a key out of rotation (e.g. for rotation or top-up)
+ *   and restore it later without restarting; drained keys are persisted
+ * - A key that keeps failing to send is benched for a cooldown period
+ */
+
+const { createRelayerQueue } = require('./relayerQueue');
+const { createJsonStore } = require('./jsonStore');
+const { RelaySimulationError } = require('./txSimulator');
+
+// Consecutive send failures before a key is benched
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+// How long a benched key sits out before it is tried again
+const UNHEALTHY_COOLDOWN = 5 * 60 * 1000;  // 5 minutes
+
+/**
+ * Create the relayer pool
+ * @param {Object} options
+ * @param {ethers.Wallet[]} options.wallets - Relayer wallets (connected to a provider)
+ * @param {ethers.Contract} [options.claimerContract] - Claimer contract, used to verify whitelisting
+ * @param {Function} [options.isUsable] - (address) => boolean; extra gate (e.g. balance not critical)
+ * @param {Object} [options.queueOptions] - Passed to each key's createRelayerQueue
+ * @returns {Object} Pool API
+ */
+function createRelayerPool({ wallets, claimerContract = null, isUsable = () => true, queueOptions = {} }) {
+    const store = createJsonStore('relayer-pool.json', { drained: [] });
+    const entries = wallets.map(wallet => ({
+        wallet,
+        queue: createRelayerQueue(wallet, queueOptions),
+        authorized: null,          // null = not verified yet
+        sent: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        unhealthyUntil: null,
+        lastError: null
+    }));
+    let cursor = 0;
+
+    function findEntry(address) {
+        const needle = address.toLowerCase();
+        return entries.find(e => e.wallet.address.toLowerCase() === needle) || null;
+    }
+
+    function isDrained(entry) {
+        return store.data.drained.includes(entry.wallet.address.toLowerCase());
+    }
+
+    function isHealthy(entry) {
+        return entry.unhealthyUntil === null || Date.now() >= entry.unhealthyUntil;
+    }
+
+    function isAvailable(entry) {
+        return !isDrained(entry) &&
+            entry.authorized !== false &&
+            isHealthy(entry) &&
+            isUsable(entry.wallet.address);
+    }
+
+    /**
+     * Check each key's whitelisting on the claimer contract
+     * Falls back to signer() for contracts deployed before the relayer whitelist
+     */
+    async function verifyAuthorization() {
+        if (!claimerContract) return;
+
+        for (const entry of entries) {
+            try {
+                entry.authorized = await claimerContract.isRelayer(entry.wallet.address);
+            } catch (err) {
+                try {
+                    const signerAddress = await claimerContract.signer();
+                    entry.authorized = signerAddress.toLowerCase() === entry.wallet.address.toLowerCase();
+                } catch (fallbackErr) {
+                    console.error(`[RelayerPool] Could not verify ${entry.wallet.address}:`, fallbackErr.message);
+                    continue;
+                }
+            }
+
+            if (!entry.authorized) {
+                console.warn(`[RelayerPool] ${entry.wallet.address} is not whitelisted on the claimer - skipping it`);
+            }
+        }
+    }
+
+    /**
+     * Next available key, round-robin
+     */
+    function selectEntry() {
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[(cursor + i) % entries.length];
+            if (isAvailable(entry)) {
+                cursor = (cursor + i + 1) % entries.length;
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    function recordSuccess(entry) {
+        entry.sent++;
+        entry.consecutiveFailures = 0;
+        entry.unhealthyUntil = null;
+    }
+
+    function recordFailure(entry, error) {
+        entry.lastError = error.shortMessage || error.message;
+
+        // A revert says nothing about the key - only count send-side failures
+        if (error instanceof RelaySimulationError || error.code === 'CALL_EXCEPTION' || error.code === 'RELAY_IN_FLIGHT') return;
+
+        entry.failures++;
+        entry.consecutiveFailures++;
+        if (entry.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+            entry.unhealthyUntil = Date.now() + UNHEALTHY_COOLDOWN;
+            console.error(`[RelayerPool] ${entry.wallet.address} failed ${entry.consecutiveFailures} sends in a row - benched for ${UNHEALTHY_COOLDOWN / 60000} minutes`);
+        }
+    }
+
+    /**
+     * Queue a relay transaction on the next available key
+     * @param {Object} job - { label, keys, send: async ({ nonce, wallet }) => TransactionResponse }
+     * @returns {Promise<ethers.TransactionResponse>}
+     */
+    function enqueue({ label, keys = [], send }) {
+        const conflict = keys.find(key => entries.some(e => e.queue.isInFlight(key)));
+        if (conflict) {
+            const error = new Error(`Relay already in flight for ${conflict}`);
+            error.code = 'RELAY_IN_FLIGHT';
+            return Promise.reject(error);
+        }
+
+        const entry = selectEntry();
+        if (!entry) {
+            const error = new Error('No relayer available (all keys drained, unhealthy or unfunded)');
+            error.code = 'NO_RELAYER_AVAILABLE';
+            return Promise.reject(error);
+        }
+
+        return entry.queue.enqueue({ label, keys, send }).then(tx => {
+            recordSuccess(entry);
+            return tx;
+        }, error => {
+            recordFailure(entry, error);
+            throw error;
+        });
+    }
+
+    /**
+     * Take a key out of rotation (in-flight transactions still complete)
+     * @returns {boolean} False if the address is not in the pool
+     */
+    function drain(address) {
+        const entry = findEntry(address);
+        if (!entry) return false;
+
+        if (!isDrained(entry)) {
+            store.data.drained.push(entry.wallet.address.toLowerCase());
+            store.save();
+            console.warn(`[RelayerPool] ${entry.wallet.address} drained from rotation`);
+        }
+        return true;
+    }
+
+    /**
+     * Put a drained (or benched) key back into rotation
+     * @returns {boolean} False if the address is not in the pool
+     */
+    function restore(address) {
+        const entry = findEntry(address);
+        if (!entry) return false;
+
+        store.data.drained = store.data.drained.filter(a => a !== entry.wallet.address.toLowerCase());
+        store.save();
+        entry.consecutiveFailures = 0;
+        entry.unhealthyUntil = null;
+        console.log(`[RelayerPool] ${entry.wallet.address} restored to rotation`);
+        return true;
+    }
+
+    function describe(entry) {
+        return {
+            ...entry.queue.getStats(),
+            authorized: entry.authorized,
+            drained: isDrained(entry),
+            healthy: isHealthy(entry),
+            available: isAvailable(entry),
+            sent: entry.sent,
+            failures: entry.failures,
+            lastError: entry.lastError
+        };
+    }
+
+    return {
+        wallets: entries.map(e => e.wallet),
+        addresses: entries.map(e => e.wallet.address),
+        enqueue,
+        drain,
+        restore,
+        verifyAuthorization,
+        has: (address) => !!findEntry(address),
+        describe: (address) => {
+            const entry = findEntry(address);
+            return entry ? describe(entry) : null;
+        },
+        getStats: () => {
+            const relayers = entries.map(describe);
+            return {
+                size: relayers.length,
+                available: relayers.filter(r => r.available).length,
+                relayers
+            };
+        }
+    };
+}
+
+module.exports = {
+    MAX_CONSECUTIVE_FAILURES,
+    createRelayerPool
+};
@@ -0,0 +1,198 @@
+/**
+ * Relayer Transaction Queue for After Patmos
+ *
+ * Every relay transaction (claims and gallery observations) goes through a
+ * single queue per relayer wallet so that:
+ * 1. Nonces are assigned locally and never collide between concurrent requests
+ * 2. Sends are serialized - each job broadcasts before the next one starts,
+ *    without waiting for mining (pipelined)
+ * 3. "nonce too low" errors resync from the chain and retry safely
+ * 4. Two jobs touching the same token or recipient cannot both be in flight
+ *
+ * Conflict keys are held until the transaction's nonce is consumed on-chain
+ * (by the original or a fee-bumped replacement), or until a hard timeout for
+ * transactions that were dropped from the mempool and will never settle.
+ */
+
+// How many times a job is retried after a nonce-too-low error
+const MAX_NONCE_RETRIES = 3;
+
+// How often a held transaction's nonce is checked against the chain
+const DEFAULT_KEY_POLL_INTERVAL = 30 * 1000;  // 30 seconds
+
+// Longest a sent transaction may hold its conflict keys
+const DEFAULT_KEY_HOLD_TIMEOUT = 30 * 60 * 1000;  // 30 minutes
+
+/**
+ * Check whether an error means our local nonce fell behind the chain
+ */
+function isNonceTooLow(error) {
+    if (!error) return false;
+    if (error.code === 'NONCE_EXPIRED') return true;
+    const message = `${error.message || ''} ${error.info?.error?.message || ''}`;
+    return /nonce too low|nonce has already been used/i.test(message);
+}
+
+/**
+ * Create a transaction queue for one relayer wallet
+ * @param {ethers.Wallet} wallet - Relayer wallet (connected to a provider)
+ * @param {Object} [options]
+ * @param {number} [options.keyPollIntervalMs] - Nonce check interval while keys are held
+ * @param {number} [options.keyHoldTimeoutMs] - Hard limit on how long a sent transaction holds its keys
+ * @returns {Object} Queue API
+ */
+function createRelayerQueue(wallet, {
+    keyPollIntervalMs = DEFAULT_KEY_POLL_INTERVAL,
+    keyHoldTimeoutMs = DEFAULT_KEY_HOLD_TIMEOUT
+} = {}) {
+    let nextNonce = null;
+    let tail = Promise.resolve();
+    let pendingJobs = 0;
+    const inFlightKeys = new Map();  // conflict key -> label of the job holding it
+
+    /**
+     * Re-read the next nonce from the chain (including mempool transactions)
+     */
+    async function syncNonce() {
+        nextNonce = await wallet.provider.getTransactionCount(wallet.address, 'pending');
+        return nextNonce;
+    }
+
+    function releaseKeys(keys) {
+        for (const key of keys) {
+            inFlightKeys.delete(key);
+        }
+    }
+
+    /**
+     * Keep a sent transaction's conflict keys until it settles: mined (wait
+     * resolves), replaced (its nonce is consumed by another hash) or given up
+     * on after the hold timeout (dropped transactions never settle)
+     */
+    function holdUntilSettled({ tx, nonce, keys, label }) {
+        let settled = false;
+        let pollTimer = null;
+        let timeoutTimer = null;
+
+        function settle() {
+            if (settled) return;
+            settled = true;
+            clearInterval(pollTimer);
+            clearTimeout(timeoutTimer);
+            releaseKeys(keys);
+        }
+
+        Promise.resolve()
+            .then(() => tx.wait())
+            .catch(() => {})
+            .finally(settle);
+
+        pollTimer = setInterval(async () => {
+            try {
+                const confirmed = await wallet.provider.getTransactionCount(wallet.address, 'latest');
+                if (confirmed > nonce) settle();
+            } catch (err) {
+                // Transient RPC failure - the next poll or the timeout decides
+            }
+        }, keyPollIntervalMs);
+
+        timeoutTimer = setTimeout(() => {
+            if (settled) return;
+            console.warn(`[RelayerQueue] ${label} (${tx.hash}) unsettled after ${Math.round(keyHoldTimeoutMs / 60000)} minutes - releasing ${keys.join(', ')}`);
+            settle();
+        }, keyHoldTimeoutMs);
+
+        // Timers must not keep the process alive on shutdown
+        pollTimer.unref?.();
+        timeoutTimer.unref?.();
+    }
+
+    async function runJob({ label, keys, send }) {
+        let handedOff = false;
+
+        try {
+            if (nextNonce === null) {
+                await syncNonce();
+            }
+
+            for (let attempt = 0; ; attempt++) {
+                const nonce = nextNonce;
+
+                try {
+                    const tx = await send({ nonce, wallet });
+                    nextNonce = nonce + 1;
+
+                    console.log(`[RelayerQueue] ${label} sent with nonce ${nonce}: ${tx.hash}`);
+
+                    holdUntilSettled({ tx, nonce, keys, label });
+                    handedOff = true;
+                    return tx;
+
+                } catch (error) {
+                    if (isNonceTooLow(error) && attempt < MAX_NONCE_RETRIES) {
+                        const synced = await syncNonce();
+                        console.warn(`[RelayerQueue] ${label} nonce ${nonce} too low, resynced to ${synced} (retry ${attempt + 1}/${MAX_NONCE_RETRIES})`);
+                        continue;
+                    }
+
+                    // The send never reached the mempool, so the nonce is still free - resync to be safe
+                    await syncNonce().catch(() => {});
+                    throw error;
+                }
+            }
+        } finally {
+            // Anything that failed before a transaction was broadcast (including a nonce sync) frees its keys
+            if (!handedOff) {
+                releaseKeys(keys);
+            }
+        }
+    }
+
+    /**
+     * Queue a relay transaction
+     * @param {Object} job
+     * @param {string} job.label - Human-readable label for logs
+     * @param {string[]} [job.keys] - Conflict keys (e.g. 'token:5'); a job is rejected while another holds one
+     * @param {Function} job.send - async ({ nonce, wallet }) => TransactionResponse
+     * @returns {Promise<ethers.TransactionResponse>}
+     */
+    function enqueue({ label, keys = [], send }) {
+        const conflict = keys.find(key => inFlightKeys.has(key));
+        if (conflict) {
+            const error = new Error(`Relay already in flight for ${conflict} (${inFlightKeys.get(conflict)})`);
+            error.code = 'RELAY_IN_FLIGHT';
+            return Promise.reject(error);
+        }
+
+        for (const key of keys) {
+            inFlightKeys.set(key, label);
+        }
+
+        pendingJobs++;
+        const job = tail.then(() => runJob({ label, keys, send }));
+        tail = job.catch(() => {}).finally(() => { pendingJobs--; });
+        return job;
+    }
+
+    return {
+        address: wallet.address,
+        wallet,
+        enqueue,
+        syncNonce,
+        isInFlight: (key) => inFlightKeys.has(key),
+        getStats: () => ({
+            address: wallet.address,
+            nextNonce,
+            pendingJobs,
+            inFlight: Array.from(inFlightKeys.keys())
+        })
+    };
+}
+
+module.exports = {
+    MAX_NONCE_RETRIES,
+    DEFAULT_KEY_POLL_INTERVAL,
+    DEFAULT_KEY_HOLD_TIMEOUT,
+    isNonceTooLow,
+    createRelayerQueue
+};
@@ -0,0 +1,174 @@
+/**
+ * Token Reservation Service for After Patmos
+ *
+ * Opening a fragment in the claim modal places a short-lived hold on it,
+ * so two observers are never evaluated for the same piece at once.
+ * Holds expire on their own (TTL) and are refreshed while the observer is
+ * still working on their observation. Each address holds at most one
+ * fragment, so one wallet cannot keep the whole grid reserved.
+ *
+ * Holds live in memory - like Guardian failure tracking, they are short-lived
+ * and it is fine for a restart to clear them.
+ *
+ * onChange reports every hold that starts or ends (released or expired);
+ * a sweep finds expired holds nobody has asked about.
+ */
+
+const crypto = require('crypto');
+
+// Default hold duration (5 minutes)
+const DEFAULT_RESERVATION_TTL = 5 * 60 * 1000;
+
+// How often expired holds are swept
+const DEFAULT_SWEEP_INTERVAL = 30 * 1000;
+
+/**
+ * Create the reservation service
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - Hold duration in milliseconds
+ * @param {Function} [options.onChange] - (tokenId, hold) when a hold starts, or (tokenId, null) when it ends
+ * @param {number} [options.sweepIntervalMs] - Expiry sweep interval
+ * @returns {Object} Reservation API
+ */
+function createReservationService({
+    ttlMs = DEFAULT_RESERVATION_TTL,
+    onChange = () => {},
+    sweepIntervalMs = DEFAULT_SWEEP_INTERVAL
+} = {}) {
+    const holds = new Map();  // tokenId -> { reservationId, address, expiresAt }
+    let sweepTimer = null;
+
+    function getActiveHold(tokenId) {
+        const hold = holds.get(tokenId);
+        if (!hold) return null;
+
+        if (hold.expiresAt !== null && Date.now() >= hold.expiresAt) {
+            holds.delete(tokenId);
+            onChange(tokenId, null);
+            return null;
+        }
+        return hold;
+    }
+
+    /**
+     * The token an address currently holds, if any
+     */
+    function findHoldByAddress(address) {
+        for (const tokenId of Array.from(holds.keys())) {
+            const hold = getActiveHold(tokenId);
+            if (hold && hold.address === address) {
+                return { tokenId, hold };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Acquire (or refresh) a hold on a token
+     * An address holds one fragment at a time - moving to another fragment
+     * gives up the previous hold, unless that hold is pinned to a waiting claim
+     * @param {number} tokenId - Token to hold
+     * @param {string} address - Observer address (the signed-in wallet)
+     * @param {string} [reservationId] - Existing reservation to refresh
+     * @returns {{ acquired: boolean, reservationId?: string, expiresAt?: number, pinnedTokenId?: number }}
+     */
+    function acquire(tokenId, address, reservationId) {
+        if (!address) {
+            throw new Error('A reservation needs the holder address');
+        }
+        const holder = address.toLowerCase();
+        const hold = getActiveHold(tokenId);
+
+        if (hold && (hold.reservationId !== reservationId || hold.address !== holder)) {
+            return { acquired: false, expiresAt: hold.expiresAt };
+        }
+
+        if (!hold) {
+            const previous = findHoldByAddress(holder);
+            if (previous && previous.hold.expiresAt === null) {
+                return { acquired: false, expiresAt: null, pinnedTokenId: previous.tokenId };
+            }
+            if (previous) {
+                holds.delete(previous.tokenId);
+                onChange(previous.tokenId, null);
+            }
+        }
+
+        const next = {
+            reservationId: hold ? hold.reservationId : crypto.randomUUID(),
+            address: holder,
+            expiresAt: hold && hold.expiresAt === null ? null : Date.now() + ttlMs
+        };
+        holds.set(tokenId, next);
+        if (!hold) onChange(tokenId, next);
+
+        return { acquired: true, reservationId: next.reservationId, expiresAt: next.expiresAt };
+    }
+
+    /**
+     * Extend a hold indefinitely (e.g. while a claim is waiting to be relayed)
+     */
+    function pin(tokenId, reservationId) {
+        const hold = getActiveHold(tokenId);
+        if (!hold || hold.reservationId !== reservationId) return false;
+        hold.expiresAt = null;
+        return true;
+    }
+
+    /**
+     * Release a hold (only by its holder)
+     * @param {number} tokenId - Held token
+     * @param {string} reservationId - Reservation being released
+     * @param {string} [address] - When given, must match the holder
+     */
+    function release(tokenId, reservationId, address) {
+        const hold = getActiveHold(tokenId);
+        if (!hold || hold.reservationId !== reservationId) return false;
+        if (address && hold.address !== address.toLowerCase()) return false;
+        holds.delete(tokenId);
+        onChange(tokenId, null);
+        return true;
+    }
+
+    /**
+     * All currently held token IDs
+     */
+    function listHeld() {
+        const held = [];
+        for (const tokenId of Array.from(holds.keys())) {
+            const hold = getActiveHold(tokenId);
+            if (hold) {
+                held.push({ tokenId, expiresAt: hold.expiresAt });
+            }
+        }
+        return held.sort((a, b) => a.tokenId - b.tokenId);
+    }
+
+    function start() {
+        if (sweepTimer) return;
+        // listHeld drops (and reports) every expired hold
+        sweepTimer = setInterval(listHeld, sweepIntervalMs);
+    }
+
+    function stop() {
+        if (sweepTimer) {
+            clearInterval(sweepTimer);
+            sweepTimer = null;
+        }
+    }
+
+    return {
+        ttlMs,
+        acquire,
+        pin,
+        release,
+        listHeld,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    DEFAULT_RESERVATION_TTL,
+    createReservationService
+};
@@ -0,0 +1,239 @@
+/**
+ * Observation Similarity Index for After Patmos
+ *
+ * Catches pasted or lightly reworded observations before they reach the
+ * Guardian. Every observation is reduced to character shingles (5-grams of
+ * its normalized text) and a MinHash signature, so comparing a submission
+ * with the whole corpus is a cheap local signature comparison:
+ *
+ *   jaccard      - how much of the two texts overlap overall
+ *   containment  - how much of an existing observation appears inside the
+ *                  submission (catches a copied observation padded with new words)
+ *
+ * The higher of the two is the similarity. At or above the reject threshold
+ * the submission is refused with the matching source named; at or above the
+ * flag threshold it is evaluated, but the Guardian is shown the observation
+ * it resembles.
+ *
+ * The corpus is supplied by the caller (inscribed observations from
+ * NFTClaimed events plus approved claims still on their way on-chain).
+ * Text from the submitting address itself is never counted against it.
+ */
+
+const { normalizeForScreening } = require('./injectionDetector');
+
+const DEFAULT_REJECT_THRESHOLD = 0.7;
+const DEFAULT_FLAG_THRESHOLD = 0.45;
+
+const SHINGLE_SIZE = 5;
+const NUM_HASHES = 128;
+
+// Containment only counts for sources long enough not to be a common phrase
+const MIN_CONTAINMENT_SHINGLES = 30;
+
+/**
+ * 32-bit finalizer (MurmurHash3 fmix32)
+ */
+function mix32(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * 32-bit FNV-1a of a string
+ */
+function fnv1a(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// One seed per hash function - fixed, so signatures are stable across restarts
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix32(i + 0x9e3779b9));
+
+/**
+ * Lowercase, fold homoglyphs / invisibles, drop punctuation, collapse whitespace
+ */
+function normalizeText(text) {
+    return normalizeForScreening(text)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Set of hashed character shingles
+ */
+function shingle(text) {
+    const normalized = normalizeText(text);
+    const shingles = new Set();
+    if (normalized.length <= SHINGLE_SIZE) {
+        if (normalized) shingles.add(fnv1a(normalized));
+        return shingles;
+    }
+    for (let i = 0; i <= normalized.length - SHINGLE_SIZE; i++) {
+        shingles.add(fnv1a(normalized.slice(i, i + SHINGLE_SIZE)));
+    }
+    return shingles;
+}
+
+/**
+ * MinHash signature of an observation
+ * @returns {{ signature: Uint32Array, size: number }}
+ */
+function minhash(text) {
+    const shingles = shingle(text);
+    const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+    for (const value of shingles) {
+        for (let i = 0; i < NUM_HASHES; i++) {
+            const h = mix32(value ^ SEEDS[i]);
+            if (h < signature[i]) signature[i] = h;
+        }
+    }
+    return { signature, size: shingles.size };
+}
+
+/**
+ * Compare two MinHash sketches
+ * @returns {{ jaccard: number, containment: number }} containment of b inside a
+ */
+function compare(a, b) {
+    if (a.size === 0 || b.size === 0) return { jaccard: 0, containment: 0 };
+
+    let equal = 0;
+    for (let i = 0; i < NUM_HASHES; i++) {
+        if (a.signature[i] === b.signature[i]) equal++;
+    }
+    const jaccard = equal / NUM_HASHES;
+
+    // |A ∩ B| recovered from the Jaccard estimate and the set sizes
+    const intersection = jaccard * (a.size + b.size) / (1 + jaccard);
+    const containment = b.size >= MIN_CONTAINMENT_SHINGLES
+        ? Math.min(1, intersection / b.size)
+        : 0;
+
+    return { jaccard, containment };
+}
+
+/**
+ * Create the similarity index
+ * @param {Object} options
+ * @param {Function} options.loadCorpus - async () => [{ text, tokenId, observer, source }]
+ * @param {number} [options.rejectThreshold] - Similarity at or above which a submission is refused
+ * @param {number} [options.flagThreshold] - Similarity at or above which the Guardian is told what it resembles
+ * @returns {Object} Similarity API
+ */
+function createSimilarityIndex({
+    loadCorpus,
+    rejectThreshold = DEFAULT_REJECT_THRESHOLD,
+    flagThreshold = DEFAULT_FLAG_THRESHOLD
+}) {
+    let sketches = new Map();  // text -> sketch, rebuilt from each corpus load
+    const stats = { checked: 0, flagged: 0, rejected: 0, corpusSize: 0 };
+
+    function sketchOf(text) {
+        return sketches.get(text) || minhash(text);
+    }
+
+    function describeSource(entry) {
+        const fragment = entry.tokenId != null ? `Fragment #${entry.tokenId}` : 'another fragment';
+        return entry.source === 'inscribed'
+            ? `an observation already inscribed on ${fragment}`
+            : `an observation awaiting inscription on ${fragment}`;
+    }
+
+    /**
+     * Compare a submission with every observation in the corpus
+     * @param {string} observation - Submitted text
+     * @param {Object} [context]
+     * @param {string} [context.address] - Submitting address (its own words are skipped)
+     * @returns {Promise<Object>} { level: 'none'|'flag'|'reject', similarity, match, reason }
+     */
+    async function check(observation, { address = null } = {}) {
+        const corpus = await loadCorpus();
+        const own = address ? address.toLowerCase() : null;
+
+        const nextSketches = new Map();
+        for (const entry of corpus) {
+            if (entry.text && !nextSketches.has(entry.text)) {
+                nextSketches.set(entry.text, sketchOf(entry.text));
+            }
+        }
+        sketches = nextSketches;
+        stats.corpusSize = sketches.size;
+        stats.checked++;
+
+        const submission = minhash(observation);
+        let best = null;
+        for (const entry of corpus) {
+            if (!entry.text) continue;
+            if (own && entry.observer && entry.observer.toLowerCase() === own) continue;
+
+            const { jaccard, containment } = compare(submission, sketches.get(entry.text));
+            const similarity = Math.max(jaccard, containment);
+            if (!best || similarity > best.similarity) {
+                best = { similarity, jaccard, containment, entry };
+            }
+        }
+
+        if (!best || best.similarity < flagThreshold) {
+            return { level: 'none', similarity: best ? round(best.similarity) : 0, match: null, reason: null };
+        }
+
+        const percent = Math.round(best.similarity * 100);
+        const match = {
+            source: best.entry.source,
+            tokenId: best.entry.tokenId ?? null,
+            observation: best.entry.text,
+            jaccard: round(best.jaccard),
+            containment: round(best.containment)
+        };
+
+        if (best.similarity >= rejectThreshold) {
+            stats.rejected++;
+            console.warn(`[Similarity] Rejected near-duplicate from ${address || 'unknown'}: ${percent}% similar to ${match.source} #${match.tokenId ?? '?'}`);
+            return {
+                level: 'reject',
+                similarity: round(best.similarity),
+                match,
+                reason: `Your words closely echo ${describeSource(best.entry)} (${percent}% similar). The Guardian seeks your own perception - describe what you see.`
+            };
+        }
+
+        stats.flagged++;
+        console.log(`[Similarity] Flagged ${address || 'unknown'}: ${percent}% similar to ${match.source} #${match.tokenId ?? '?'}`);
+        return {
+            level: 'flag',
+            similarity: round(best.similarity),
+            match,
+            reason: `Your words resemble ${describeSource(best.entry)} (${percent}% similar).`
+        };
+    }
+
+    return {
+        rejectThreshold,
+        flagThreshold,
+        check,
+        getStats: () => ({ ...stats, rejectThreshold, flagThreshold })
+    };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    DEFAULT_REJECT_THRESHOLD,
+    DEFAULT_FLAG_THRESHOLD,
+    minhash,
+    compare,
+    createSimilarityIndex
+};
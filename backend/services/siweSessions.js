@@ -0,0 +1,293 @@
+/**
+ * Sign-In With Ethereum (EIP-4361) Sessions for After Patmos
+ *
+ * Claims and gallery observations act for an address, so the caller must
+ * prove they control it. The wallet signs a standard SIWE message and
+ * receives a session token:
+ *
+ *   GET  /api/siwe/nonce   -> single-use nonce (10 minutes)
+ *   POST /api/siwe/verify  -> { message, signature } -> session token
+ *   ...  Authorization: Bearer <session token> on claim routes
+ *
+ * A message is accepted only when its domain is one of ours, its chain ID
+ * and version match, its nonce was issued here and is unused, its time
+ * bounds (Issued At / Expiration Time / Not Before) hold, and the signature
+ * recovers to the EIP-55 address in the message.
+ *
+ * Sessions are stored by token hash in siwe-sessions.json, so a restart
+ * does not sign everyone out; nonces live in memory, capped in number (the
+ * oldest outstanding nonce gives way), since anyone may ask for one.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { createJsonStore } = require('./jsonStore');
+
+const NONCE_TTL = 10 * 60 * 1000;            // 10 minutes
+const DEFAULT_SESSION_TTL = 24 * 60 * 60 * 1000;  // 24 hours
+
+// Outstanding nonces kept at once
+const DEFAULT_MAX_PENDING_NONCES = 10000;
+
+// Tolerated clock difference for Issued At / Not Before
+const CLOCK_SKEW = 5 * 60 * 1000;  // 5 minutes
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+/**
+ * Parse an EIP-4361 message
+ * @param {string} message - Message as signed
+ * @returns {Object|null} Fields, or null if the message is malformed
+ */
+function parseSiweMessage(message) {
+    if (typeof message !== 'string') return null;
+    const lines = message.split('\n');
+
+    if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) return null;
+    const domain = lines[0].slice(0, -HEADER_SUFFIX.length).replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+    const address = lines[1];
+    if (!domain || !address || lines[2] !== '') return null;
+
+    let i = 3;
+    let statement = null;
+    if (lines[i] !== '') {
+        statement = lines[i];
+        i++;
+    }
+    if (lines[i] !== '') return null;
+    i++;
+
+    const fields = {};
+    let resources = [];
+    for (; i < lines.length; i++) {
+        if (lines[i] === 'Resources:') {
+            resources = lines.slice(i + 1).map(line => line.replace(/^- /, ''));
+            break;
+        }
+        const field = lines[i].match(/^([A-Za-z ]+): (.+)$/);
+        if (!field) return null;
+        fields[field[1]] = field[2];
+    }
+
+    return {
+        domain,
+        address,
+        statement,
+        uri: fields.URI,
+        version: fields.Version,
+        chainId: Number(fields['Chain ID']),
+        nonce: fields.Nonce,
+        issuedAt: fields['Issued At'],
+        expirationTime: fields['Expiration Time'] || null,
+        notBefore: fields['Not Before'] || null,
+        requestId: fields['Request ID'] || null,
+        resources
+    };
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create the SIWE session service
+ * @param {Object} options
+ * @param {string[]} options.domains - Accepted message domains (host[:port] of the frontend)
+ * @param {number} [options.chainId] - Chain the message must name
+ * @param {number} [options.sessionTtlMs] - Session lifetime
+ * @param {number} [options.maxPendingNonces] - Outstanding nonces kept at once
+ * @returns {Object} Session API
+ */
+function createSiweSessions({
+    domains,
+    chainId = 1,
+    sessionTtlMs = DEFAULT_SESSION_TTL,
+    maxPendingNonces = DEFAULT_MAX_PENDING_NONCES
+}) {
+    const store = createJsonStore('siwe-sessions.json', { sessions: {} });
+    const nonces = new Map();  // nonce -> expiresAt
+    const stats = { signIns: 0, noncesEvicted: 0, rejected: {} };
+
+    function sweep() {
+        const now = Date.now();
+        for (const [nonce, expiresAt] of nonces) {
+            if (now >= expiresAt) nonces.delete(nonce);
+        }
+        let pruned = false;
+        for (const [hash, session] of Object.entries(store.data.sessions)) {
+            if (now >= session.expiresAt) {
+                delete store.data.sessions[hash];
+                pruned = true;
+            }
+        }
+        if (pruned) store.save();
+    }
+
+    function reject(code, error) {
+        stats.rejected[code] = (stats.rejected[code] || 0) + 1;
+        return { error, code };
+    }
+
+    /**
+     * Issue a single-use nonce for a SIWE message
+     */
+    function issueNonce() {
+        sweep();
+
+        // Maps iterate in insertion order, so the first key is the oldest nonce
+        while (nonces.size >= maxPendingNonces) {
+            nonces.delete(nonces.keys().next().value);
+            stats.noncesEvicted++;
+        }
+
+        const nonce = crypto.randomBytes(12).toString('hex');
+        const expiresAt = Date.now() + NONCE_TTL;
+        nonces.set(nonce, expiresAt);
+        return { nonce, expiresAt };
+    }
+
+    /**
+     * Verify a signed SIWE message and open a session
+     * @param {string} message - EIP-4361 message
+     * @param {string} signature - personal_sign signature of the message
+     * @returns {{ token?: string, address?: string, expiresAt?: number, error?: string, code?: string }}
+     */
+    function verify(message, signature) {
+        const fields = parseSiweMessage(message);
+        if (!fields || !fields.uri || !fields.nonce || !fields.issuedAt) {
+            return reject('MALFORMED', 'Not a valid Sign-In With Ethereum message');
+        }
+
+        // Nonces are single-use whatever the outcome
+        const nonceExpiry = nonces.get(fields.nonce);
+        nonces.delete(fields.nonce);
+        if (!nonceExpiry || Date.now() >= nonceExpiry) {
+            return reject('NONCE', 'Unknown or expired nonce - request a new one');
+        }
+
+        if (!domains.includes(fields.domain)) {
+            return reject('DOMAIN', `Messages for ${fields.domain} are not accepted here`);
+        }
+        if (fields.version !== '1') {
+            return reject('VERSION', 'Unsupported SIWE version');
+        }
+        if (fields.chainId !== chainId) {
+            return reject('CHAIN', `Sign in on chain ${chainId}`);
+        }
+
+        let address;
+        try {
+            address = ethers.getAddress(fields.address);
+        } catch (err) {
+            address = null;
+        }
+        if (!address || address !== fields.address) {
+            return reject('ADDRESS', 'The message address must be an EIP-55 checksummed address');
+        }
+
+        const now = Date.now();
+        const issuedAt = Date.parse(fields.issuedAt);
+        const expirationTime = fields.expirationTime ? Date.parse(fields.expirationTime) : null;
+        const notBefore = fields.notBefore ? Date.parse(fields.notBefore) : null;
+        if (Number.isNaN(issuedAt) || issuedAt > now + CLOCK_SKEW || issuedAt < now - NONCE_TTL - CLOCK_SKEW) {
+            return reject('TIME', 'Issued At is out of range');
+        }
+        if (expirationTime !== null && (Number.isNaN(expirationTime) || expirationTime <= now)) {
+            return reject('TIME', 'The message has expired');
+        }
+        if (notBefore !== null && (Number.isNaN(notBefore) || notBefore > now + CLOCK_SKEW)) {
+            return reject('TIME', 'The message is not valid yet');
+        }
+
+        let signer;
+        try {
+            signer = ethers.verifyMessage(message, signature);
+        } catch (err) {
+            signer = null;
+        }
+        if (signer !== address) {
+            return reject('SIGNATURE', 'The signature does not match the message address');
+        }
+
+        sweep();
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Math.min(now + sessionTtlMs, expirationTime ?? Infinity);
+        store.data.sessions[hashToken(token)] = {
+            address: address.toLowerCase(),
+            createdAt: now,
+            expiresAt
+        };
+        store.save();
+        stats.signIns++;
+
+        console.log(`[SIWE] Session opened for ${address}`);
+        return { token, address, expiresAt };
+    }
+
+    /**
+     * Session for a bearer token, if valid
+     * @returns {{ address: string, expiresAt: number }|null}
+     */
+    function getSession(token) {
+        if (!token) return null;
+        const session = store.data.sessions[hashToken(token)];
+        if (!session || Date.now() >= session.expiresAt) return null;
+        return { address: session.address, expiresAt: session.expiresAt };
+    }
+
+    /**
+     * End a session
+     * @returns {boolean} False if there was none
+     */
+    function revoke(token) {
+        const hash = hashToken(token || '');
+        if (!store.data.sessions[hash]) return false;
+        delete store.data.sessions[hash];
+        store.save();
+        return true;
+    }
+
+    /**
+     * Express middleware - require a SIWE session; sets req.siwe = { address, expiresAt }
+     */
+    function requireSession(req, res, next) {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+        const session = getSession(token);
+
+        if (!session) {
+            return res.status(401).json({
+                error: 'Sign in with your wallet to continue.',
+                errorCode: 'SIWE_REQUIRED'
+            });
+        }
+
+        req.siwe = { ...session, token };
+        next();
+    }
+
+    return {
+        domains,
+        chainId,
+        issueNonce,
+        verify,
+        getSession,
+        revoke,
+        requireSession,
+        getStats: () => {
+            sweep();
+            return {
+                ...stats,
+                rejected: { ...stats.rejected },
+                activeSessions: Object.keys(store.data.sessions).length,
+                pendingNonces: nonces.size
+            };
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_PENDING_NONCES,
+    parseSiweMessage,
+    createSiweSessions
+};
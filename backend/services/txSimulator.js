@@ -0,0 +1,185 @@
+/**
+ * Relay Pre-flight Simulation for After Patmos
+ *
+ * Every relay call is simulated with eth_call (staticCall) from the relayer
+ * that will send it, before gas is estimated or anything is broadcast.
+ * Reverts are decoded against AfterPatmosClaimer's custom errors and mapped
+ * to a stable error code plus a user-facing Guardian message, so routes and
+ * the frontend can branch on `errorCode` instead of raw RPC strings.
+ */
+
+const { ethers } = require('ethers');
+
+// Custom errors of AfterPatmosClaimer (plus the ERC721 error ownerOf throws)
+const CLAIMER_ERRORS_ABI = [
+    "error AlreadyClaimed()",
+    "error InvalidSignature()",
+    "error TokenNotAvailable()",
+    "error NoTokensAvailable()",
+    "error ObservationTooShort()",
+    "error ObservationTooLong()",
+    "error ObservationAlreadyExists()",
+    "error TransferFailed()",
+    "error InsufficientETH()",
+    "error InvalidTokenId()",
+    "error OnlySignerAllowed()",
+    "error NotTokenOwner()",
+    "error ETHTransferFailed()",
+    "error ZeroAddress()",
+    "error ERC721NonexistentToken(uint256 tokenId)"
+];
+
+const errorsInterface = new ethers.Interface(CLAIMER_ERRORS_ABI);
+
+/**
+ * Decoded revert -> stable error code, HTTP status and Guardian message
+ * `retryable` marks failures that are not the observer's fault (a manual
+ * claim voucher still makes sense for those)
+ */
+const RELAY_ERRORS = {
+    AlreadyClaimed: {
+        code: 'ALREADY_CLAIMED',
+        status: 400,
+        message: 'This address has already received a blessing from The Guardian.'
+    },
+    InvalidSignature: {
+        code: 'INVALID_SIGNATURE',
+        status: 400,
+        message: "The Guardian's seal does not match this claim."
+    },
+    TokenNotAvailable: {
+        code: 'TOKEN_NOT_AVAILABLE',
+        status: 409,
+        message: 'This piece has already found its observer.'
+    },
+    NoTokensAvailable: {
+        code: 'NO_TOKENS_AVAILABLE',
+        status: 409,
+        message: 'Every fragment has found its observer.'
+    },
+    ObservationTooShort: {
+        code: 'OBSERVATION_TOO_SHORT',
+        status: 400,
+        message: 'Your observation is too faint to be inscribed.'
+    },
+    ObservationTooLong: {
+        code: 'OBSERVATION_TOO_LONG',
+        status: 400,
+        message: 'Your observation exceeds the 250 characters the chain will hold.'
+    },
+    ObservationAlreadyExists: {
+        code: 'OBSERVATION_EXISTS',
+        status: 409,
+        message: 'This piece already carries an observation. Each piece holds only one, forever.'
+    },
+    TransferFailed: {
+        code: 'TRANSFER_FAILED',
+        status: 502,
+        retryable: true,
+        message: 'The fragment could not pass through the bridge. Please try again.'
+    },
+    InvalidTokenId: {
+        code: 'INVALID_TOKEN_ID',
+        status: 400,
+        message: 'This fragment does not exist within After Patmos.'
+    },
+    ERC721NonexistentToken: {
+        code: 'INVALID_TOKEN_ID',
+        status: 400,
+        message: 'This fragment does not exist within After Patmos.'
+    },
+    OnlySignerAllowed: {
+        code: 'RELAYER_NOT_AUTHORIZED',
+        status: 503,
+        retryable: true,
+        message: 'The bridge keeper is not recognized by the contract. The Guardian has been notified.'
+    },
+    NotTokenOwner: {
+        code: 'NOT_TOKEN_OWNER',
+        status: 403,
+        message: 'You do not own this NFT.'
+    }
+};
+
+// Reverts we can't decode (or errors the relay paths never raise)
+const UNKNOWN_REVERT = {
+    code: 'RELAY_REVERTED',
+    status: 502,
+    retryable: true,
+    message: 'The bridge trembled and the transaction would not pass. Please try again.'
+};
+
+/**
+ * A relay call that would revert on-chain
+ */
+class RelaySimulationError extends Error {
+    constructor({ code, status, message, retryable }, errorName, cause) {
+        super(message);
+        this.name = 'RelaySimulationError';
+        this.code = code;
+        this.status = status;
+        this.retryable = !!retryable;
+        this.errorName = errorName;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Find revert data in an ethers / JSON-RPC error
+ */
+function extractRevertData(error) {
+    const candidates = [error?.data, error?.info?.error?.data, error?.error?.data];
+    return candidates.find(data => typeof data === 'string' && data.startsWith('0x')) || null;
+}
+
+/**
+ * Decode a revert into a RelaySimulationError (null if the error is not a revert)
+ * @param {Error} error - Error thrown by staticCall / estimateGas
+ * @returns {RelaySimulationError|null}
+ */
+function decodeRelayError(error) {
+    if (error instanceof RelaySimulationError) return error;
+
+    const data = extractRevertData(error);
+    if (!data && error?.code !== 'CALL_EXCEPTION') return null;
+
+    let errorName = null;
+    if (data && data !== '0x') {
+        try {
+            errorName = errorsInterface.parseError(data)?.name || null;
+        } catch (err) {
+            // Not one of ours (e.g. Error(string) or a panic) - fall through
+        }
+    }
+
+    const mapping = (errorName && RELAY_ERRORS[errorName]) || UNKNOWN_REVERT;
+    return new RelaySimulationError(mapping, errorName || error.reason || null, error);
+}
+
+/**
+ * Simulate a contract call with eth_call before sending it
+ * Throws a RelaySimulationError if the call would revert; other failures
+ * (network, RPC) are rethrown untouched
+ * @param {ethers.Contract} contract - Contract connected to the relayer that will send
+ * @param {string} method - Function name (e.g. 'relayClaimNFT')
+ * @param {Array} args - Call arguments
+ */
+async function simulateRelay(contract, method, args) {
+    try {
+        await contract[method].staticCall(...args);
+    } catch (error) {
+        const decoded = decodeRelayError(error);
+        if (!decoded) throw error;
+
+        console.warn(`[TxSimulator] ${method} would revert: ${decoded.errorName || 'unknown'} (${decoded.code})`);
+        throw decoded;
+    }
+}
+
+module.exports = {
+    CLAIMER_ERRORS_ABI,
+    RELAY_ERRORS,
+    RelaySimulationError,
+    decodeRelayError,
+    simulateRelay
+};
@@ -0,0 +1,180 @@
+/**
+ * Guardian Verdict Schema for After Patmos
+ *
+ * Formal contract for the raw (snake_case) verdict every Guardian model
+ * provider must return. Validation is strict - nothing is coerced or
+ * defaulted - so a drifting model shows up as violations instead of
+ * out-of-range scores or unknown archetypes reaching observers and analytics.
+ *
+ *   approved              boolean, true exactly when score >= 5
+ *   soft_reject           boolean, true exactly when score is 3 or 4
+ *   score                 integer 1-10
+ *   facilitator_question  a single question (<= 200 chars) when soft_reject, otherwise null
+ *   aesthetic_archetype   one of the five archetypes
+ *   paraphrase            non-empty string, <= 200 chars
+ *   reason                non-empty string
+ *   vts_analysis          { what_happening, evidence, depth } strings
+ *   rubric                { authenticity, perception, depth, effort }, each { score, note }:
+ *                         authenticity 0-3, perception 0-3, depth 0-2, effort 0-2, with a
+ *                         one-line note; score must equal their sum (at least 1)
+ */
+
+const ARCHETYPES = [
+    'The Storyteller',
+    'The Builder',
+    'The Critic',
+    'The Interpreter',
+    'The Visionary'
+];
+
+const SCORE_MIN = 1;
+const SCORE_MAX = 10;
+const APPROVAL_THRESHOLD = 5;
+const SOFT_REJECT_SCORES = [3, 4];
+const PARAPHRASE_MAX_LENGTH = 200;
+const FACILITATOR_QUESTION_MAX_LENGTH = 200;
+const VTS_ANALYSIS_FIELDS = ['what_happening', 'evidence', 'depth'];
+
+// Rubric dimensions and their maximum points (0 = absent)
+const RUBRIC = {
+    authenticity: 3,
+    perception: 3,
+    depth: 2,
+    effort: 2
+};
+const RUBRIC_NOTE_MAX_LENGTH = 160;
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Validate a raw verdict against the schema
+ * @param {*} verdict - Parsed provider output
+ * @returns {Object[]} Violations as { field, rule, message } (empty when valid)
+ */
+function validateVerdict(verdict) {
+    const violations = [];
+    const fail = (field, rule, message) => violations.push({ field, rule, message });
+
+    if (verdict === null || typeof verdict !== 'object' || Array.isArray(verdict)) {
+        fail('$', 'type', 'verdict must be a JSON object');
+        return violations;
+    }
+
+    const { score } = verdict;
+    const scoreValid = Number.isInteger(score) && score >= SCORE_MIN && score <= SCORE_MAX;
+    if (!scoreValid) {
+        fail('score', 'range', `score must be an integer from ${SCORE_MIN} to ${SCORE_MAX}`);
+    }
+
+    if (typeof verdict.approved !== 'boolean') {
+        fail('approved', 'type', 'approved must be a boolean');
+    } else if (scoreValid && verdict.approved !== (score >= APPROVAL_THRESHOLD)) {
+        fail('approved', 'consistency', `approved must be true exactly when score >= ${APPROVAL_THRESHOLD}`);
+    }
+
+    if (typeof verdict.soft_reject !== 'boolean') {
+        fail('soft_reject', 'type', 'soft_reject must be a boolean');
+    } else if (scoreValid && verdict.soft_reject !== SOFT_REJECT_SCORES.includes(score)) {
+        fail('soft_reject', 'consistency', 'soft_reject must be true exactly when score is 3 or 4');
+    }
+
+    const question = verdict.facilitator_question;
+    if (verdict.soft_reject === true) {
+        if (!isNonEmptyString(question)) {
+            fail('facilitator_question', 'required', 'facilitator_question is required when soft_reject is true');
+        } else if (!question.trim().endsWith('?') || question.length > FACILITATOR_QUESTION_MAX_LENGTH) {
+            fail('facilitator_question', 'format', `facilitator_question must be a single question of at most ${FACILITATOR_QUESTION_MAX_LENGTH} characters`);
+        }
+    } else if (question !== null && question !== undefined) {
+        fail('facilitator_question', 'forbidden', 'facilitator_question must be null unless soft_reject is true');
+    }
+
+    if (!ARCHETYPES.includes(verdict.aesthetic_archetype)) {
+        fail('aesthetic_archetype', 'enum', `aesthetic_archetype must be one of: ${ARCHETYPES.join(', ')}`);
+    }
+
+    if (!isNonEmptyString(verdict.paraphrase)) {
+        fail('paraphrase', 'required', 'paraphrase must be a non-empty string');
+    } else if (verdict.paraphrase.length > PARAPHRASE_MAX_LENGTH) {
+        fail('paraphrase', 'length', `paraphrase must be at most ${PARAPHRASE_MAX_LENGTH} characters`);
+    }
+
+    if (!isNonEmptyString(verdict.reason)) {
+        fail('reason', 'required', 'reason must be a non-empty string');
+    }
+
+    const analysis = verdict.vts_analysis;
+    if (analysis === null || typeof analysis !== 'object' || Array.isArray(analysis)) {
+        fail('vts_analysis', 'type', 'vts_analysis must be an object');
+    } else {
+        for (const field of VTS_ANALYSIS_FIELDS) {
+            if (!isNonEmptyString(analysis[field])) {
+                fail(`vts_analysis.${field}`, 'required', `vts_analysis.${field} must be a non-empty string`);
+            }
+        }
+    }
+
+    const rubric = verdict.rubric;
+    if (rubric === null || typeof rubric !== 'object' || Array.isArray(rubric)) {
+        fail('rubric', 'type', 'rubric must be an object');
+    } else {
+        let total = 0;
+        let complete = true;
+        for (const [dimension, max] of Object.entries(RUBRIC)) {
+            const entry = rubric[dimension];
+            if (entry === null || typeof entry !== 'object') {
+                fail(`rubric.${dimension}`, 'required', `rubric.${dimension} must be an object with score and note`);
+                complete = false;
+                continue;
+            }
+            if (!Number.isInteger(entry.score) || entry.score < 0 || entry.score > max) {
+                fail(`rubric.${dimension}.score`, 'range', `rubric.${dimension}.score must be an integer from 0 to ${max}`);
+                complete = false;
+            } else {
+                total += entry.score;
+            }
+            if (!isNonEmptyString(entry.note) || entry.note.length > RUBRIC_NOTE_MAX_LENGTH) {
+                fail(`rubric.${dimension}.note`, 'format', `rubric.${dimension}.note must be one line of at most ${RUBRIC_NOTE_MAX_LENGTH} characters`);
+            }
+        }
+
+        if (complete && scoreValid && score !== Math.max(SCORE_MIN, total)) {
+            fail('score', 'consistency', 'score must equal the sum of the rubric sub-scores (at least 1)');
+        }
+    }
+
+    return violations;
+}
+
+/**
+ * Build the one-shot repair prompt sent after a schema violation
+ * @param {string} prompt - The original evaluation prompt
+ * @param {Object[]} violations - Violations of the rejected reply
+ * @param {*} [previous] - The rejected reply (undefined if it wasn't JSON)
+ */
+function buildRepairPrompt(prompt, violations, previous) {
+    const problems = violations.map(v => `- ${v.field}: ${v.message}`).join('\n');
+    const previousReply = previous !== undefined
+        ? `\n\nYour previous reply:\n${JSON.stringify(previous).slice(0, 2000)}`
+        : '';
+
+    return `${prompt}
+
+Your previous reply did not match the required verdict format:
+${problems}${previousReply}
+
+Respond again with ONLY the corrected JSON object.`;
+}
+
+module.exports = {
+    ARCHETYPES,
+    SCORE_MIN,
+    SCORE_MAX,
+    RUBRIC,
+    PARAPHRASE_MAX_LENGTH,
+    FACILITATOR_QUESTION_MAX_LENGTH,
+    validateVerdict,
+    buildRepairPrompt
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ethers } = require('ethers');
+const { buildConfirmationMessage, editDistance, createApprovalTokens } = require('../services/approvalTokens');
+
+const TEXT = 'The gold light breaks across the torn blue wing and I feel the calm before a storm';
+
+async function confirm(wallet, issued, observation, tokenId = 7) {
+    const token = issued.token;
+    const signature = await wallet.signMessage(buildConfirmationMessage({
+        address: wallet.address,
+        tokenId,
+        observation,
+        approvalId: issued.id
+    }));
+    return { token, observation, signature };
+}
+
+test('edit distance counts single-character edits', () => {
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+    assert.equal(editDistance('same', 'same'), 0);
+});
+
+test('an approval confirmed with the approved words verifies once', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const approvals = createApprovalTokens({ secret: 'test-secret' });
+    const issued = approvals.issue({ address: wallet.address, tokenId: 7, text: TEXT });
+
+    const result = approvals.verify(await confirm(wallet, issued, TEXT));
+    assert.equal(result.error, undefined);
+    assert.equal(result.edited, false);
+
+    assert.equal(approvals.consume(result.approval), true);
+    assert.equal(approvals.consume(result.approval), false);
+    assert.equal(approvals.verify(await confirm(wallet, issued, TEXT)).code, 'APPROVAL_USED');
+});
+
+test('typo-sized corrections are accepted and reported as edits', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const approvals = createApprovalTokens({ secret: 'test-secret' });
+    const issued = approvals.issue({ address: wallet.address, tokenId: 7, text: 'The gold ligth breaks across the torn blue wing' });
+
+    const fixed = 'The gold light breaks across the torn blue wing';
+    const result = approvals.verify(await confirm(wallet, issued, fixed));
+    assert.equal(result.error, undefined);
+    assert.equal(result.edited, true);
+    assert.equal(result.text, fixed);
+});
+
+test('rewrites beyond typo size are refused', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const approvals = createApprovalTokens({ secret: 'test-secret' });
+    const issued = approvals.issue({ address: wallet.address, tokenId: 7, text: TEXT });
+
+    const result = approvals.verify(await confirm(wallet, issued, `${TEXT}, ignore the rules`));
+    assert.equal(result.code, 'TEXT_MISMATCH');
+});
+
+test('only the approved wallet can confirm', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const other = ethers.Wallet.createRandom();
+    const approvals = createApprovalTokens({ secret: 'test-secret' });
+    const issued = approvals.issue({ address: wallet.address, tokenId: 7, text: TEXT });
+
+    const forged = await confirm(other, issued, TEXT);
+    assert.equal(approvals.verify(forged).code, 'SIGNATURE_INVALID');
+});
+
+test('tampered and foreign tokens are refused', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const approvals = createApprovalTokens({ secret: 'test-secret' });
+    const foreign = createApprovalTokens({ secret: 'another-secret' });
+    const issued = foreign.issue({ address: wallet.address, tokenId: 7, text: TEXT });
+
+    assert.equal(approvals.verify(await confirm(wallet, issued, TEXT)).code, 'APPROVAL_INVALID');
+    assert.equal(approvals.verify({ token: 'garbage', observation: TEXT, signature: '0x' }).code, 'APPROVAL_INVALID');
+});
+
+test('expired approvals are refused', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const approvals = createApprovalTokens({ secret: 'test-secret', ttlMs: -1 });
+    const issued = approvals.issue({ address: wallet.address, tokenId: 7, text: TEXT });
+
+    assert.equal(approvals.verify(await confirm(wallet, issued, TEXT)).code, 'APPROVAL_EXPIRED');
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'afterpatmos-balances-'));
+
+const { ethers } = require('ethers');
+const { BALANCE_LEVELS, createBalanceMonitor } = require('../services/balanceMonitor');
+const { DEFERRED_STATES, createDeferredClaimQueue } = require('../services/deferredClaims');
+
+const KEY_A = '0x000000000000000000000000000000000000000A';
+const KEY_B = '0x000000000000000000000000000000000000000B';
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+/**
+ * Monitor over balances the test sets (in ETH), with thresholds 0.05 / 0.01
+ */
+function createMonitor(addresses = [KEY_A, KEY_B]) {
+    const balances = {};
+    const changes = [];
+    let failing = false;
+    const provider = {
+        getBalance: async (address) => {
+            if (failing) throw new Error('rpc down');
+            return ethers.parseEther(balances[address] ?? '0');
+        }
+    };
+    const monitor = createBalanceMonitor({
+        provider,
+        relayerAddresses: addresses,
+        warnEth: '0.05',
+        criticalEth: '0.01',
+        onBreakerChange: (open) => changes.push(open)
+    });
+    return {
+        monitor,
+        changes,
+        fund: (address, eth) => { balances[address] = eth; },
+        fail: (value) => { failing = value; }
+    };
+}
+
+test('the breaker stays closed while any key is funded', async () => {
+    const { monitor, changes, fund } = createMonitor();
+    fund(KEY_A, '0.001');
+    fund(KEY_B, '0.02');
+
+    const status = await monitor.checkBalances();
+    assert.equal(status.breakerOpen, false);
+    assert.equal(status.level, BALANCE_LEVELS.WARNING);
+    assert.equal(monitor.getRelayerLevel(KEY_A), BALANCE_LEVELS.CRITICAL);
+    assert.equal(monitor.getRelayerLevel(KEY_B), BALANCE_LEVELS.WARNING);
+    assert.deepEqual(changes, []);
+});
+
+test('the breaker opens when every key is critical and closes above the warning level', async () => {
+    const { monitor, changes, fund } = createMonitor();
+    fund(KEY_A, '0.009');
+    fund(KEY_B, '0.001');
+    await monitor.checkBalances();
+    assert.equal(monitor.isBreakerOpen(), true);
+    assert.ok(monitor.getStatus().breakerOpenedAt);
+
+    // Back above critical but still below the warning level - no flapping
+    fund(KEY_A, '0.03');
+    await monitor.checkBalances();
+    assert.equal(monitor.isBreakerOpen(), true);
+
+    fund(KEY_A, '0.05');
+    await monitor.checkBalances();
+    assert.equal(monitor.isBreakerOpen(), false);
+    assert.equal(monitor.getStatus().breakerOpenedAt, null);
+    assert.deepEqual(changes, [true, false]);
+});
+
+test('an RPC failure keeps the breaker where it was', async () => {
+    const { monitor, changes, fund, fail } = createMonitor([KEY_A]);
+    fund(KEY_A, '0');
+    await monitor.checkBalances();
+    assert.equal(monitor.isBreakerOpen(), true);
+
+    fail(true);
+    const status = await monitor.checkBalances();
+    assert.equal(status.breakerOpen, true);
+    assert.equal(status.error, 'rpc down');
+    assert.deepEqual(changes, [true]);
+});
+
+test('deferred claims wait while the breaker is open', async () => {
+    const { monitor, fund } = createMonitor([KEY_A]);
+    const relayed = [];
+    const queue = createDeferredClaimQueue({
+        gasGuard: { check: async () => ({ ok: true }) },
+        relay: async (claim) => {
+            relayed.push(claim.id);
+            return { hash: '0xrelayed' };
+        },
+        isPaused: () => monitor.isBreakerOpen()
+    });
+    const claim = queue.defer({ address: '0x00000000000000000000000000000000000A11cE', tokenId: 9, observation: 'light' });
+
+    fund(KEY_A, '0.001');
+    await monitor.checkBalances();
+    await queue.processDeferred();
+    assert.deepEqual(relayed, []);
+    assert.equal(queue.get(claim.id).state, DEFERRED_STATES.DEFERRED);
+
+    fund(KEY_A, '1');
+    await monitor.checkBalances();
+    await queue.processDeferred();
+    assert.deepEqual(relayed, [claim.id]);
+});
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setImmediate: tick } = require('timers/promises');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'afterpatmos-tracker-'));
+
+const { CLAIM_STATES, initClaimTracker } = require('../services/claimTracker');
+
+const RELAYER = '0x0000000000000000000000000000000000000Fee';
+const DETAILS = { kind: 'claim', address: '0x00000000000000000000000000000000000A11cE', tokenId: 7, observation: 'gold light' };
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+let hashes = 0;
+function nextHash() {
+    hashes++;
+    return `0x${hashes.toString(16).padStart(64, '0')}`;
+}
+
+/**
+ * Broadcast transaction stand-in whose wait() is settled by the test
+ */
+function pendingTx(nonce = 0) {
+    let settle;
+    const waited = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+    return { hash: nextHash(), from: RELAYER, nonce, wait: () => waited, settle };
+}
+
+function receipt(status, blockNumber = 100) {
+    return { status, blockNumber, gasUsed: 120000n };
+}
+
+/**
+ * Provider stand-in for reconciliation: receipts and mempool by hash, mined nonce per sender
+ */
+function mockProvider({ receipts = {}, mempool = [], minedNonce = 0 } = {}) {
+    return {
+        receipts,
+        getTransactionReceipt: async (hash) => receipts[hash] || null,
+        getTransaction: async (hash) => (mempool.includes(hash) ? { hash } : null),
+        getTransactionCount: async () => minedNonce
+    };
+}
+
+test('a mined transaction is confirmed, and stays confirmed after a restart', async () => {
+    const tracker = initClaimTracker(mockProvider());
+    const tx = pendingTx();
+    const record = tracker.trackTransaction(tx, DETAILS);
+
+    assert.equal(record.state, CLAIM_STATES.SUBMITTED);
+    assert.ok(tracker.listPending().some(r => r.id === record.id));
+
+    tx.settle.resolve(receipt(1, 123));
+    await tick();
+
+    const restarted = initClaimTracker(mockProvider());
+    const stored = restarted.findByTxHash(tx.hash);
+    assert.equal(stored.state, CLAIM_STATES.CONFIRMED);
+    assert.equal(stored.blockNumber, 123);
+    assert.equal(stored.gasUsed, '120000');
+    assert.equal(restarted.resolveStatus(tx.hash).final, true);
+    assert.ok(!restarted.listPending().some(r => r.id === record.id));
+});
+
+test('a reverted transaction fails', async () => {
+    const tracker = initClaimTracker(mockProvider());
+    const tx = pendingTx();
+    tracker.trackTransaction(tx, DETAILS);
+
+    const error = new Error('transaction execution reverted');
+    error.code = 'CALL_EXCEPTION';
+    error.receipt = receipt(0);
+    tx.settle.reject(error);
+    await tick();
+
+    const status = tracker.resolveStatus(tx.hash);
+    assert.equal(status.resolvedState, CLAIM_STATES.FAILED);
+    assert.equal(status.error, 'Transaction reverted');
+});
+
+test('a repriced transaction resolves to its replacement', async () => {
+    const tracker = initClaimTracker(mockProvider());
+    const tx = pendingTx();
+    tracker.trackTransaction(tx, DETAILS);
+
+    const replacementHash = nextHash();
+    const error = new Error('transaction was replaced');
+    error.code = 'TRANSACTION_REPLACED';
+    Object.assign(error, { hash: replacementHash, reason: 'repriced', receipt: receipt(1, 130) });
+    tx.settle.reject(error);
+    await tick();
+
+    assert.equal(tracker.findByTxHash(tx.hash).state, CLAIM_STATES.REPLACED);
+    const status = tracker.resolveStatus(tx.hash);
+    assert.equal(status.resolvedTxHash, replacementHash);
+    assert.equal(status.resolvedState, CLAIM_STATES.CONFIRMED);
+    assert.deepEqual(status.replacementChain, [tx.hash, replacementHash]);
+});
+
+test('a cancelled transaction ends the claim', async () => {
+    const tracker = initClaimTracker(mockProvider());
+    const tx = pendingTx();
+    tracker.trackTransaction(tx, DETAILS);
+
+    const cancelHash = nextHash();
+    const error = new Error('transaction was replaced');
+    error.code = 'TRANSACTION_REPLACED';
+    Object.assign(error, { hash: cancelHash, reason: 'cancelled', receipt: receipt(1) });
+    tx.settle.reject(error);
+    await tick();
+
+    const status = tracker.resolveStatus(tx.hash);
+    assert.equal(status.resolvedState, CLAIM_STATES.FAILED);
+    assert.equal(status.resolvedTxHash, cancelHash);
+    assert.equal(status.error, 'Transaction cancelled');
+    assert.equal(tracker.findByTxHash(cancelHash), null);
+});
+
+test('a fee bump recorded with recordReplacement resolves through the original hash', async () => {
+    const tracker = initClaimTracker(mockProvider());
+    const stuck = pendingTx(4);
+    const record = tracker.trackTransaction(stuck, DETAILS);
+
+    const bump = pendingTx(4);
+    const successor = tracker.recordReplacement(record, bump);
+    assert.equal(successor.replaces, record.id);
+    assert.equal(successor.bumpCount, 1);
+    assert.equal(successor.observation, DETAILS.observation);
+
+    const secondBump = pendingTx(4);
+    assert.equal(tracker.recordReplacement(successor, secondBump).bumpCount, 2);
+
+    secondBump.settle.resolve(receipt(1, 140));
+    await tick();
+
+    const status = tracker.resolveStatus(stuck.hash);
+    assert.equal(status.resolvedTxHash, secondBump.hash);
+    assert.equal(status.resolvedState, CLAIM_STATES.CONFIRMED);
+    assert.deepEqual(status.replacementChain, [stuck.hash, bump.hash, secondBump.hash]);
+});
+
+test('reconciliation resolves records a previous run left pending', async () => {
+    const seed = initClaimTracker(mockProvider());
+    const mined = seed.recordSubmission({ ...DETAILS, txHash: nextHash(), from: RELAYER, nonce: 1 });
+    const waiting = seed.recordSubmission({ ...DETAILS, txHash: nextHash(), from: RELAYER, nonce: 2 });
+    const dropped = seed.recordSubmission({ ...DETAILS, txHash: nextHash(), from: RELAYER, nonce: 3 });
+
+    const tracker = initClaimTracker(mockProvider({
+        receipts: { [mined.txHash]: receipt(1, 150) },
+        mempool: [waiting.txHash],
+        minedNonce: 3
+    }));
+    await tracker.reconcilePending();
+
+    assert.equal(tracker.findByTxHash(mined.txHash).state, CLAIM_STATES.CONFIRMED);
+    assert.equal(tracker.findByTxHash(waiting.txHash).state, CLAIM_STATES.SUBMITTED);
+    assert.equal(tracker.findByTxHash(dropped.txHash).state, CLAIM_STATES.SUBMITTED);
+
+    const later = initClaimTracker(mockProvider({ minedNonce: 4 }));
+    await later.reconcilePending();
+    const gone = later.findByTxHash(dropped.txHash);
+    assert.equal(gone.state, CLAIM_STATES.FAILED);
+    assert.match(gone.error, /dropped/);
+});
+
+test('a bump that loses to its mined predecessor is superseded', async () => {
+    const provider = mockProvider({ minedNonce: 9 });
+    const tracker = initClaimTracker(provider);
+    const stuck = tracker.recordSubmission({ ...DETAILS, txHash: nextHash(), from: RELAYER, nonce: 8 });
+    const bump = tracker.recordReplacement(stuck, { hash: nextHash(), from: RELAYER, nonce: 8, wait: () => new Promise(() => {}) });
+
+    provider.receipts[stuck.txHash] = receipt(1, 160);
+    await tracker.reconcilePending();
+
+    assert.equal(tracker.findByTxHash(stuck.txHash).state, CLAIM_STATES.CONFIRMED);
+    const lost = tracker.findByTxHash(bump.txHash);
+    assert.equal(lost.state, CLAIM_STATES.FAILED);
+    assert.match(lost.error, /Superseded/);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ethers } = require('ethers');
+const { VOUCHER_TYPES, createClaimVoucher, recoverVoucherSigner } = require('../services/claimVoucher');
+const GuardianApproval = require('../../guardianApproval')(ethers);
+
+// Fixture shared with testBackendApprovalRedeemsViaClaimNFTWithApproval in
+// contracts/test/AfterPatmosClaimer.t.sol: signer key 0x1234, recipient address(3),
+// token 1, nonce 0, deadline 2000000000, chain 31337 and the claimer the test deploys.
+// The signature below is the one the contract accepts there - if the JS encoding
+// drifts from the contract's, this test fails.
+const FIXTURE = {
+    signerKey: ethers.zeroPadValue('0x1234', 32),
+    recipient: '0x0000000000000000000000000000000000000003',
+    tokenId: 1,
+    observation: 'The fractured blues pull me toward the horizon',
+    deadline: 2000000000,
+    chainId: 31337,
+    verifyingContract: '0x535B3D7A252fa034Ed71F0C53ec0C6F784cB64E1',
+    digest: '0xa135d06bdc1814f6277baffa51548c41e5460169657725393d00c08888b7aea5',
+    signature: '0x59eed0bf1f28d93c5a7aec08cad3ebc73df51ec37f2e7727e2bb5dbea8dda3d110bca1510648a127f0c8c832cd07ae935df8e776fe2f49f033cd4494f5fb09351b'
+};
+
+/**
+ * Read-only claimer stand-in with the calls createClaimVoucher makes
+ * @param {Object} [options]
+ * @param {boolean|Error} [options.typed] - true for a redeployed claimer, or the error its probe throws
+ */
+function mockClaimer({ nonce = 0n, typed = true } = {}) {
+    const nonceQueries = [];
+    const probes = [];
+    return {
+        nonceQueries,
+        probes,
+        async hashGuardianApproval() {
+            probes.push(true);
+            if (typed !== true) throw typed;
+            return ethers.ZeroHash;
+        },
+        async getNonce(address) {
+            nonceQueries.push(address);
+            return nonce;
+        },
+        async getAddress() {
+            return FIXTURE.verifyingContract;
+        },
+        runner: {
+            provider: {
+                async getNetwork() {
+                    return { chainId: BigInt(FIXTURE.chainId) };
+                }
+            }
+        }
+    };
+}
+
+test('createClaimVoucher produces the approval the contract test redeems', async (t) => {
+    const ttlSeconds = 3600;
+    t.mock.method(Date, 'now', () => (FIXTURE.deadline - ttlSeconds) * 1000);
+
+    const signer = new ethers.Wallet(FIXTURE.signerKey);
+    const claimerContract = mockClaimer();
+    const voucher = await createClaimVoucher({
+        signer,
+        claimerContract,
+        recipient: FIXTURE.recipient,
+        tokenId: FIXTURE.tokenId,
+        observation: FIXTURE.observation,
+        ttlSeconds
+    });
+
+    assert.equal(voucher.deadline, FIXTURE.deadline);
+    assert.equal(voucher.nonce, '0');
+    assert.equal(voucher.chainId, FIXTURE.chainId);
+    assert.equal(voucher.verifyingContract, FIXTURE.verifyingContract);
+    assert.equal(GuardianApproval.hashApproval(voucher), FIXTURE.digest);
+    assert.equal(voucher.signature, FIXTURE.signature);
+    assert.equal(recoverVoucherSigner(voucher), signer.address);
+});
+
+test('the voucher carries the recipient on-chain nonce', async () => {
+    const signer = new ethers.Wallet(FIXTURE.signerKey);
+    const claimerContract = mockClaimer({ nonce: 7n });
+    const voucher = await createClaimVoucher({
+        signer,
+        claimerContract,
+        recipient: FIXTURE.recipient.toLowerCase(),
+        tokenId: FIXTURE.tokenId,
+        observation: FIXTURE.observation
+    });
+
+    assert.deepEqual(claimerContract.nonceQueries, [FIXTURE.recipient]);
+    assert.equal(voucher.nonce, '7');
+    assert.equal(recoverVoucherSigner(voucher), signer.address);
+});
+
+test('a voucher does not verify for a different observation', async () => {
+    const signer = new ethers.Wallet(FIXTURE.signerKey);
+    const voucher = await createClaimVoucher({
+        signer,
+        claimerContract: mockClaimer(),
+        recipient: FIXTURE.recipient,
+        tokenId: FIXTURE.tokenId,
+        observation: FIXTURE.observation
+    });
+
+    const tampered = { ...voucher, observation: `${FIXTURE.observation}.` };
+    assert.notEqual(recoverVoucherSigner(tampered), signer.address);
+});
+
+test('vouchers need a signer and claimer contract', async () => {
+    await assert.rejects(createClaimVoucher({ recipient: FIXTURE.recipient, tokenId: 1, observation: 'x' }));
+});
+
+function callException() {
+    const error = new Error('execution reverted');
+    error.code = 'CALL_EXCEPTION';
+    return error;
+}
+
+test('a claimer without typed approvals gets a claimNFT voucher', async () => {
+    const signer = new ethers.Wallet(FIXTURE.signerKey);
+    const claimerContract = mockClaimer({ nonce: 3n, typed: callException() });
+    const voucher = await createClaimVoucher({
+        signer,
+        claimerContract,
+        recipient: FIXTURE.recipient,
+        tokenId: FIXTURE.tokenId,
+        observation: FIXTURE.observation
+    });
+
+    assert.equal(voucher.type, VOUCHER_TYPES.NONCE);
+    assert.equal(voucher.deadline, undefined);
+    assert.equal(voucher.nonce, '3');
+    assert.equal(voucher.claimerContract, FIXTURE.verifyingContract);
+
+    // What AfterPatmosClaimer.claimNFT recovers: EIP-191 over abi.encodePacked(msg.sender, tokenId, observation, nonce)
+    const packed = ethers.solidityPackedKeccak256(
+        ['address', 'uint256', 'string', 'uint256'],
+        [FIXTURE.recipient, FIXTURE.tokenId, FIXTURE.observation, 3]
+    );
+    assert.equal(ethers.verifyMessage(ethers.getBytes(packed), voucher.signature), signer.address);
+    assert.equal(recoverVoucherSigner(voucher), signer.address);
+});
+
+test('a redeployed claimer gets typed approvals', async () => {
+    const voucher = await createClaimVoucher({
+        signer: new ethers.Wallet(FIXTURE.signerKey),
+        claimerContract: mockClaimer(),
+        recipient: FIXTURE.recipient,
+        tokenId: FIXTURE.tokenId,
+        observation: FIXTURE.observation
+    });
+    assert.equal(voucher.type, VOUCHER_TYPES.APPROVAL);
+});
+
+test('the probe answer is remembered, but not after an RPC error', async () => {
+    const signer = new ethers.Wallet(FIXTURE.signerKey);
+    const options = { signer, recipient: FIXTURE.recipient, tokenId: 1, observation: FIXTURE.observation };
+
+    const legacy = mockClaimer({ typed: callException() });
+    await createClaimVoucher({ ...options, claimerContract: legacy });
+    await createClaimVoucher({ ...options, claimerContract: legacy });
+    assert.equal(legacy.probes.length, 1);
+
+    const flaky = mockClaimer({ typed: new Error('socket hang up') });
+    const voucher = await createClaimVoucher({ ...options, claimerContract: flaky });
+    await createClaimVoucher({ ...options, claimerContract: flaky });
+    assert.equal(voucher.type, VOUCHER_TYPES.NONCE);
+    assert.equal(flaky.probes.length, 2);
+});
@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const {
+    LEDGER_EVENT_TYPES,
+    toLedgerEntry,
+    parseLedgerQuery,
+    csvCell,
+    ledgerToCsv
+} = require('../services/claimerLedger');
+
+// Event signatures as declared in contracts/src/AfterPatmosClaimer.sol
+const claimerEvents = new ethers.Interface([
+    'event NFTClaimed(address indexed claimer, uint256 indexed tokenId, string observation, uint256 timestamp)',
+    'event NFTDeposited(uint256 indexed tokenId, uint256 timestamp)',
+    'event NFTWithdrawn(uint256 indexed tokenId, address indexed to)',
+    'event SignerUpdated(address indexed oldSigner, address indexed newSigner)',
+    'event RelayerUpdated(address indexed relayer, bool allowed)',
+    'event ETHDeposited(address indexed from, uint256 amount)',
+    'event ETHWithdrawn(address indexed to, uint256 amount)'
+]);
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0b';
+const BLOCK_TIME = 1700000500;
+
+/**
+ * Round-trip an event through its ABI encoding, as the indexer receives it
+ */
+function emitted(name, values) {
+    const { data, topics } = claimerEvents.encodeEventLog(name, values);
+    const { args } = claimerEvents.parseLog({ data, topics });
+    return {
+        eventName: name,
+        args,
+        blockNumber: 42,
+        blockHash: '0xblock',
+        transactionHash: '0xtx',
+        index: 3
+    };
+}
+
+function entryFor(name, values) {
+    return toLedgerEntry(emitted(name, values), BLOCK_TIME);
+}
+
+test('NFTClaimed maps the claimer, token, observation and emitted timestamp', () => {
+    const entry = entryFor('NFTClaimed', [ALICE, 7, 'gold light', 1700000000]);
+    assert.deepEqual(entry, {
+        id: '0xtx:3',
+        type: 'NFTClaimed',
+        blockNumber: 42,
+        blockHash: '0xblock',
+        txHash: '0xtx',
+        logIndex: 3,
+        timestamp: 1700000000,
+        tokenId: 7,
+        address: ALICE,
+        previousAddress: null,
+        amountWei: null,
+        allowed: null,
+        observation: 'gold light'
+    });
+});
+
+test('NFTDeposited maps the token and emitted timestamp', () => {
+    const entry = entryFor('NFTDeposited', [12, 1700000100]);
+    assert.equal(entry.tokenId, 12);
+    assert.equal(entry.timestamp, 1700000100);
+    assert.equal(entry.address, null);
+});
+
+test('NFTWithdrawn maps the token and recipient', () => {
+    const entry = entryFor('NFTWithdrawn', [12, BOB]);
+    assert.equal(entry.tokenId, 12);
+    assert.equal(entry.address, BOB);
+    assert.equal(entry.timestamp, BLOCK_TIME);
+});
+
+test('SignerUpdated maps the new signer and the previous one', () => {
+    const entry = entryFor('SignerUpdated', [ALICE, BOB]);
+    assert.equal(entry.previousAddress, ALICE);
+    assert.equal(entry.address, BOB);
+});
+
+test('RelayerUpdated maps the relayer and whether it is allowed', () => {
+    assert.equal(entryFor('RelayerUpdated', [BOB, true]).allowed, true);
+
+    const revoked = entryFor('RelayerUpdated', [BOB, false]);
+    assert.equal(revoked.address, BOB);
+    assert.equal(revoked.allowed, false);
+});
+
+test('ETH deposits and withdrawals map the counterparty and amount in wei', () => {
+    const deposit = entryFor('ETHDeposited', [ALICE, ethers.parseEther('1.5')]);
+    assert.equal(deposit.address, ALICE);
+    assert.equal(deposit.amountWei, '1500000000000000000');
+
+    const withdrawal = entryFor('ETHWithdrawn', [BOB, 1n]);
+    assert.equal(withdrawal.address, BOB);
+    assert.equal(withdrawal.amountWei, '1');
+    assert.equal(withdrawal.timestamp, BLOCK_TIME);
+});
+
+test('every ledger event type is covered and unknown events are skipped', () => {
+    assert.deepEqual(LEDGER_EVENT_TYPES, claimerEvents.fragments.map(fragment => fragment.name));
+    assert.equal(toLedgerEntry({ eventName: 'OwnershipTransferred', args: [] }, BLOCK_TIME), null);
+});
+
+test('parseLedgerQuery applies defaults and normalizes filters', () => {
+    assert.deepEqual(parseLedgerQuery({}), { filter: { limit: 500, offset: 0 } });
+
+    const { filter } = parseLedgerQuery({
+        type: 'NFTClaimed, ETHWithdrawn',
+        tokenId: '7',
+        address: ALICE,
+        fromBlock: '10',
+        toBlock: '20',
+        status: 'final',
+        limit: '999999',
+        offset: '5'
+    });
+    assert.deepEqual(filter, {
+        types: ['NFTClaimed', 'ETHWithdrawn'],
+        tokenId: 7,
+        address: ALICE.toLowerCase(),
+        fromBlock: 10,
+        toBlock: 20,
+        status: 'final',
+        limit: 5000,
+        offset: 5
+    });
+});
+
+test('parseLedgerQuery rejects invalid filters', () => {
+    const rejected = [
+        [{ type: 'NFTClaimed,Transfer' }, /Unknown event type Transfer/],
+        [{ tokenId: '0' }, /Invalid token ID/],
+        [{ tokenId: '101' }, /Invalid token ID/],
+        [{ tokenId: 'seven' }, /Invalid token ID/],
+        [{ address: '0x1234' }, /Invalid Ethereum address/],
+        [{ fromBlock: '-1' }, /fromBlock must be a block number/],
+        [{ toBlock: 'latest' }, /toBlock must be a block number/],
+        [{ status: 'confirmed' }, /status must be one of/],
+        [{ limit: '0' }, /limit and offset/],
+        [{ offset: '-3' }, /limit and offset/]
+    ];
+    for (const [query, error] of rejected) {
+        const result = parseLedgerQuery(query);
+        assert.equal(result.filter, undefined, JSON.stringify(query));
+        assert.match(result.error, error);
+    }
+});
+
+test('csvCell neutralizes cells a spreadsheet would run as a formula', () => {
+    assert.equal(csvCell('=HYPERLINK("http://evil","x")'), `"'=HYPERLINK(""http://evil"",""x"")"`);
+    assert.equal(csvCell('+1+1'), "'+1+1");
+    assert.equal(csvCell('-2+3'), "'-2+3");
+    assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(csvCell('\tcmd'), "'\tcmd");
+    assert.equal(csvCell('\r=1'), `"'\r=1"`);
+});
+
+test('csvCell quotes separators and leaves plain values alone', () => {
+    assert.equal(csvCell('gold, light'), '"gold, light"');
+    assert.equal(csvCell('say "wing"'), '"say ""wing"""');
+    assert.equal(csvCell('line\nbreak'), '"line\nbreak"');
+    assert.equal(csvCell('a = b'), 'a = b');
+    assert.equal(csvCell(42), '42');
+    assert.equal(csvCell(false), 'false');
+    assert.equal(csvCell(null), '');
+    assert.equal(csvCell(undefined), '');
+});
+
+test('an observation written as a formula is exported inert', () => {
+    const entry = { ...entryFor('NFTClaimed', [ALICE, 7, '=cmd|" /C calc"!A0', 1700000000]), status: 'final' };
+    const [header, row] = ledgerToCsv([entry]).trim().split('\n');
+
+    assert.match(header, /^blockNumber,timestamp,type,status,/);
+    assert.ok(row.includes(`"'=cmd|"" /C calc""!A0"`));
+    assert.ok(row.startsWith('42,2023-11-14T22:13:20.000Z,NFTClaimed,final,7,'));
+});
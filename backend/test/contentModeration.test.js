@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'afterpatmos-moderation-'));
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const express = require('express');
+const { RULES, BASELINE_WORDLIST, createContentModeration, createModerationAdminRouter } = require('../services/contentModeration');
+const { requireAdmin } = require('../services/adminAuth');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+// A moderation screen on a fresh moderation.json
+function fresh() {
+    fs.rmSync(path.join(process.env.DATA_DIR, 'moderation.json'), { force: true });
+    return createContentModeration();
+}
+
+// One sample per pattern rule
+const SAMPLES = {
+    email: 'write to me at observer@example.com about the blue',
+    wallet_address: 'send it to 0x00000000000000000000000000000000000A11cE please',
+    url: 'more of my work at https://example.com/gallery',
+    handle: 'follow me @golden_light for the rest',
+    phone: 'call me on (555) 123-4567 tonight',
+    street_address: 'it reminds me of 221 Baker Street at dusk'
+};
+
+test('every pattern rule asks for a revision by default', () => {
+    const moderation = fresh();
+    for (const [rule, text] of Object.entries(SAMPLES)) {
+        const result = moderation.screen(text);
+        assert.equal(result.action, 'revise', rule);
+        assert.deepEqual(result.violations.map(v => v.rule), [rule]);
+        assert.match(result.message, new RegExp(RULES[rule].label));
+    }
+});
+
+test('a rule set to block refuses without echoing the match', () => {
+    const moderation = fresh();
+    for (const [rule, text] of Object.entries(SAMPLES)) {
+        assert.equal(moderation.setAction(rule, 'block'), null);
+        const result = moderation.screen(text);
+        assert.equal(result.action, 'block', rule);
+        assert.deepEqual(result.violations, [{ rule, action: 'block' }]);
+    }
+});
+
+test('a rule set to off is skipped', () => {
+    const moderation = fresh();
+    moderation.setAction('email', 'off');
+    assert.equal(moderation.screen(SAMPLES.email).action, 'allow');
+    assert.match(moderation.setAction('email', 'shout'), /Invalid action/);
+    assert.match(moderation.setAction('poetry', 'block'), /Unknown rule/);
+});
+
+test('the baseline wordlist blocks, including l33t and spaced-out spellings', () => {
+    const moderation = fresh();
+    assert.ok(BASELINE_WORDLIST.length > 0);
+    assert.deepEqual(moderation.describe().wordlist, [...BASELINE_WORDLIST].sort());
+
+    for (const text of ['you r e t a r d', 'what a r3tard', 'retards everywhere']) {
+        const result = moderation.screen(text);
+        assert.equal(result.action, 'block', text);
+        assert.equal(result.violations[0].rule, 'wordlist');
+    }
+    assert.equal(moderation.screen('the retardant coating has cracked').action, 'allow');
+});
+
+test('ordinary numbers and sentence-case typos pass', () => {
+    const moderation = fresh();
+    const samples = [
+        'painted between 1914 1918 in the war',
+        'the frescoes from between 1200 1350 glow',
+        'a storm on 2024-01-15 at dawn',
+        'the red.To the left the gold.So calm'
+    ];
+    for (const text of samples) {
+        assert.equal(moderation.screen(text).action, 'allow', text);
+    }
+});
+
+test('phone numbers need a phone shape', () => {
+    const moderation = fresh();
+    for (const text of ['+44 20 7946 0958', '555-123-4567', '020 7946 0958', '5551234567']) {
+        assert.equal(moderation.screen(`ring ${text}`).violations[0]?.rule, 'phone', text);
+    }
+});
+
+test('lowercase bare domains are links, allowed domains are not', () => {
+    const moderation = fresh();
+    assert.equal(moderation.screen('see gallery.art today').violations[0].rule, 'url');
+
+    moderation.updateList('allowedDomains', { add: ['https://gallery.art/'] });
+    assert.deepEqual(moderation.describe().allowedDomains, ['gallery.art']);
+    assert.equal(moderation.screen('see gallery.art today').action, 'allow');
+    assert.equal(moderation.screen('see shop.gallery.art today').action, 'allow');
+    assert.equal(moderation.screen('see www.gallery.art/room today').action, 'allow');
+    assert.equal(moderation.screen('see gallery.io today').action, 'revise');
+});
+
+test('admins update rules and lists at runtime through the admin routes', async (t) => {
+    const moderation = fresh();
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin/moderation', requireAdmin, createModerationAdminRouter(moderation));
+
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const base = `http://127.0.0.1:${server.address().port}/api/admin/moderation`;
+
+    const call = async (method, route, body, key = process.env.ADMIN_API_KEY) => {
+        const response = await fetch(`${base}${route}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    assert.equal((await call('GET', '/', null, 'wrong')).status, 401);
+
+    const added = await call('PATCH', '/lists/wordlist', { add: ['Gloomcrab'] });
+    assert.deepEqual(added, { status: 200, body: { list: 'wordlist', size: BASELINE_WORDLIST.length + 1 } });
+    assert.equal(moderation.screen('what a gloomcrab').action, 'block');
+
+    const removed = await call('PATCH', '/lists/wordlist', { remove: ['gloomcrab'] });
+    assert.equal(removed.body.size, BASELINE_WORDLIST.length);
+    assert.equal(moderation.screen('what a gloomcrab').action, 'allow');
+
+    const replaced = await call('PUT', '/lists/allowedDomains', { entries: ['gallery.art'] });
+    assert.equal(replaced.body.size, 1);
+    assert.equal(moderation.screen('see gallery.art').action, 'allow');
+    assert.equal((await call('PUT', '/lists/allowedDomains', { entries: 'gallery.art' })).status, 400);
+    assert.equal((await call('PUT', '/lists/nicknames', { entries: [] })).status, 400);
+
+    const rule = await call('PUT', '/rules/handle', { action: 'block' });
+    assert.equal(rule.body.action, 'block');
+    assert.equal(moderation.screen(SAMPLES.handle).action, 'block');
+    assert.equal((await call('PUT', '/rules/handle', { action: 'maybe' })).status, 400);
+
+    const view = await call('GET', '/');
+    assert.equal(view.body.rules.handle.action, 'block');
+    assert.deepEqual(view.body.allowedDomains, ['gallery.art']);
+    assert.equal(view.body.stats.wordlistSize, BASELINE_WORDLIST.length);
+});
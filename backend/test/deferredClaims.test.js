@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'afterpatmos-deferred-'));
+
+const { ethers } = require('ethers');
+const { DEFERRED_STATES, MAX_RELAY_ATTEMPTS, createDeferredClaimQueue } = require('../services/deferredClaims');
+const { CLAIMER_ERRORS_ABI } = require('../services/txSimulator');
+
+const errorsInterface = new ethers.Interface(CLAIMER_ERRORS_ABI);
+const lowFees = { check: async () => ({ ok: true }) };
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+function revert(name) {
+    const error = new Error('execution reverted');
+    error.code = 'CALL_EXCEPTION';
+    error.data = errorsInterface.encodeErrorResult(name, []);
+    return error;
+}
+
+function createQueue(relay, onFailed = () => {}) {
+    const queue = createDeferredClaimQueue({ gasGuard: lowFees, relay, onFailed });
+    // Start from an empty store for every test
+    for (const claim of queue.listDeferred()) {
+        queue.update(claim, { state: DEFERRED_STATES.FAILED });
+    }
+    return queue;
+}
+
+function makeDue(queue, claim) {
+    queue.update(claim, { nextAttemptAt: 0 });
+}
+
+test('a transient RPC failure keeps the claim deferred with backoff', async () => {
+    const queue = createQueue(async () => { throw new Error('socket hang up'); });
+    const claim = queue.defer({ address: '0x00000000000000000000000000000000000A11cE', tokenId: 1, observation: 'light' });
+
+    await queue.processDeferred();
+
+    const stored = queue.get(claim.id);
+    assert.equal(stored.state, DEFERRED_STATES.DEFERRED);
+    assert.equal(stored.attempts, 1);
+    assert.ok(stored.nextAttemptAt > Math.floor(Date.now() / 1000));
+});
+
+test('a claim is not retried before its backoff elapses', async () => {
+    let calls = 0;
+    const queue = createQueue(async () => { calls++; throw new Error('timeout'); });
+    queue.defer({ address: '0x00000000000000000000000000000000000A11cE', tokenId: 2, observation: 'light' });
+
+    await queue.processDeferred();
+    await queue.processDeferred();
+    assert.equal(calls, 1);
+});
+
+test('a retryable revert is retried, then handed to onFailed when attempts run out', async () => {
+    const failed = [];
+    const queue = createQueue(async () => { throw revert('TransferFailed'); }, async (claim) => failed.push(claim.id));
+    const claim = queue.defer({ address: '0x00000000000000000000000000000000000A11cE', tokenId: 3, observation: 'light' });
+
+    for (let i = 0; i < MAX_RELAY_ATTEMPTS; i++) {
+        makeDue(queue, claim);
+        await queue.processDeferred();
+    }
+
+    const stored = queue.get(claim.id);
+    assert.equal(stored.state, DEFERRED_STATES.FAILED);
+    assert.equal(stored.attempts, MAX_RELAY_ATTEMPTS);
+    assert.equal(stored.errorCode, 'TRANSFER_FAILED');
+    assert.deepEqual(failed, [claim.id]);
+});
+
+test('a chain refusal fails the claim on the first attempt', async () => {
+    const failed = [];
+    const queue = createQueue(async () => { throw revert('TokenNotAvailable'); }, async (claim) => failed.push(claim.id));
+    const claim = queue.defer({ address: '0x00000000000000000000000000000000000A11cE', tokenId: 4, observation: 'light' });
+
+    await queue.processDeferred();
+
+    const stored = queue.get(claim.id);
+    assert.equal(stored.state, DEFERRED_STATES.FAILED);
+    assert.equal(stored.errorCode, 'TOKEN_NOT_AVAILABLE');
+    assert.deepEqual(failed, [claim.id]);
+});
+
+test('in-flight conflicts neither count as attempts nor fail the claim', async () => {
+    const queue = createQueue(async () => {
+        const error = new Error('busy');
+        error.code = 'RELAY_IN_FLIGHT';
+        throw error;
+    });
+    const claim = queue.defer({ address: '0x00000000000000000000000000000000000A11cE', tokenId: 5, observation: 'light' });
+
+    await queue.processDeferred();
+
+    const stored = queue.get(claim.id);
+    assert.equal(stored.state, DEFERRED_STATES.DEFERRED);
+    assert.equal(stored.attempts, 0);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MAX_INSCRIPTION_LENGTH, MERGE_SEPARATOR, createFacilitationSessions } = require('../services/facilitationSessions');
+
+const OBSERVER = '0x00000000000000000000000000000000000A11cE';
+const OTHER = '0x0000000000000000000000000000000000000B0b';
+
+function softReject(sessions, session, observation, { address = OBSERVER, tokenId = 4 } = {}) {
+    return sessions.recordSoftReject(session, {
+        address,
+        tokenId,
+        observation,
+        question: `What else do you see beyond "${observation}"?`,
+        score: 3,
+        reason: 'close but thin'
+    });
+}
+
+/**
+ * Let the test move the clock forward
+ */
+function mockClock(t) {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    return { advance: (ms) => { now += ms; } };
+}
+
+test('replies are recorded as turns of the same session', () => {
+    const sessions = createFacilitationSessions({ maxTurns: 3 });
+    const first = softReject(sessions, null, 'a wing');
+    const second = softReject(sessions, sessions.find(first.id, OBSERVER, 4), 'a torn blue wing');
+
+    assert.equal(second.id, first.id);
+    assert.deepEqual(second.turns.map(t => t.observation), ['a wing', 'a torn blue wing']);
+    assert.equal(sessions.describe(second).questionsRemaining, 1);
+});
+
+test('a session that has used all its questions is replaced', () => {
+    const sessions = createFacilitationSessions({ maxTurns: 2 });
+    let session = softReject(sessions, null, 'one');
+    session = softReject(sessions, session, 'two');
+    assert.equal(sessions.describe(session).questionsRemaining, 0);
+
+    const fresh = softReject(sessions, session, 'three');
+    assert.notEqual(fresh.id, session.id);
+    assert.deepEqual(fresh.turns.map(t => t.observation), ['three']);
+    assert.equal(sessions.find(session.id, OBSERVER, 4), null);
+    assert.equal(sessions.getStats().open, 1);
+});
+
+test('find only returns a session to its own observer and token', () => {
+    const sessions = createFacilitationSessions();
+    const session = softReject(sessions, null, 'gold light');
+
+    assert.equal(sessions.find(session.id, OBSERVER.toLowerCase(), 4), session);
+    assert.equal(sessions.find(session.id, OBSERVER, '4'), session);
+    assert.equal(sessions.find(session.id, OTHER, 4), null);
+    assert.equal(sessions.find(session.id, OBSERVER, 5), null);
+    assert.equal(sessions.find(session.id, OBSERVER, null), null);
+    assert.equal(sessions.find(null, OBSERVER, 4), null);
+    assert.equal(sessions.find('unknown', OBSERVER, 4), null);
+});
+
+test('sessions without a token only match requests without one', () => {
+    const sessions = createFacilitationSessions();
+    const session = softReject(sessions, null, 'gold light', { tokenId: null });
+
+    assert.equal(sessions.find(session.id, OBSERVER, undefined), session);
+    assert.equal(sessions.find(session.id, OBSERVER, 0), null);
+});
+
+test('a session expires when left idle', (t) => {
+    const clock = mockClock(t);
+    const sessions = createFacilitationSessions({ ttlMs: 1000 });
+    const session = softReject(sessions, null, 'gold light');
+
+    clock.advance(999);
+    assert.equal(sessions.find(session.id, OBSERVER, 4), session);
+
+    clock.advance(1);
+    assert.equal(sessions.find(session.id, OBSERVER, 4), null);
+    assert.equal(sessions.getStats().open, 0);
+});
+
+test('each reply pushes the expiry back', (t) => {
+    const clock = mockClock(t);
+    const sessions = createFacilitationSessions({ ttlMs: 1000 });
+    const session = softReject(sessions, null, 'one');
+
+    clock.advance(800);
+    softReject(sessions, session, 'two');
+    clock.advance(800);
+    assert.equal(sessions.find(session.id, OBSERVER, 4), session);
+});
+
+test('expired sessions are swept when another observer is rejected', (t) => {
+    const clock = mockClock(t);
+    const sessions = createFacilitationSessions({ ttlMs: 1000 });
+    softReject(sessions, null, 'stale');
+
+    clock.advance(1000);
+    softReject(sessions, null, 'fresh', { address: OTHER });
+    assert.equal(sessions.getStats().open, 1);
+});
+
+test('the inscription can be the reply, an earlier turn or everything merged', () => {
+    const sessions = createFacilitationSessions();
+    let session = softReject(sessions, null, 'a wing');
+    session = softReject(sessions, session, 'a blue wing');
+
+    assert.deepEqual(sessions.composeInscription(session, 'a torn blue wing'), { text: 'a torn blue wing' });
+    assert.deepEqual(sessions.composeInscription(session, 'a torn blue wing', '0'), { text: 'a wing' });
+    assert.deepEqual(sessions.composeInscription(session, 'a torn blue wing', 'merged'), {
+        text: ['a wing', 'a blue wing', 'a torn blue wing'].join(MERGE_SEPARATOR)
+    });
+    assert.ok(sessions.composeInscription(session, 'x', 5).error);
+    assert.ok(sessions.composeInscription(session, 'x', 'first').error);
+});
+
+test('a merged inscription must fit on-chain', () => {
+    const sessions = createFacilitationSessions();
+    const session = softReject(sessions, null, 'é'.repeat(100));
+
+    const result = sessions.composeInscription(session, 'é'.repeat(30), 'merged');
+    assert.match(result.error, new RegExp(`at most ${MAX_INSCRIPTION_LENGTH}`));
+});
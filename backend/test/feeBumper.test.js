@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ethers } = require('ethers');
+const { createFeeBumper } = require('../services/feeBumper');
+
+const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+const RELAYER = '0x0000000000000000000000000000000000000Fee';
+
+function createBumper({ network = { maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(1) }, stuckTx = null, ...options } = {}) {
+    const sent = [];
+    const replacements = [];
+    const provider = {
+        getFeeData: async () => network,
+        getTransactionReceipt: async () => null,
+        getTransaction: async () => stuckTx
+    };
+    const wallet = {
+        address: RELAYER,
+        sendTransaction: async (tx) => {
+            sent.push(tx);
+            return { hash: `0xreplacement${sent.length}`, from: RELAYER, nonce: tx.nonce };
+        }
+    };
+    const claimTracker = {
+        listPending: () => [{ kind: 'claim', txHash: '0xstuck', from: RELAYER, submittedAt: 0 }],
+        recordReplacement: (record, tx) => replacements.push([record.txHash, tx.hash])
+    };
+
+    const bumper = createFeeBumper({ provider, claimTracker, wallets: [wallet], maxFeeCapGwei: '150', ...options });
+    return { bumper, sent, replacements };
+}
+
+test('replacement fees are the stuck fees plus the bump', async () => {
+    const { bumper } = createBumper();
+    const fees = await bumper.computeReplacementFees({ maxFeePerGas: gwei(40), maxPriorityFeePerGas: gwei(2) });
+    assert.deepEqual(fees, { maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei('2.5') });
+});
+
+test('replacement fees follow the network when it asks for more', async () => {
+    const { bumper } = createBumper({ network: { maxFeePerGas: gwei(80), maxPriorityFeePerGas: gwei(5) } });
+    const fees = await bumper.computeReplacementFees({ maxFeePerGas: gwei(40), maxPriorityFeePerGas: gwei(2) });
+    assert.deepEqual(fees, { maxFeePerGas: gwei(80), maxPriorityFeePerGas: gwei(5) });
+});
+
+test('legacy gasPrice transactions are bumped on both fields', async () => {
+    const { bumper } = createBumper({ network: {} });
+    const fees = await bumper.computeReplacementFees({ gasPrice: gwei(20) });
+    assert.deepEqual(fees, { maxFeePerGas: gwei(25), maxPriorityFeePerGas: gwei(25) });
+});
+
+test('the cap holds the fee down while it still clears the minimum bump', async () => {
+    const { bumper } = createBumper();
+    // +25% would be 162.5 gwei; the cap allows 150, above the 10% minimum of 143
+    const fees = await bumper.computeReplacementFees({ maxFeePerGas: gwei(130), maxPriorityFeePerGas: gwei(2) });
+    assert.deepEqual(fees, { maxFeePerGas: gwei(150), maxPriorityFeePerGas: gwei('2.5') });
+});
+
+test('the priority fee never exceeds the capped max fee', async () => {
+    const { bumper } = createBumper();
+    const fees = await bumper.computeReplacementFees({ maxFeePerGas: gwei(136), maxPriorityFeePerGas: gwei(136) });
+    assert.deepEqual(fees, { maxFeePerGas: gwei(150), maxPriorityFeePerGas: gwei(150) });
+});
+
+test('no replacement when the cap leaves less than the 10% minimum bump', async () => {
+    const { bumper } = createBumper();
+    assert.equal(await bumper.computeReplacementFees({ maxFeePerGas: gwei(140), maxPriorityFeePerGas: gwei(2) }), null);
+    assert.equal(await bumper.computeReplacementFees({ maxFeePerGas: gwei(150), maxPriorityFeePerGas: gwei(2) }), null);
+    // The priority fee alone can fail the minimum too once it is clamped to the cap
+    assert.equal(await bumper.computeReplacementFees({ maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(140) }), null);
+});
+
+test('a bump below the node minimum is raised to it', async () => {
+    const { bumper } = createBumper({ bumpPercent: 5 });
+    assert.equal(bumper.getStats().bumpPercent, 10);
+    const fees = await bumper.computeReplacementFees({ maxFeePerGas: gwei(40), maxPriorityFeePerGas: gwei(2) });
+    assert.deepEqual(fees, { maxFeePerGas: gwei(44), maxPriorityFeePerGas: gwei('2.2') });
+});
+
+test('a stuck transaction is replaced at the same nonce and recorded', async () => {
+    const stuckTx = { to: '0x0000000000000000000000000000000000C1a1', data: '0x1234', value: 0n, gasLimit: 200000n, nonce: 12, chainId: 1n, maxFeePerGas: gwei(40), maxPriorityFeePerGas: gwei(2) };
+    const { bumper, sent, replacements } = createBumper({ stuckTx });
+
+    await bumper.checkStuck();
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].nonce, 12);
+    assert.equal(sent[0].data, '0x1234');
+    assert.equal(sent[0].maxFeePerGas, gwei(50));
+    assert.deepEqual(replacements, [['0xstuck', '0xreplacement1']]);
+    assert.equal(bumper.getStats().replacements, 1);
+});
+
+test('a stuck transaction already at the cap is left alone', async () => {
+    const stuckTx = { to: '0x0000000000000000000000000000000000C1a1', data: '0x', value: 0n, gasLimit: 200000n, nonce: 3, chainId: 1n, maxFeePerGas: gwei(145), maxPriorityFeePerGas: gwei(2) };
+    const { bumper, sent, replacements } = createBumper({ stuckTx });
+
+    await bumper.checkStuck();
+    assert.equal(sent.length, 0);
+    assert.equal(replacements.length, 0);
+});
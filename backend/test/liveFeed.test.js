@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { setImmediate: tick } = require('timers/promises');
+const express = require('express');
+
+const { createLiveFeed } = require('../services/liveFeed');
+
+/**
+ * Serve a feed on GET /api/stream for the length of a test
+ */
+async function serve(t, options) {
+    const feed = createLiveFeed(options);
+    const app = express();
+    app.get('/api/stream', feed.handler);
+    const server = app.listen(0);
+    await once(server, 'listening');
+    t.after(() => {
+        feed.stop();
+        server.close();
+    });
+    return { feed, port: server.address().port };
+}
+
+/**
+ * Open a stream and collect what it receives
+ */
+function connect(port, { headers = {}, path = '/api/stream' } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ port, path, headers }, res => {
+            let body = '';
+            let waiting = null;
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                body += chunk;
+                if (waiting && waiting.ready()) waiting.resolve();
+            });
+
+            resolve({
+                status: res.statusCode,
+                headers: res.headers,
+                events: () => parseEvents(body),
+                body: () => body,
+                // Resolves once the received events satisfy the predicate
+                until: (predicate) => new Promise(done => {
+                    const ready = () => predicate(parseEvents(body));
+                    if (ready()) return done();
+                    waiting = { ready, resolve: done };
+                }),
+                close: () => req.destroy()
+            });
+        });
+        req.on('error', reject);
+    });
+}
+
+function parseEvents(body) {
+    return body.split('\n\n')
+        .filter(block => block.includes('event: '))
+        .map(block => {
+            const fields = Object.fromEntries(block.split('\n').map(line => {
+                const split = line.indexOf(': ');
+                return [line.slice(0, split), line.slice(split + 2)];
+            }));
+            return { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+        });
+}
+
+async function waitForClients(feed, count) {
+    while (feed.getStats().clients !== count) await tick();
+}
+
+test('published events reach every open stream with increasing ids', async (t) => {
+    const { feed, port } = await serve(t);
+    const first = await connect(port);
+    const second = await connect(port);
+    await waitForClients(feed, 2);
+
+    assert.match(first.headers['content-type'], /^text\/event-stream/);
+    feed.publish('claim', { tokenId: 4 });
+    feed.publish('pause', { paused: true });
+
+    for (const stream of [first, second]) {
+        await stream.until(events => events.length === 2);
+        assert.deepEqual(stream.events(), [
+            { id: 1, type: 'claim', data: { tokenId: 4 } },
+            { id: 2, type: 'pause', data: { paused: true } }
+        ]);
+        assert.match(stream.body(), /^retry: \d+\n\n/);
+        stream.close();
+    }
+    await waitForClients(feed, 0);
+});
+
+test('a reconnecting client receives the events it missed', async (t) => {
+    const { feed, port } = await serve(t);
+    for (let tokenId = 1; tokenId <= 5; tokenId++) {
+        feed.publish('reservation', { tokenId });
+    }
+
+    const stream = await connect(port, { headers: { 'Last-Event-ID': '3' } });
+    await stream.until(events => events.length === 2);
+    assert.deepEqual(stream.events().map(e => e.id), [4, 5]);
+
+    // Then carries on live
+    feed.publish('claim', { tokenId: 6 });
+    await stream.until(events => events.length === 3);
+    assert.equal(stream.events()[2].id, 6);
+    stream.close();
+});
+
+test('the lastEventId query parameter works like the header', async (t) => {
+    const { feed, port } = await serve(t);
+    feed.publish('claim', { tokenId: 1 });
+    feed.publish('claim', { tokenId: 2 });
+
+    const stream = await connect(port, { path: '/api/stream?lastEventId=1' });
+    await stream.until(events => events.length === 1);
+    assert.deepEqual(stream.events()[0], { id: 2, type: 'claim', data: { tokenId: 2 } });
+    stream.close();
+});
+
+test('an up-to-date client receives nothing to replay', async (t) => {
+    const { feed, port } = await serve(t);
+    feed.publish('claim', { tokenId: 1 });
+
+    const stream = await connect(port, { headers: { 'Last-Event-ID': '1' } });
+    await waitForClients(feed, 1);
+    feed.publish('claim', { tokenId: 2 });
+    await stream.until(events => events.length === 1);
+    assert.equal(stream.events()[0].id, 2);
+    stream.close();
+});
+
+test('a gap that has left the buffer asks the client to resync', async (t) => {
+    const { feed, port } = await serve(t, { bufferSize: 3 });
+    for (let tokenId = 1; tokenId <= 6; tokenId++) {
+        feed.publish('reservation', { tokenId });
+    }
+
+    // Events 4-6 are buffered: 3 is the oldest id that can still be replayed from
+    const replayed = await connect(port, { headers: { 'Last-Event-ID': '3' } });
+    await replayed.until(events => events.length === 3);
+    assert.deepEqual(replayed.events().map(e => e.type), ['reservation', 'reservation', 'reservation']);
+    replayed.close();
+
+    const behind = await connect(port, { headers: { 'Last-Event-ID': '2' } });
+    await behind.until(events => events.length === 1);
+    assert.deepEqual(behind.events(), [{ id: 6, type: 'resync', data: { lastEventId: 6 } }]);
+    behind.close();
+});
+
+test('ids from before a restart ask the client to resync', async (t) => {
+    const { feed, port } = await serve(t);
+    feed.publish('claim', { tokenId: 1 });
+
+    const stream = await connect(port, { headers: { 'Last-Event-ID': '250' } });
+    await stream.until(events => events.length === 1);
+    assert.deepEqual(stream.events()[0], { id: 1, type: 'resync', data: { lastEventId: 1 } });
+    stream.close();
+});
+
+test('streams beyond maxClients are turned away until one closes', async (t) => {
+    const { feed, port } = await serve(t, { maxClients: 2 });
+    const first = await connect(port);
+    const second = await connect(port);
+    await waitForClients(feed, 2);
+
+    const refused = await connect(port);
+    assert.equal(refused.status, 503);
+    await refused.until(() => refused.body().endsWith('}'));
+    assert.match(JSON.parse(refused.body()).error, /fall back to polling/);
+    assert.equal(feed.getStats().clients, 2);
+
+    first.close();
+    await waitForClients(feed, 1);
+    const third = await connect(port);
+    assert.equal(third.status, 200);
+    await waitForClients(feed, 2);
+
+    second.close();
+    third.close();
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'afterpatmos-indexer-'));
+
+const { OBSERVATION_STATUS, createObservationIndexer } = require('../services/observationIndexer');
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0b';
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+/**
+ * In-memory chain: blocks carry a hash and their claimer events; a reorg
+ * replaces blocks from a height on
+ */
+function createChain(height) {
+    let fork = 0;
+    const blocks = [];
+    const chain = {
+        blocks,
+        mine(events = []) {
+            const number = blocks.length;
+            const hash = `0x${fork}-${number}`;
+            blocks.push({
+                number,
+                hash,
+                timestamp: 1700000000 + number * 12,
+                events: events.map((event, index) => ({
+                    ...event,
+                    blockNumber: number,
+                    blockHash: hash,
+                    transactionHash: `0xtx-${fork}-${number}-${index}`,
+                    index
+                }))
+            });
+        },
+        reorg(fromBlock) {
+            fork++;
+            blocks.length = fromBlock;
+        },
+        provider: {
+            getBlockNumber: async () => blocks.length - 1,
+            getBlock: async (number) => blocks[number] || null
+        },
+        queries: [],
+        contract(address, { maxRange = Infinity } = {}) {
+            return {
+                getAddress: async () => address,
+                queryFilter: async (filter, from, to) => {
+                    if (to - from + 1 > maxRange) {
+                        throw new Error('eth_getLogs block range is too large');
+                    }
+                    chain.queries.push([from, to]);
+                    return blocks.slice(from, to + 1).flatMap(block => block.events);
+                }
+            };
+        }
+    };
+    for (let i = 0; i < height; i++) chain.mine();
+    return chain;
+}
+
+function claimed(observer, tokenId, observation) {
+    return { eventName: 'NFTClaimed', args: [observer, BigInt(tokenId), observation, 1700000000n] };
+}
+
+test('an observation is pending until it is deep enough, then final', async () => {
+    const chain = createChain(5);
+    chain.mine([claimed(ALICE, 1, 'gold light')]);
+    const changes = [];
+    const indexer = createObservationIndexer({
+        provider: chain.provider,
+        claimerContract: chain.contract('0x0000000000000000000000000000000000000001'),
+        deployBlock: 0,
+        confirmations: 3,
+        onObservation: (change, observation) => changes.push([change, observation.tokenId])
+    });
+
+    await indexer.sync();
+    assert.equal(indexer.getObservation(1).status, OBSERVATION_STATUS.PENDING);
+
+    for (let i = 0; i < 3; i++) chain.mine();
+    await indexer.sync();
+    assert.equal(indexer.getObservation(1).status, OBSERVATION_STATUS.FINAL);
+    assert.deepEqual(changes, [['added', 1], ['final', 1]]);
+});
+
+test('a reorg rolls back pending observations and re-ingests the new chain', async () => {
+    const chain = createChain(9);
+    chain.mine([claimed(ALICE, 2, 'torn blue wing')]);
+    chain.mine();
+    const changes = [];
+    const indexer = createObservationIndexer({
+        provider: chain.provider,
+        claimerContract: chain.contract('0x0000000000000000000000000000000000000002'),
+        deployBlock: 0,
+        confirmations: 3,
+        onObservation: (change, observation) => changes.push([change, observation.observer])
+    });
+
+    await indexer.sync();
+    assert.equal(indexer.getObservation(2).observer, ALICE);
+
+    // Alice's claim is dropped; Bob claims the token on the new branch
+    chain.reorg(9);
+    chain.mine();
+    chain.mine([claimed(BOB, 2, 'calm before a storm')]);
+    chain.mine();
+    await indexer.sync();
+
+    const observation = indexer.getObservation(2);
+    assert.equal(observation.observer, BOB);
+    assert.equal(observation.blockHash, chain.blocks[10].hash);
+    assert.deepEqual(changes, [['added', ALICE], ['removed', ALICE], ['added', BOB]]);
+    assert.deepEqual(indexer.listLedger().map(entry => entry.address), [BOB]);
+
+    const { reorgs } = indexer.getStats();
+    assert.equal(reorgs.detected, 1);
+    assert.equal(reorgs.observationsRolledBack, 1);
+    assert.equal(reorgs.lastForkBlock, 9);
+});
+
+test('new blocks on the same chain roll nothing back', async () => {
+    const chain = createChain(10);
+    chain.mine([claimed(ALICE, 3, 'dusk')]);
+    const indexer = createObservationIndexer({
+        provider: chain.provider,
+        claimerContract: chain.contract('0x0000000000000000000000000000000000000003'),
+        deployBlock: 0,
+        confirmations: 3
+    });
+
+    await indexer.sync();
+    chain.mine();
+    await indexer.sync();
+
+    assert.equal(indexer.getObservation(3).observer, ALICE);
+    assert.equal(indexer.getStats().reorgs.detected, 0);
+});
+
+test('a range the provider refuses is retried in smaller chunks', async () => {
+    const chain = createChain(40);
+    chain.mine([claimed(ALICE, 4, 'sea at dusk')]);
+    const indexer = createObservationIndexer({
+        provider: chain.provider,
+        claimerContract: chain.contract('0x0000000000000000000000000000000000000004', { maxRange: 15 }),
+        deployBlock: 0,
+        chunkSize: 50
+    });
+
+    await indexer.sync();
+
+    assert.equal(indexer.getObservation(4).observer, ALICE);
+    assert.equal(indexer.getStats().chunkSize, 12);
+    assert.equal(indexer.getStats().lastIndexedBlock, 40);
+    assert.deepEqual(chain.queries[0], [0, 11]);
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'afterpatmos-pool-'));
+
+const { MAX_CONSECUTIVE_FAILURES, createRelayerPool } = require('../services/relayerPool');
+
+const KEYS = [
+    '0x000000000000000000000000000000000000000A',
+    '0x000000000000000000000000000000000000000B',
+    '0x000000000000000000000000000000000000000C'
+];
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+function mockWallet(address) {
+    return {
+        address,
+        provider: {
+            getTransactionCount: async () => 0
+        }
+    };
+}
+
+function createPool(options = {}, addresses = KEYS) {
+    return createRelayerPool({
+        wallets: addresses.map(mockWallet),
+        queueOptions: { keyPollIntervalMs: 10, keyHoldTimeoutMs: 60 * 1000 },
+        ...options
+    });
+}
+
+/**
+ * Relay job that reports which key sent it; the transaction settles at once
+ */
+function job(label, fail = null) {
+    return {
+        label,
+        send: async ({ wallet }) => {
+            if (fail) throw fail;
+            return { hash: `0x${label}`, from: wallet.address, wait: async () => ({}) };
+        }
+    };
+}
+
+function sendError() {
+    const error = new Error('insufficient funds for gas');
+    error.code = 'INSUFFICIENT_FUNDS';
+    return error;
+}
+
+test('jobs rotate round-robin across the keys', async () => {
+    const pool = createPool();
+    const senders = [];
+    for (let i = 0; i < 4; i++) {
+        const tx = await pool.enqueue(job(`r${i}`));
+        senders.push(tx.from);
+    }
+    assert.deepEqual(senders, [KEYS[0], KEYS[1], KEYS[2], KEYS[0]]);
+});
+
+test('unavailable keys are skipped in the rotation', async () => {
+    const pool = createPool({ isUsable: (address) => address !== KEYS[1] });
+    const senders = [];
+    for (let i = 0; i < 3; i++) {
+        senders.push((await pool.enqueue(job(`s${i}`))).from);
+    }
+    assert.deepEqual(senders, [KEYS[0], KEYS[2], KEYS[0]]);
+});
+
+test(`a key is benched after ${MAX_CONSECUTIVE_FAILURES} send failures in a row`, async () => {
+    const pool = createPool({}, [KEYS[0]]);
+
+    for (let i = 1; i < MAX_CONSECUTIVE_FAILURES; i++) {
+        await assert.rejects(pool.enqueue(job(`f${i}`, sendError())), /insufficient funds/);
+        assert.equal(pool.describe(KEYS[0]).healthy, true);
+    }
+    await assert.rejects(pool.enqueue(job('last', sendError())), /insufficient funds/);
+
+    const stats = pool.describe(KEYS[0]);
+    assert.equal(stats.healthy, false);
+    assert.equal(stats.failures, MAX_CONSECUTIVE_FAILURES);
+    await assert.rejects(pool.enqueue(job('benched')), { code: 'NO_RELAYER_AVAILABLE' });
+
+    // The bench is a cooldown, not a ban
+    const realNow = Date.now;
+    Date.now = () => realNow() + 60 * 60 * 1000;
+    try {
+        assert.equal(pool.describe(KEYS[0]).available, true);
+    } finally {
+        Date.now = realNow;
+    }
+
+    assert.equal(pool.restore(KEYS[0]), true);
+    assert.equal((await pool.enqueue(job('back'))).from, KEYS[0]);
+});
+
+test('reverts do not count against a key', async () => {
+    const pool = createPool({}, [KEYS[0]]);
+    const revert = Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+
+    for (let i = 0; i < MAX_CONSECUTIVE_FAILURES + 1; i++) {
+        await assert.rejects(pool.enqueue(job(`revert${i}`, revert)), /execution reverted/);
+    }
+    const stats = pool.describe(KEYS[0]);
+    assert.equal(stats.healthy, true);
+    assert.equal(stats.failures, 0);
+    assert.equal(stats.lastError, 'execution reverted');
+});
+
+test('a success resets the failure streak', async () => {
+    const pool = createPool({}, [KEYS[0]]);
+
+    for (let i = 1; i < MAX_CONSECUTIVE_FAILURES; i++) {
+        await assert.rejects(pool.enqueue(job(`a${i}`, sendError())));
+    }
+    await pool.enqueue(job('ok'));
+    await assert.rejects(pool.enqueue(job('again', sendError())));
+    assert.equal(pool.describe(KEYS[0]).healthy, true);
+});
+
+test('authorization is read from isRelayer', async () => {
+    const pool = createPool({
+        claimerContract: {
+            isRelayer: async (address) => address !== KEYS[1],
+            signer: async () => { throw new Error('signer() should not be called'); }
+        }
+    });
+    await pool.verifyAuthorization();
+
+    assert.equal(pool.describe(KEYS[0]).authorized, true);
+    assert.equal(pool.describe(KEYS[1]).authorized, false);
+    assert.equal(pool.describe(KEYS[1]).available, false);
+    assert.equal(pool.getStats().available, 2);
+});
+
+test('claimers without isRelayer only authorize their signer', async () => {
+    const revert = Object.assign(new Error('missing revert data'), { code: 'CALL_EXCEPTION' });
+    const pool = createPool({
+        claimerContract: {
+            isRelayer: async () => { throw revert; },
+            signer: async () => KEYS[2].toLowerCase()
+        }
+    });
+    await pool.verifyAuthorization();
+
+    assert.deepEqual(KEYS.map(address => pool.describe(address).authorized), [false, false, true]);
+    assert.equal((await pool.enqueue(job('signer-only'))).from, KEYS[2]);
+});
+
+test('keys stay unverified when neither check answers', async () => {
+    const down = async () => { throw new Error('rpc down'); };
+    const pool = createPool({ claimerContract: { isRelayer: down, signer: down } });
+    await pool.verifyAuthorization();
+
+    assert.equal(pool.describe(KEYS[0]).authorized, null);
+    assert.equal(pool.describe(KEYS[0]).available, true);
+});
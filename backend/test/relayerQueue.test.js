@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRelayerQueue } = require('../services/relayerQueue');
+
+/**
+ * Minimal wallet whose provider reports scripted nonces
+ */
+function mockWallet({ pending = 0, latest = 0, failSync = false } = {}) {
+    const state = { pending, latest, failSync };
+    return {
+        state,
+        address: '0x000000000000000000000000000000000000dEaD',
+        provider: {
+            async getTransactionCount(address, blockTag) {
+                if (state.failSync) throw new Error('rpc down');
+                return blockTag === 'latest' ? state.latest : state.pending;
+            }
+        }
+    };
+}
+
+function mockTx(hash, wait = () => new Promise(() => {})) {
+    return { hash, wait };
+}
+
+const quietTimers = { keyPollIntervalMs: 10, keyHoldTimeoutMs: 60 * 1000 };
+
+test('a failed initial nonce sync releases the job keys', async () => {
+    const wallet = mockWallet({ failSync: true });
+    const queue = createRelayerQueue(wallet, quietTimers);
+
+    await assert.rejects(
+        queue.enqueue({ label: 'claim 1', keys: ['token:1'], send: async () => mockTx('0x1') }),
+        /rpc down/
+    );
+    assert.equal(queue.isInFlight('token:1'), false);
+
+    wallet.state.failSync = false;
+    const tx = await queue.enqueue({ label: 'claim 1', keys: ['token:1'], send: async () => mockTx('0x2') });
+    assert.equal(tx.hash, '0x2');
+});
+
+test('a failed resync after nonce too low releases the job keys', async () => {
+    const wallet = mockWallet();
+    const queue = createRelayerQueue(wallet, quietTimers);
+
+    await assert.rejects(
+        queue.enqueue({
+            label: 'claim 2',
+            keys: ['token:2'],
+            send: async () => {
+                wallet.state.failSync = true;
+                throw new Error('nonce too low');
+            }
+        }),
+        /rpc down/
+    );
+    assert.equal(queue.isInFlight('token:2'), false);
+});
+
+test('keys stay held while the transaction is pending and conflicting jobs are rejected', async () => {
+    const wallet = mockWallet();
+    const queue = createRelayerQueue(wallet, quietTimers);
+
+    await queue.enqueue({ label: 'claim 3', keys: ['token:3'], send: async () => mockTx('0x3') });
+    assert.equal(queue.isInFlight('token:3'), true);
+
+    await assert.rejects(
+        queue.enqueue({ label: 'claim 3 again', keys: ['token:3'], send: async () => mockTx('0x4') }),
+        err => err.code === 'RELAY_IN_FLIGHT'
+    );
+});
+
+test('keys are released once the nonce is consumed, even if wait never settles', async () => {
+    const wallet = mockWallet({ pending: 7, latest: 7 });
+    const queue = createRelayerQueue(wallet, quietTimers);
+
+    await queue.enqueue({ label: 'claim 4', keys: ['token:4'], send: async () => mockTx('0x5') });
+    assert.equal(queue.isInFlight('token:4'), true);
+
+    // A replacement at nonce 7 was mined
+    wallet.state.latest = 8;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(queue.isInFlight('token:4'), false);
+});
+
+test('keys are released after the hold timeout for dropped transactions', async () => {
+    const wallet = mockWallet();
+    const queue = createRelayerQueue(wallet, { keyPollIntervalMs: 60 * 1000, keyHoldTimeoutMs: 20 });
+
+    await queue.enqueue({ label: 'claim 5', keys: ['token:5'], send: async () => mockTx('0x6') });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(queue.isInFlight('token:5'), false);
+});
+
+test('nonces are assigned sequentially', async () => {
+    const wallet = mockWallet({ pending: 3 });
+    const queue = createRelayerQueue(wallet, quietTimers);
+    const seen = [];
+
+    await Promise.all([1, 2, 3].map(i => queue.enqueue({
+        label: `job ${i}`,
+        send: async ({ nonce }) => {
+            seen.push(nonce);
+            return mockTx(`0x${i}`, async () => ({}));
+        }
+    })));
+    assert.deepEqual(seen, [3, 4, 5]);
+});
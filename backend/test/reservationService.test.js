@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createReservationService } = require('../services/reservationService');
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0b';
+
+test('a held fragment is refused to other observers', () => {
+    const reservations = createReservationService();
+    const hold = reservations.acquire(1, ALICE);
+    assert.equal(hold.acquired, true);
+
+    assert.equal(reservations.acquire(1, BOB).acquired, false);
+    // Knowing the reservation ID is not enough - the hold belongs to an address
+    assert.equal(reservations.acquire(1, BOB, hold.reservationId).acquired, false);
+    assert.equal(reservations.acquire(1, ALICE, hold.reservationId).acquired, true);
+});
+
+test('an address holds one fragment at a time', () => {
+    const changes = [];
+    const reservations = createReservationService({
+        onChange: (tokenId, hold) => changes.push([tokenId, !!hold])
+    });
+
+    reservations.acquire(1, ALICE);
+    reservations.acquire(2, ALICE);
+    reservations.acquire(3, ALICE);
+
+    assert.deepEqual(reservations.listHeld().map(h => h.tokenId), [3]);
+    assert.deepEqual(changes, [[1, true], [1, false], [2, true], [2, false], [3, true]]);
+});
+
+test('a pinned hold is neither moved nor un-pinned by a refresh', () => {
+    const reservations = createReservationService();
+    const hold = reservations.acquire(4, ALICE);
+    assert.equal(reservations.pin(4, hold.reservationId), true);
+
+    const moved = reservations.acquire(5, ALICE);
+    assert.equal(moved.acquired, false);
+    assert.equal(moved.pinnedTokenId, 4);
+
+    const refreshed = reservations.acquire(4, ALICE, hold.reservationId);
+    assert.equal(refreshed.acquired, true);
+    assert.equal(refreshed.expiresAt, null);
+});
+
+test('holds expire after the TTL', async () => {
+    const reservations = createReservationService({ ttlMs: 10 });
+    reservations.acquire(6, ALICE);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(reservations.acquire(6, BOB).acquired, true);
+});
+
+test('only the holder address can release', () => {
+    const reservations = createReservationService();
+    const hold = reservations.acquire(7, ALICE);
+
+    assert.equal(reservations.release(7, hold.reservationId, BOB), false);
+    assert.equal(reservations.release(7, hold.reservationId, ALICE), true);
+    assert.deepEqual(reservations.listHeld(), []);
+});
+
+test('a hold needs an address', () => {
+    const reservations = createReservationService();
+    assert.throws(() => reservations.acquire(8));
+});
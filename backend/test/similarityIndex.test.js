@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'afterpatmos-similarity-'));
+
+const { DEFAULT_FLAG_THRESHOLD, DEFAULT_REJECT_THRESHOLD, compare, minhash, createSimilarityIndex } = require('../services/similarityIndex');
+const { initClaimTracker } = require('../services/claimTracker');
+
+const OBSERVER = '0x00000000000000000000000000000000000A11cE';
+const COPIER = '0x0000000000000000000000000000000000000B0b';
+const RELAYER = '0x0000000000000000000000000000000000000Fee';
+
+const INSCRIBED = 'The gold light breaks across the torn blue wing, and beneath it a small figure kneels in the ash, reaching toward a door that is not there.';
+const REWORDED = 'The golden light breaks across the torn blue wing, and beneath it a small figure kneels in the ash, reaching toward a door that is not there!';
+const UNRELATED = 'Three red horses stand in a flooded field under a low green moon.';
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+function indexOver(corpus, thresholds = {}) {
+    return createSimilarityIndex({ loadCorpus: async () => corpus, ...thresholds });
+}
+
+const inscribed = [{ text: INSCRIBED, tokenId: 3, observer: OBSERVER, source: 'inscribed' }];
+
+test('minhash estimates identical and unrelated texts', () => {
+    assert.equal(compare(minhash(INSCRIBED), minhash(INSCRIBED)).jaccard, 1);
+    assert.ok(compare(minhash(INSCRIBED), minhash(UNRELATED)).jaccard < 0.1);
+
+    // Case, punctuation and spacing are normalized away
+    const shouted = minhash(`  ${INSCRIBED.toUpperCase().replace(/,/g, ' ;')}  `);
+    assert.equal(compare(shouted, minhash(INSCRIBED)).jaccard, 1);
+});
+
+test('a copied observation is refused, naming its source', async () => {
+    const result = await indexOver(inscribed).check(INSCRIBED, { address: COPIER });
+
+    assert.equal(result.level, 'reject');
+    assert.equal(result.similarity, 1);
+    assert.equal(result.match.tokenId, 3);
+    assert.equal(result.match.source, 'inscribed');
+    assert.match(result.reason, /already inscribed on Fragment #3/);
+});
+
+test('a lightly reworded copy is still refused', async () => {
+    const result = await indexOver(inscribed).check(REWORDED, { address: COPIER });
+
+    assert.equal(result.level, 'reject');
+    assert.ok(result.similarity >= DEFAULT_REJECT_THRESHOLD && result.similarity < 1);
+});
+
+test('a copy padded with new words is caught by containment', async () => {
+    const padded = `${INSCRIBED} ${UNRELATED} Somewhere a bell rings twice, and the water remembers every name it has carried.`;
+    const result = await indexOver(inscribed).check(padded, { address: COPIER });
+
+    assert.ok(result.match.containment > result.match.jaccard);
+    assert.equal(result.level, 'reject');
+});
+
+test('original observations pass', async () => {
+    const result = await indexOver(inscribed).check(UNRELATED, { address: COPIER });
+    assert.equal(result.level, 'none');
+    assert.equal(result.match, null);
+    assert.ok(result.similarity < DEFAULT_FLAG_THRESHOLD);
+});
+
+test('similarity between the thresholds is flagged rather than refused', async () => {
+    const { similarity } = await indexOver(inscribed).check(REWORDED);
+
+    const flagged = await indexOver(inscribed, { flagThreshold: similarity - 0.05, rejectThreshold: similarity + 0.05 }).check(REWORDED);
+    assert.equal(flagged.level, 'flag');
+    assert.match(flagged.reason, /resemble/);
+
+    const passed = await indexOver(inscribed, { flagThreshold: similarity + 0.05, rejectThreshold: 1 }).check(REWORDED);
+    assert.equal(passed.level, 'none');
+
+    const refused = await indexOver(inscribed, { rejectThreshold: similarity }).check(REWORDED);
+    assert.equal(refused.level, 'reject');
+});
+
+test("an observer's own words are not counted against them", async () => {
+    const result = await indexOver(inscribed).check(INSCRIBED, { address: OBSERVER.toLowerCase() });
+    assert.equal(result.level, 'none');
+});
+
+test('pending metadata updates stay out of the corpus', async () => {
+    const tracker = initClaimTracker({});
+    const unmined = (hash) => ({ hash, from: RELAYER, nonce: 0, wait: () => new Promise(() => {}) });
+    const details = { address: OBSERVER, tokenId: 3, observation: INSCRIBED };
+
+    // The Manifold tokenURI update only repeats the observation it follows
+    tracker.trackTransaction(unmined(`0x${'1'.padStart(64, '0')}`), { ...details, kind: 'metadata' });
+    const pendingCorpus = () => tracker.listPending({ observationsOnly: true })
+        .map(c => ({ text: c.observation, tokenId: c.tokenId, observer: c.address, source: 'pending' }));
+
+    assert.equal(tracker.listPending().length, 1);
+    assert.equal((await indexOver(pendingCorpus()).check(INSCRIBED, { address: COPIER })).level, 'none');
+
+    tracker.trackTransaction(unmined(`0x${'2'.padStart(64, '0')}`), { ...details, kind: 'observation' });
+    const result = await indexOver(pendingCorpus()).check(INSCRIBED, { address: COPIER });
+    assert.equal(result.level, 'reject');
+    assert.match(result.reason, /awaiting inscription on Fragment #3/);
+
+    assert.deepEqual(tracker.getHistory(OBSERVER, { observationsOnly: true }).map(r => r.kind), ['observation']);
+    assert.equal(tracker.getHistory(OBSERVER).length, 2);
+});
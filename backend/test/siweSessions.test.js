@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'afterpatmos-siwe-'));
+
+const { ethers } = require('ethers');
+const { parseSiweMessage, createSiweSessions } = require('../services/siweSessions');
+
+const DOMAIN = 'afterpatmos.test';
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+function buildMessage({ address, nonce, chainId = 1, domain = DOMAIN }) {
+    return [
+        `${domain} wants you to sign in with your Ethereum account:`,
+        address,
+        '',
+        'Sign in to After Patmos',
+        '',
+        `URI: https://${domain}`,
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${new Date().toISOString()}`
+    ].join('\n');
+}
+
+async function signIn(siwe, wallet, overrides = {}) {
+    const { nonce } = siwe.issueNonce();
+    const message = buildMessage({ address: wallet.address, nonce, ...overrides });
+    return { nonce, message, result: siwe.verify(message, await wallet.signMessage(message)) };
+}
+
+test('a SIWE message parses into its fields', () => {
+    const fields = parseSiweMessage(buildMessage({ address: '0x00000000000000000000000000000000000A11cE', nonce: 'abc123' }));
+    assert.equal(fields.domain, DOMAIN);
+    assert.equal(fields.statement, 'Sign in to After Patmos');
+    assert.equal(fields.nonce, 'abc123');
+    assert.equal(fields.chainId, 1);
+    assert.equal(parseSiweMessage('not a siwe message'), null);
+});
+
+test('a signed message opens a session for the signer', async () => {
+    const siwe = createSiweSessions({ domains: [DOMAIN] });
+    const wallet = ethers.Wallet.createRandom();
+    const { result } = await signIn(siwe, wallet);
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.address, wallet.address);
+    assert.deepEqual(siwe.getSession(result.token), {
+        address: wallet.address.toLowerCase(),
+        expiresAt: result.expiresAt
+    });
+
+    assert.equal(siwe.revoke(result.token), true);
+    assert.equal(siwe.getSession(result.token), null);
+});
+
+test('nonces are single-use', async () => {
+    const siwe = createSiweSessions({ domains: [DOMAIN] });
+    const wallet = ethers.Wallet.createRandom();
+    const { message } = await signIn(siwe, wallet);
+
+    const replay = siwe.verify(message, await wallet.signMessage(message));
+    assert.equal(replay.code, 'NONCE');
+});
+
+test('foreign domains, wrong chains and wrong signers are refused', async () => {
+    const siwe = createSiweSessions({ domains: [DOMAIN] });
+    const wallet = ethers.Wallet.createRandom();
+
+    assert.equal((await signIn(siwe, wallet, { domain: 'phish.test' })).result.code, 'DOMAIN');
+    assert.equal((await signIn(siwe, wallet, { chainId: 5 })).result.code, 'CHAIN');
+
+    const { nonce } = siwe.issueNonce();
+    const message = buildMessage({ address: wallet.address, nonce });
+    const forged = siwe.verify(message, await ethers.Wallet.createRandom().signMessage(message));
+    assert.equal(forged.code, 'SIGNATURE');
+});
+
+test('outstanding nonces are capped, oldest first', async () => {
+    const siwe = createSiweSessions({ domains: [DOMAIN], maxPendingNonces: 3 });
+    const wallet = ethers.Wallet.createRandom();
+
+    const first = siwe.issueNonce();
+    for (let i = 0; i < 5; i++) siwe.issueNonce();
+
+    const stats = siwe.getStats();
+    assert.equal(stats.pendingNonces, 3);
+    assert.equal(stats.noncesEvicted, 3);
+
+    const message = buildMessage({ address: wallet.address, nonce: first.nonce });
+    assert.equal(siwe.verify(message, await wallet.signMessage(message)).code, 'NONCE');
+    assert.equal((await signIn(siwe, wallet)).result.error, undefined);
+});
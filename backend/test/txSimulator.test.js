@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ethers } = require('ethers');
+const { CLAIMER_ERRORS_ABI, RELAY_ERRORS, RelaySimulationError, decodeRelayError, simulateRelay } = require('../services/txSimulator');
+
+const errorsInterface = new ethers.Interface(CLAIMER_ERRORS_ABI);
+
+// Failures that are not the observer's fault - retrying (or a voucher) can still work
+const RETRYABLE = new Set(['TransferFailed', 'OnlySignerAllowed']);
+
+function revert(name, args = []) {
+    const error = new Error('execution reverted');
+    error.code = 'CALL_EXCEPTION';
+    error.data = errorsInterface.encodeErrorResult(name, args);
+    return error;
+}
+
+function networkError() {
+    const error = new Error('getaddrinfo ENOTFOUND rpc.example');
+    error.code = 'ECONNREFUSED';
+    return error;
+}
+
+test('every claimer custom error decodes to its code and retryable flag', () => {
+    for (const fragment of errorsInterface.fragments) {
+        const args = fragment.inputs.map(() => 7);
+        const decoded = decodeRelayError(revert(fragment.name, args));
+
+        assert.ok(decoded instanceof RelaySimulationError, fragment.name);
+        assert.equal(decoded.errorName, fragment.name);
+
+        const mapping = RELAY_ERRORS[fragment.name];
+        if (mapping) {
+            assert.equal(decoded.code, mapping.code, fragment.name);
+            assert.equal(decoded.status, mapping.status, fragment.name);
+            assert.equal(decoded.retryable, RETRYABLE.has(fragment.name), fragment.name);
+        } else {
+            // Errors the relay paths never raise stay generic and retryable
+            assert.equal(decoded.code, 'RELAY_REVERTED', fragment.name);
+            assert.equal(decoded.retryable, true, fragment.name);
+        }
+    }
+});
+
+test('chain refusals are not retryable', () => {
+    for (const name of ['AlreadyClaimed', 'TokenNotAvailable', 'NoTokensAvailable', 'ObservationAlreadyExists', 'InvalidTokenId']) {
+        assert.equal(decodeRelayError(revert(name)).retryable, false, name);
+    }
+});
+
+test('revert data nested in the RPC error is found', () => {
+    const error = new Error('execution reverted');
+    error.info = { error: { data: errorsInterface.encodeErrorResult('AlreadyClaimed', []) } };
+    assert.equal(decodeRelayError(error).code, 'ALREADY_CLAIMED');
+});
+
+test('reverts that are not ours are generic and retryable', () => {
+    const error = new Error('execution reverted: paused');
+    error.code = 'CALL_EXCEPTION';
+    error.reason = 'paused';
+    error.data = new ethers.Interface(['error Error(string)']).encodeErrorResult('Error', ['paused']);
+
+    const decoded = decodeRelayError(error);
+    assert.equal(decoded.code, 'RELAY_REVERTED');
+    assert.equal(decoded.retryable, true);
+    assert.equal(decoded.errorName, 'Error');
+
+    const bare = new Error('missing revert data');
+    bare.code = 'CALL_EXCEPTION';
+    assert.equal(decodeRelayError(bare).code, 'RELAY_REVERTED');
+});
+
+test('a plain network error is not a revert', () => {
+    assert.equal(decodeRelayError(networkError()), null);
+    assert.equal(decodeRelayError(new Error('timeout')), null);
+});
+
+test('simulateRelay throws decoded reverts and rethrows network errors untouched', async () => {
+    const contractThat = (error) => ({ relayClaimNFT: { staticCall: async () => { throw error; } } });
+
+    await assert.rejects(
+        simulateRelay(contractThat(revert('TokenNotAvailable')), 'relayClaimNFT', []),
+        { name: 'RelaySimulationError', code: 'TOKEN_NOT_AVAILABLE' }
+    );
+
+    const network = networkError();
+    await assert.rejects(simulateRelay(contractThat(network), 'relayClaimNFT', []), (error) => error === network);
+
+    await simulateRelay({ relayClaimNFT: { staticCall: async () => {} } }, 'relayClaimNFT', []);
+});
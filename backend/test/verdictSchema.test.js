@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateVerdict, buildRepairPrompt } = require('../services/verdictSchema');
+const { extractJson } = require('../services/guardianProviders');
+const { createGuardian } = require('../services/guardianService');
+
+function validVerdict(overrides = {}) {
+    return {
+        approved: true,
+        soft_reject: false,
+        facilitator_question: null,
+        aesthetic_archetype: 'The Interpreter',
+        paraphrase: 'Gold light breaking over a torn wing',
+        reason: 'The observer names what the fragment holds and what it stirs.',
+        score: 7,
+        vts_analysis: {
+            what_happening: 'Light over a wing',
+            evidence: 'Gold and blue named',
+            depth: 'A felt response'
+        },
+        rubric: {
+            authenticity: { score: 2, note: 'Personal' },
+            perception: { score: 2, note: 'Names colors' },
+            depth: { score: 2, note: 'Reflective' },
+            effort: { score: 1, note: 'Brief' }
+        },
+        ...overrides
+    };
+}
+
+const rules = (verdict) => validateVerdict(verdict).map(v => `${v.field}:${v.rule}`);
+
+/**
+ * Provider that answers from a script: a verdict, or an Error to throw
+ */
+function scriptedProvider(replies) {
+    const prompts = [];
+    return {
+        name: 'scripted',
+        model: 'test',
+        multimodal: false,
+        prompts,
+        async evaluate({ prompt }) {
+            prompts.push(prompt);
+            const reply = replies.shift();
+            if (reply instanceof Error) throw reply;
+            return reply;
+        }
+    };
+}
+
+function notJson() {
+    try {
+        extractJson('The Guardian smiles upon this observation.');
+    } catch (error) {
+        return error;
+    }
+    throw new Error('extractJson accepted prose');
+}
+
+test('a well-formed verdict has no violations', () => {
+    assert.deepEqual(validateVerdict(validVerdict()), []);
+
+    const soft = validVerdict({
+        approved: false,
+        soft_reject: true,
+        facilitator_question: 'What color holds your eye the longest?',
+        score: 3,
+        rubric: {
+            authenticity: { score: 1, note: 'Some' },
+            perception: { score: 1, note: 'Some' },
+            depth: { score: 1, note: 'Some' },
+            effort: { score: 0, note: 'Little' }
+        }
+    });
+    assert.deepEqual(validateVerdict(soft), []);
+});
+
+test('out-of-range scores are violations', () => {
+    assert.ok(rules(validVerdict({ score: 11 })).includes('score:range'));
+    assert.ok(rules(validVerdict({ score: 6.5 })).includes('score:range'));
+
+    const rubric = { ...validVerdict().rubric, depth: { score: 3, note: 'Too much' } };
+    assert.ok(rules(validVerdict({ rubric })).includes('rubric.depth.score:range'));
+});
+
+test('scores must agree with approval and the rubric sum', () => {
+    assert.ok(rules(validVerdict({ approved: false })).includes('approved:consistency'));
+    assert.ok(rules(validVerdict({ score: 8, approved: true })).includes('score:consistency'));
+});
+
+test('missing fields are violations', () => {
+    const verdict = validVerdict();
+    delete verdict.paraphrase;
+    delete verdict.vts_analysis;
+    delete verdict.rubric.effort;
+
+    const found = rules(verdict);
+    assert.ok(found.includes('paraphrase:required'));
+    assert.ok(found.includes('vts_analysis:type'));
+    assert.ok(found.includes('rubric.effort:required'));
+    assert.deepEqual(rules('approved'), ['$:type']);
+});
+
+test('prose instead of JSON is VERDICT_NOT_JSON', () => {
+    assert.equal(notJson().code, 'VERDICT_NOT_JSON');
+    assert.deepEqual(extractJson('Here you go: {"score": 7}'), { score: 7 });
+});
+
+test('the repair prompt lists the violations and the rejected reply', () => {
+    const prompt = buildRepairPrompt('Evaluate this.', [{ field: 'score', message: 'score must be an integer from 1 to 10' }], { score: 11 });
+    assert.match(prompt, /^Evaluate this\./);
+    assert.match(prompt, /- score: score must be an integer from 1 to 10/);
+    assert.match(prompt, /\{"score":11\}/);
+});
+
+test('a non-JSON reply is repaired on the second attempt', async () => {
+    const provider = scriptedProvider([notJson(), validVerdict()]);
+    const guardian = createGuardian({ providers: [provider] });
+
+    const verdict = await guardian.evaluate('gold light over the torn wing', 1);
+    assert.equal(verdict.approved, true);
+    assert.equal(verdict.score, 7);
+    assert.equal(provider.prompts.length, 2);
+    assert.match(provider.prompts[1], /\$: reply must be a single JSON object/);
+
+    const stats = guardian.getSchemaStats();
+    assert.equal(stats.repaired, 1);
+    assert.equal(stats.violations['$:json'], 1);
+});
+
+test('a verdict that is still invalid after the repair degrades to a soft reject', async () => {
+    const provider = scriptedProvider([notJson(), notJson()]);
+    const guardian = createGuardian({ providers: [provider] });
+
+    const verdict = await guardian.evaluate('gold light over the torn wing', 1);
+    assert.equal(verdict.approved, false);
+    assert.equal(verdict.softReject, true);
+    assert.equal(verdict.degraded, 'schema');
+    assert.equal(provider.prompts.length, 2);
+    assert.equal(guardian.getSchemaStats().degraded, 1);
+});
+
+test('an out-of-range reply is never passed through', async () => {
+    const provider = scriptedProvider([validVerdict({ score: 12 }), validVerdict({ score: 12 })]);
+    const verdict = await createGuardian({ providers: [provider] }).evaluate('gold light', 1);
+    assert.equal(verdict.approved, false);
+    assert.equal(verdict.degraded, 'schema');
+});
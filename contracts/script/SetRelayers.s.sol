@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "forge-std/Script.sol";
+
+interface IAfterPatmosClaimer {
+    function setRelayer(address relayer, bool allowed) external;
+    function isRelayer(address account) external view returns (bool);
+}
+
+/**
+ * @notice Whitelist the backend relayer pool on the claimer contract
+ * @dev CLAIMER_CONTRACT=0x... RELAYER_ADDRESSES=0xA,0xB forge script script/SetRelayers.s.sol --broadcast
+ */
+contract SetRelayersScript is Script {
+    function run() external {
+        uint256 deployerPrivateKey = vm.envUint("PRIVATE_KEY");
+        address claimer = vm.envAddress("CLAIMER_CONTRACT");
+        address[] memory relayers = vm.envAddress("RELAYER_ADDRESSES", ",");
+
+        vm.startBroadcast(deployerPrivateKey);
+
+        for (uint256 i = 0; i < relayers.length; i++) {
+            IAfterPatmosClaimer(claimer).setRelayer(relayers[i], true);
+        }
+
+        vm.stopBroadcast();
+
+        for (uint256 i = 0; i < relayers.length; i++) {
+            console.log("Relayer:", relayers[i], IAfterPatmosClaimer(claimer).isRelayer(relayers[i]));
+        }
+    }
+}
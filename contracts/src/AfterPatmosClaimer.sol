@@ -7,6 +7,7 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 
 /**
  * @title AfterPatmosClaimer
@@ -19,8 +20,9 @@ import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
  *      - Unchecked math for safe operations (~80 gas per loop)
  *      - Nonce-based signature replay protection
  *      - Cached storage reads for gas efficiency
+ *      - EIP-712 typed Guardian approvals (readable in wallets, bound to chain, contract and deadline)
  */
-contract AfterPatmosClaimer is Ownable, ReentrancyGuard, IERC721Receiver {
+contract AfterPatmosClaimer is Ownable, ReentrancyGuard, IERC721Receiver, EIP712 {
     using ECDSA for bytes32;
     using MessageHashUtils for bytes32;
 
@@ -30,12 +32,20 @@ contract AfterPatmosClaimer is Ownable, ReentrancyGuard, IERC721Receiver {
     // Address authorized to sign claim approvals (backend service wallet)
     address public signer;
 
+    // Additional backend wallets allowed to relay (the signer can always relay)
+    mapping(address => bool) public relayers;
+
     // Mapping of addresses that have already claimed
     mapping(address => bool) public hasClaimed;
 
     // Nonce for signature replay protection
     mapping(address => uint256) public nonces;
 
+    // EIP-712 Guardian approval (guardianApproval.js builds the same struct off-chain)
+    bytes32 public constant GUARDIAN_APPROVAL_TYPEHASH = keccak256(
+        "GuardianApproval(address recipient,uint256 tokenId,bytes32 observationHash,uint256 nonce,uint256 deadline)"
+    );
+
     // ============ GAS OPTIMIZATION: Bitmap for token tracking ============
     // Two uint256s can track 256 tokens (we only need 100)
     // Bit 0 = token 1, Bit 99 = token 100
@@ -53,12 +63,14 @@ contract AfterPatmosClaimer is Ownable, ReentrancyGuard, IERC721Receiver {
     event NFTDeposited(uint256 indexed tokenId, uint256 timestamp);
     event NFTWithdrawn(uint256 indexed tokenId, address indexed to);
     event SignerUpdated(address indexed oldSigner, address indexed newSigner);
+    event RelayerUpdated(address indexed relayer, bool allowed);
     event ETHDeposited(address indexed from, uint256 amount);
     event ETHWithdrawn(address indexed to, uint256 amount);
 
     // Custom Errors (save ~50 gas each vs require strings)
     error AlreadyClaimed();
     error InvalidSignature();
+    error ApprovalExpired();
     error TokenNotAvailable();
     error NoTokensAvailable();
     error ObservationTooShort();
@@ -75,13 +87,24 @@ contract AfterPatmosClaimer is Ownable, ReentrancyGuard, IERC721Receiver {
     constructor(
         address _nftContract,
         address _signer
-    ) Ownable(msg.sender) {
+    ) Ownable(msg.sender) EIP712("AfterPatmosClaimer", "1") {
         if (_nftContract == address(0)) revert ZeroAddress();
         if (_signer == address(0)) revert ZeroAddress();
         nftContract = IERC721(_nftContract);
         signer = _signer;
     }
 
+    // ============ Relayer Helper Functions ============
+
+    /**
+     * @notice Check if an address may call the relay functions
+     * @param account Address to check
+     * @return True for the signer and whitelisted relayers
+     */
+    function isRelayer(address account) public view returns (bool) {
+        return account == signer || relayers[account];
+    }
+
     // ============ Bitmap Helper Functions ============
 
     /**
@@ -360,11 +383,99 @@ contract AfterPatmosClaimer is Ownable, ReentrancyGuard, IERC721Receiver {
         return nonces[user];
     }
 
+    /**
+     * @notice EIP-712 digest of a Guardian approval
+     * @param recipient Address that will receive the NFT (msg.sender of the claim)
+     * @param tokenId The token ID to claim
+     * @param observationHash keccak256 of the observation text
+     * @param nonce The recipient's current nonce
+     * @param deadline Unix timestamp after which the approval is void
+     * @return The typed-data hash the signer signs
+     */
+    function hashGuardianApproval(
+        address recipient,
+        uint256 tokenId,
+        bytes32 observationHash,
+        uint256 nonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(abi.encode(GUARDIAN_APPROVAL_TYPEHASH, recipient, tokenId, observationHash, nonce, deadline))
+        );
+    }
+
+    /**
+     * @notice EIP-712 domain separator (name "AfterPatmosClaimer", version "1")
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
     // ============ Claim Functions ============
 
     /**
-     * @notice Claim an NFT by providing an approved observation
-     * @dev Includes nonce in signature to prevent replay attacks
+     * @notice Claim an NFT with an EIP-712 Guardian approval
+     * @dev The approval names the recipient (msg.sender), token, observation hash, nonce and
+     *      deadline under this contract's domain, so it cannot be replayed on another chain or claimer
+     * @param tokenId The token ID to claim
+     * @param observation The observation text (1-250 characters)
+     * @param deadline Unix timestamp the approval is valid until
+     * @param signature Backend EIP-712 signature of the GuardianApproval
+     */
+    function claimNFTWithApproval(
+        uint256 tokenId,
+        string calldata observation,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant {
+        if (block.timestamp > deadline) revert ApprovalExpired();
+
+        // Check if caller has already claimed
+        if (hasClaimed[msg.sender]) revert AlreadyClaimed();
+
+        // Validate observation length
+        uint256 obsLength = bytes(observation).length;
+        if (obsLength < 1) revert ObservationTooShort();
+        if (obsLength > 250) revert ObservationTooLong();
+
+        // Cache bitmaps for gas efficiency
+        uint256 claimedBitmap = _claimedBitmapLow;
+        uint256 depositedBitmap = _depositedBitmapLow;
+
+        // Check if token is available (using cached bitmaps)
+        if (_isTokenClaimedCached(claimedBitmap, tokenId) || !_isTokenDepositedCached(depositedBitmap, tokenId)) {
+            revert TokenNotAvailable();
+        }
+        if (nftContract.ownerOf(tokenId) != address(this)) {
+            revert TokenNotAvailable();
+        }
+
+        // Verify the typed approval from the backend (includes nonce)
+        uint256 currentNonce = nonces[msg.sender];
+        bytes32 digest = hashGuardianApproval(
+            msg.sender, tokenId, keccak256(bytes(observation)), currentNonce, deadline
+        );
+        if (digest.recover(signature) != signer) revert InvalidSignature();
+
+        // Update state
+        unchecked {
+            nonces[msg.sender] = currentNonce + 1;
+        }
+        hasClaimed[msg.sender] = true;
+        _setTokenClaimed(tokenId);
+        _setHasObservation(tokenId);  // Mark token as having observation (one per token forever)
+
+        // Transfer NFT to claimer
+        nftContract.safeTransferFrom(address(this), msg.sender, tokenId);
+
+        // Emit event with observation (stored in event logs, not state)
+        emit NFTClaimed(msg.sender, tokenId, observation, block.timestamp);
+    }
+
+    /**
+     * @notice Claim an NFT by providing an approved observation (legacy eth_sign approval)
+     * @dev Includes nonce in signature to prevent replay attacks. Kept for vouchers issued
+     *      before EIP-712 approvals; new vouchers are redeemed with claimNFTWithApproval
      * @param tokenId The token ID to claim
      * @param observation The observation text (1-250 characters)
      * @param signature Backend signature approving this claim
@@ -423,7 +534,7 @@ contract AfterPatmosClaimer is Ownable, ReentrancyGuard, IERC721Receiver {
 
     /**
      * @notice Relayer function - backend executes claim on behalf of user
-     * @dev Only the signer can call this. Used for gasless claims.
+     * @dev Only the signer or a whitelisted relayer can call this. Used for gasless claims.
      *      Observation stored in event only (90% gas savings vs storage)
      * @param recipient The address to receive the NFT
      * @param tokenId The token ID to claim
@@ -434,8 +545,8 @@ contract AfterPatmosClaimer is Ownable, ReentrancyGuard, IERC721Receiver {
         uint256 tokenId,
         string calldata observation
     ) external nonReentrant {
-        // Only signer (backend) can relay claims
-        if (msg.sender != signer) revert OnlySignerAllowed();
+        // Only signer or whitelisted relayers (backend) can relay claims
+        if (!isRelayer(msg.sender)) revert OnlySignerAllowed();
 
         // Check if recipient has already claimed
         if (hasClaimed[recipient]) revert AlreadyClaimed();
@@ -501,7 +612,7 @@ contract AfterPatmosClaimer is Ownable, ReentrancyGuard, IERC721Receiver {
 
     /**
      * @notice Relay observation for an NFT owner (gasless)
-     * @dev Only signer can call. Verifies ownership before emitting. Each token can only have ONE observation forever.
+     * @dev Only signer or a whitelisted relayer can call. Verifies ownership before emitting. Each token can only have ONE observation forever.
      * @param owner The address that owns the NFT
      * @param tokenId The token ID
      * @param observation The observation text
@@ -511,8 +622,8 @@ contract AfterPatmosClaimer is Ownable, ReentrancyGuard, IERC721Receiver {
         uint256 tokenId,
         string calldata observation
     ) external nonReentrant {
-        // Only signer (backend) can relay
-        if (msg.sender != signer) revert OnlySignerAllowed();
+        // Only signer or whitelisted relayers (backend) can relay
+        if (!isRelayer(msg.sender)) revert OnlySignerAllowed();
 
         // Verify the owner actually owns the NFT
         if (nftContract.ownerOf(tokenId) != owner) revert NotTokenOwner();
@@ -544,6 +655,17 @@ contract AfterPatmosClaimer is Ownable, ReentrancyGuard, IERC721Receiver {
         signer = newSigner;
     }
 
+    /**
+     * @notice Allow or revoke an additional relayer wallet
+     * @param relayer Relayer address
+     * @param allowed True to whitelist, false to revoke
+     */
+    function setRelayer(address relayer, bool allowed) external onlyOwner {
+        if (relayer == address(0)) revert ZeroAddress();
+        relayers[relayer] = allowed;
+        emit RelayerUpdated(relayer, allowed);
+    }
+
     /**
      * @notice Deposit NFTs into the contract (must approve first)
      * @param tokenIds Array of token IDs to deposit
@@ -38,6 +38,7 @@ contract AfterPatmosClaimerTest is Test {
         string observation,
         uint256 timestamp
     );
+    event RelayerUpdated(address indexed relayer, bool allowed);
 
     function setUp() public {
         signer = vm.addr(signerPrivateKey);
@@ -202,6 +203,217 @@ contract AfterPatmosClaimerTest is Test {
         assertEq(claimer.getNonce(user1), 2);
     }
 
+    function testNonceBoundVoucherRedeemsViaClaimNFT() public {
+        // Setup: deposit token 1
+        vm.startPrank(owner);
+        nft.mintSpecific(owner, 1);
+        nft.setApprovalForAll(address(claimer), true);
+        uint256[] memory tokenIds = new uint256[](1);
+        tokenIds[0] = 1;
+        claimer.depositNFTs(tokenIds);
+        vm.stopPrank();
+
+        // Voucher in the (recipient, tokenId, observation, nonce) format, signed with the
+        // recipient's current nonce - vouchers issued before EIP-712 approvals
+        string memory observation = "The fractured blues pull me toward the horizon";
+        bytes memory voucherSignature = _signClaimWithNonce(user1, 1, observation, claimer.getNonce(user1));
+
+        vm.prank(user1);
+        claimer.claimNFT(1, observation, voucherSignature);
+
+        assertEq(nft.ownerOf(1), user1);
+        assertEq(claimer.getNonce(user1), 1);
+    }
+
+    function testVoucherWithoutNonceIsRejected() public {
+        // Setup: deposit token 1
+        vm.startPrank(owner);
+        nft.mintSpecific(owner, 1);
+        nft.setApprovalForAll(address(claimer), true);
+        uint256[] memory tokenIds = new uint256[](1);
+        tokenIds[0] = 1;
+        claimer.depositNFTs(tokenIds);
+        vm.stopPrank();
+
+        // Old backend format: (address, tokenId, observation) with no nonce
+        string memory observation = "The fractured blues pull me toward the horizon";
+        bytes32 messageHash = keccak256(abi.encodePacked(user1, uint256(1), observation));
+        bytes32 ethSignedHash = MessageHashUtils.toEthSignedMessageHash(messageHash);
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(signerPrivateKey, ethSignedHash);
+
+        vm.prank(user1);
+        vm.expectRevert(AfterPatmosClaimer.InvalidSignature.selector);
+        claimer.claimNFT(1, observation, abi.encodePacked(r, s, v));
+    }
+
+    // ============ EIP-712 Guardian Approvals ============
+
+    function testClaimNFTWithApproval() public {
+        // Setup: deposit token 1
+        vm.startPrank(owner);
+        nft.mintSpecific(owner, 1);
+        nft.setApprovalForAll(address(claimer), true);
+        uint256[] memory tokenIds = new uint256[](1);
+        tokenIds[0] = 1;
+        claimer.depositNFTs(tokenIds);
+        vm.stopPrank();
+
+        string memory observation = "I see the beauty of chaos in this piece";
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signApproval(signerPrivateKey, user1, 1, observation, 0, deadline);
+
+        vm.expectEmit(true, true, false, true);
+        emit NFTClaimed(user1, 1, observation, block.timestamp);
+
+        vm.prank(user1);
+        claimer.claimNFTWithApproval(1, observation, deadline, signature);
+
+        assertEq(nft.ownerOf(1), user1);
+        assertTrue(claimer.hasClaimed(user1));
+        assertEq(claimer.getNonce(user1), 1);
+        assertTrue(claimer.hasObservation(1));
+    }
+
+    function testBackendApprovalRedeemsViaClaimNFTWithApproval() public {
+        // Setup: deposit token 1
+        vm.startPrank(owner);
+        nft.mintSpecific(owner, 1);
+        nft.setApprovalForAll(address(claimer), true);
+        uint256[] memory tokenIds = new uint256[](1);
+        tokenIds[0] = 1;
+        claimer.depositNFTs(tokenIds);
+        vm.stopPrank();
+
+        // Approval produced by guardianApproval.js (signApproval) with signer key 0x1234,
+        // recipient user1, token 1, nonce 0, deadline 2000000000, chain 31337 and the
+        // claimer deployed by owner at nonce 1 - backend/test/claimVoucher.test.js
+        // checks that createClaimVoucher still produces exactly this signature
+        assertEq(address(claimer), 0x535B3D7A252fa034Ed71F0C53ec0C6F784cB64E1);
+        string memory observation = "The fractured blues pull me toward the horizon";
+        assertEq(
+            claimer.hashGuardianApproval(user1, 1, keccak256(bytes(observation)), 0, 2000000000),
+            bytes32(0xa135d06bdc1814f6277baffa51548c41e5460169657725393d00c08888b7aea5)
+        );
+        bytes memory approvalSignature = hex"59eed0bf1f28d93c5a7aec08cad3ebc73df51ec37f2e7727e2bb5dbea8dda3d110bca1510648a127f0c8c832cd07ae935df8e776fe2f49f033cd4494f5fb09351b";
+
+        vm.prank(user1);
+        claimer.claimNFTWithApproval(1, observation, 2000000000, approvalSignature);
+
+        assertEq(nft.ownerOf(1), user1);
+        assertEq(claimer.getNonce(user1), 1);
+    }
+
+    function testApprovalRevertsAfterDeadline() public {
+        // Setup: deposit token 1
+        vm.startPrank(owner);
+        nft.mintSpecific(owner, 1);
+        nft.setApprovalForAll(address(claimer), true);
+        uint256[] memory tokenIds = new uint256[](1);
+        tokenIds[0] = 1;
+        claimer.depositNFTs(tokenIds);
+        vm.stopPrank();
+
+        string memory observation = "Test observation";
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signApproval(signerPrivateKey, user1, 1, observation, 0, deadline);
+
+        vm.warp(deadline + 1);
+        vm.prank(user1);
+        vm.expectRevert(AfterPatmosClaimer.ApprovalExpired.selector);
+        claimer.claimNFTWithApproval(1, observation, deadline, signature);
+
+        // Stretching the deadline invalidates the signature
+        vm.prank(user1);
+        vm.expectRevert(AfterPatmosClaimer.InvalidSignature.selector);
+        claimer.claimNFTWithApproval(1, observation, deadline + 1 hours, signature);
+    }
+
+    function testApprovalIsBoundToRecipientAndObservation() public {
+        // Setup: deposit token 1
+        vm.startPrank(owner);
+        nft.mintSpecific(owner, 1);
+        nft.setApprovalForAll(address(claimer), true);
+        uint256[] memory tokenIds = new uint256[](1);
+        tokenIds[0] = 1;
+        claimer.depositNFTs(tokenIds);
+        vm.stopPrank();
+
+        string memory observation = "Test observation";
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signApproval(signerPrivateKey, user1, 1, observation, 0, deadline);
+
+        // Another wallet cannot redeem it
+        vm.prank(user2);
+        vm.expectRevert(AfterPatmosClaimer.InvalidSignature.selector);
+        claimer.claimNFTWithApproval(1, observation, deadline, signature);
+
+        // Nor can the words be changed
+        vm.prank(user1);
+        vm.expectRevert(AfterPatmosClaimer.InvalidSignature.selector);
+        claimer.claimNFTWithApproval(1, "Different observation", deadline, signature);
+
+        // A signature from any other key is refused
+        bytes memory forged = _signApproval(0x5678, user1, 1, observation, 0, deadline);
+        vm.prank(user1);
+        vm.expectRevert(AfterPatmosClaimer.InvalidSignature.selector);
+        claimer.claimNFTWithApproval(1, observation, deadline, forged);
+    }
+
+    function testApprovalReplayProtection() public {
+        // Setup: deposit two NFTs
+        vm.startPrank(owner);
+        nft.mintSpecific(owner, 1);
+        nft.mintSpecific(owner, 2);
+        nft.setApprovalForAll(address(claimer), true);
+        uint256[] memory tokenIds = new uint256[](2);
+        tokenIds[0] = 1;
+        tokenIds[1] = 2;
+        claimer.depositNFTs(tokenIds);
+        vm.stopPrank();
+
+        string memory observation = "Test observation";
+        uint256 deadline = block.timestamp + 1 hours;
+
+        vm.prank(user1);
+        claimer.claimNFTWithApproval(1, observation, deadline, _signApproval(signerPrivateKey, user1, 1, observation, 0, deadline));
+
+        vm.prank(owner);
+        claimer.resetClaimStatus(user1);
+
+        // An approval for the spent nonce no longer verifies
+        bytes memory stale = _signApproval(signerPrivateKey, user1, 2, observation, 0, deadline);
+        vm.prank(user1);
+        vm.expectRevert(AfterPatmosClaimer.InvalidSignature.selector);
+        claimer.claimNFTWithApproval(2, observation, deadline, stale);
+
+        vm.prank(user1);
+        claimer.claimNFTWithApproval(2, observation, deadline, _signApproval(signerPrivateKey, user1, 2, observation, 1, deadline));
+        assertEq(nft.ownerOf(2), user1);
+    }
+
+    function testApprovalIsBoundToClaimerContract() public {
+        // A second claimer with the same signer has its own domain
+        vm.startPrank(owner);
+        AfterPatmosClaimer otherClaimer = new AfterPatmosClaimer(address(nft), signer);
+        nft.mintSpecific(owner, 1);
+        nft.setApprovalForAll(address(claimer), true);
+        uint256[] memory tokenIds = new uint256[](1);
+        tokenIds[0] = 1;
+        claimer.depositNFTs(tokenIds);
+        vm.stopPrank();
+
+        assertTrue(otherClaimer.domainSeparator() != claimer.domainSeparator());
+
+        string memory observation = "Test observation";
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes32 otherDigest = otherClaimer.hashGuardianApproval(user1, 1, keccak256(bytes(observation)), 0, deadline);
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(signerPrivateKey, otherDigest);
+
+        vm.prank(user1);
+        vm.expectRevert(AfterPatmosClaimer.InvalidSignature.selector);
+        claimer.claimNFTWithApproval(1, observation, deadline, abi.encodePacked(r, s, v));
+    }
+
     function testRelayClaimNFT() public {
         // Setup: deposit an NFT
         uint256 tokenId = 5;
@@ -334,6 +546,35 @@ contract AfterPatmosClaimerTest is Test {
         return abi.encodePacked(r, s, v);
     }
 
+    // Helper: EIP-712 Guardian approval, built field by field as the spec defines it
+    function _signApproval(
+        uint256 privateKey,
+        address recipient,
+        uint256 tokenId,
+        string memory observation,
+        uint256 nonce,
+        uint256 deadline
+    ) internal view returns (bytes memory) {
+        bytes32 domainSeparator = keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256("AfterPatmosClaimer"),
+            keccak256("1"),
+            block.chainid,
+            address(claimer)
+        ));
+        bytes32 structHash = keccak256(abi.encode(
+            claimer.GUARDIAN_APPROVAL_TYPEHASH(),
+            recipient,
+            tokenId,
+            keccak256(bytes(observation)),
+            nonce,
+            deadline
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator, structHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(privateKey, digest);
+        return abi.encodePacked(r, s, v);
+    }
+
     // Legacy helper without nonce (for relay tests that don't need it)
     function _signClaim(address claimer_, uint256 tokenId, string memory observation) internal view returns (bytes memory) {
         return _signClaimWithNonce(claimer_, tokenId, observation, claimer.getNonce(claimer_));
@@ -468,6 +709,85 @@ contract AfterPatmosClaimerTest is Test {
         claimer.setSigner(newSigner);
     }
 
+    function testSetRelayer() public {
+        address relayer = address(77);
+        assertFalse(claimer.isRelayer(relayer));
+
+        vm.prank(owner);
+        claimer.setRelayer(relayer, true);
+        assertTrue(claimer.relayers(relayer));
+        assertTrue(claimer.isRelayer(relayer));
+
+        vm.prank(owner);
+        claimer.setRelayer(relayer, false);
+        assertFalse(claimer.isRelayer(relayer));
+
+        // The signer is always a relayer
+        assertTrue(claimer.isRelayer(signer));
+    }
+
+    function testSetRelayerEmitsEvent() public {
+        address relayer = address(77);
+
+        vm.expectEmit(true, false, false, true);
+        emit RelayerUpdated(relayer, true);
+
+        vm.prank(owner);
+        claimer.setRelayer(relayer, true);
+    }
+
+    function testSetRelayerRevertsWithZeroAddress() public {
+        vm.prank(owner);
+        vm.expectRevert(AfterPatmosClaimer.ZeroAddress.selector);
+        claimer.setRelayer(address(0), true);
+    }
+
+    function testOnlyOwnerCanSetRelayer() public {
+        vm.prank(user1);
+        vm.expectRevert();
+        claimer.setRelayer(user1, true);
+    }
+
+    function testWhitelistedRelayerCanRelay() public {
+        address relayer = address(77);
+        uint256 tokenId = 5;
+        vm.startPrank(owner);
+        nft.mintSpecific(owner, tokenId);
+        nft.mintSpecific(user2, 10);
+        nft.setApprovalForAll(address(claimer), true);
+        uint256[] memory tokenIds = new uint256[](1);
+        tokenIds[0] = tokenId;
+        claimer.depositNFTs(tokenIds);
+        claimer.setRelayer(relayer, true);
+        vm.stopPrank();
+
+        vm.prank(relayer);
+        claimer.relayClaimNFT(user1, tokenId, "Relayed through the pool");
+        assertEq(nft.ownerOf(tokenId), user1);
+
+        vm.prank(relayer);
+        claimer.relayAddObservation(user2, 10, "Relayed gallery observation");
+        assertTrue(claimer.hasObservation(10));
+    }
+
+    function testRevokedRelayerCannotRelay() public {
+        address relayer = address(77);
+        uint256 tokenId = 5;
+        vm.startPrank(owner);
+        nft.mintSpecific(owner, tokenId);
+        nft.setApprovalForAll(address(claimer), true);
+        uint256[] memory tokenIds = new uint256[](1);
+        tokenIds[0] = tokenId;
+        claimer.depositNFTs(tokenIds);
+        claimer.setRelayer(relayer, true);
+        claimer.setRelayer(relayer, false);
+        vm.stopPrank();
+
+        vm.prank(relayer);
+        vm.expectRevert(AfterPatmosClaimer.OnlySignerAllowed.selector);
+        claimer.relayClaimNFT(user1, tokenId, "Revoked relayer");
+    }
+
     function testResetClaimStatus() public {
         // Setup and claim
         uint256 tokenId = 1;
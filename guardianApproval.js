@@ -0,0 +1,178 @@
+/**
+ * Guardian Approvals (EIP-712) for After Patmos
+ *
+ * When the gasless relay fails, the Guardian hands the observer a typed
+ * approval they redeem themselves through AfterPatmosClaimer.claimNFTWithApproval.
+ * Wallets show every field instead of an opaque hash, and the signature is
+ * bound to one chain, one claimer contract and a deadline:
+ *
+ *   domain  { name: 'AfterPatmosClaimer', version: '1', chainId, verifyingContract }
+ *   GuardianApproval(address recipient, uint256 tokenId, bytes32 observationHash,
+ *                    uint256 nonce, uint256 deadline)
+ *
+ * observationHash is keccak256 of the UTF-8 observation, nonce the recipient's
+ * claimer nonce (single use) and deadline a unix timestamp the contract enforces.
+ *
+ * This file has no dependencies beyond ethers (v5 or v6) and checks an
+ * approval entirely offline, so the frontend, the backend, tests and anyone
+ * else can verify what the Guardian signed:
+ *
+ *   Browser:  <script src="guardianApproval.js"></script> after ethers -> window.GuardianApproval
+ *   Node:     const GuardianApproval = require('./guardianApproval')(require('ethers'));
+ */
+
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: the caller passes its own ethers, so this file needs no node_modules of its own
+        module.exports = factory;
+    } else {
+        root.GuardianApproval = factory(root.ethers);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers) {
+    'use strict';
+
+    if (!ethers) {
+        throw new Error('GuardianApproval needs ethers (v5 or v6)');
+    }
+
+    // ethers v6 exposes helpers at the top level, v5 under ethers.utils
+    const utils = ethers.utils || ethers;
+    const TypedDataEncoder = ethers.TypedDataEncoder || utils._TypedDataEncoder;
+
+    const DOMAIN_NAME = 'AfterPatmosClaimer';
+    const DOMAIN_VERSION = '1';
+
+    const TYPES = {
+        GuardianApproval: [
+            { name: 'recipient', type: 'address' },
+            { name: 'tokenId', type: 'uint256' },
+            { name: 'observationHash', type: 'bytes32' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+        ]
+    };
+
+    /**
+     * EIP-712 domain of a claimer contract
+     * @param {Object} options - { chainId, verifyingContract }
+     */
+    function buildDomain({ chainId, verifyingContract }) {
+        return {
+            name: DOMAIN_NAME,
+            version: DOMAIN_VERSION,
+            chainId: Number(chainId),
+            verifyingContract: utils.getAddress(verifyingContract)
+        };
+    }
+
+    /**
+     * keccak256 of the UTF-8 observation, as the contract hashes it
+     */
+    function hashObservation(observation) {
+        return utils.id(observation);
+    }
+
+    /**
+     * Typed message for an approval
+     * @param {Object} approval - { recipient, tokenId, observation, nonce, deadline }
+     */
+    function buildMessage({ recipient, tokenId, observation, nonce, deadline }) {
+        return {
+            recipient: utils.getAddress(recipient),
+            tokenId: String(tokenId),
+            observationHash: hashObservation(observation),
+            nonce: String(nonce),
+            deadline: String(deadline)
+        };
+    }
+
+    /**
+     * Digest the contract recovers the signer from
+     * @param {Object} approval - { recipient, tokenId, observation, nonce, deadline, chainId, verifyingContract }
+     * @returns {string} 0x-prefixed 32-byte hash
+     */
+    function hashApproval(approval) {
+        return TypedDataEncoder.hash(buildDomain(approval), TYPES, buildMessage(approval));
+    }
+
+    /**
+     * Sign an approval with the Guardian signer
+     * @param {Object} signer - ethers Wallet / Signer (v5 or v6)
+     * @param {Object} approval - { recipient, tokenId, observation, nonce, deadline, chainId, verifyingContract }
+     * @returns {Promise<string>} Signature
+     */
+    function signApproval(signer, approval) {
+        const sign = signer.signTypedData ? signer.signTypedData.bind(signer) : signer._signTypedData.bind(signer);
+        return sign(buildDomain(approval), TYPES, buildMessage(approval));
+    }
+
+    /**
+     * Address that signed an approval
+     * @returns {string|null} Checksummed signer, or null if the signature is malformed
+     */
+    function recoverSigner(approval) {
+        try {
+            return utils.verifyTypedData(buildDomain(approval), TYPES, buildMessage(approval), approval.signature);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Check an approval offline
+     * @param {Object} approval - Approval as issued (fields above plus signature)
+     * @param {Object} [expected]
+     * @param {string} [expected.signer] - Guardian signer the claimer contract trusts
+     * @param {string} [expected.recipient] - Wallet that will redeem it (msg.sender)
+     * @param {number} [expected.chainId] - Chain the wallet is on
+     * @param {string} [expected.verifyingContract] - Claimer contract it will be sent to
+     * @param {string|number} [expected.nonce] - Recipient's current claimer nonce
+     * @param {number} [expected.now] - Unix seconds (defaults to the local clock)
+     * @returns {{ valid: boolean, signer: string|null, errors: string[] }}
+     */
+    function verifyApproval(approval, expected = {}) {
+        const errors = [];
+        const sameAddress = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+        const signer = recoverSigner(approval);
+        if (!signer) {
+            errors.push('signature is malformed');
+        } else if (expected.signer && !sameAddress(signer, expected.signer)) {
+            errors.push(`signed by ${signer}, not the Guardian signer ${utils.getAddress(expected.signer)}`);
+        }
+
+        const now = expected.now ?? Math.floor(Date.now() / 1000);
+        if (Number(approval.deadline) < now) {
+            errors.push('deadline has passed');
+        }
+        if (expected.recipient && !sameAddress(approval.recipient, expected.recipient)) {
+            errors.push('issued to a different recipient');
+        }
+        if (expected.chainId !== undefined && Number(approval.chainId) !== Number(expected.chainId)) {
+            errors.push(`issued for chain ${approval.chainId}, not ${expected.chainId}`);
+        }
+        if (expected.verifyingContract && !sameAddress(approval.verifyingContract, expected.verifyingContract)) {
+            errors.push('issued for a different claimer contract');
+        }
+        if (expected.nonce !== undefined && String(approval.nonce) !== String(expected.nonce)) {
+            errors.push('nonce has already been used');
+        }
+
+        return { valid: errors.length === 0, signer, errors };
+    }
+
+    return {
+        DOMAIN_NAME,
+        DOMAIN_VERSION,
+        TYPES,
+        buildDomain,
+        buildMessage,
+        hashObservation,
+        hashApproval,
+        signApproval,
+        recoverSigner,
+        verifyApproval
+    };
+});
@@ -317,8 +317,13 @@ function createNFTGrid(ownedTokens) {
             region.classList.add('blackout');
         }
 
+        // Availability is read from the tile itself so it can change in place
+        const isAvailable = () => !region.classList.contains('blackout');
+
+        const isHeld = () => region.classList.contains('held');
+
         // Tooltip on hover (desktop)
-        region.addEventListener('mouseenter', (e) => showTooltip(e, tokenId, isOwned));
+        region.addEventListener('mouseenter', (e) => showTooltip(e, tokenId, isAvailable(), isHeld()));
         region.addEventListener('mouseleave', hideTooltip);
         region.addEventListener('mousemove', moveTooltip);
 
@@ -330,7 +335,12 @@ function createNFTGrid(ownedTokens) {
                 e.stopPropagation();
                 return;
             }
-            handleRegionClick(tokenId, isOwned);
+            // Another observer holds this fragment right now
+            if (isAvailable() && isHeld()) {
+                showTooltip(e, tokenId, true, true);
+                return;
+            }
+            handleRegionClick(tokenId, isAvailable());
         });
 
         nftRegionsContainer.appendChild(region);
@@ -362,12 +372,16 @@ function initMobileZoom() {
 }
 
 // Tooltip functions
-function showTooltip(e, tokenId, isOwned) {
+function showTooltip(e, tokenId, isOwned, isHeld = false) {
     const tooltip = document.getElementById('tooltip');
     if (!tooltip) return;
 
-    const icon = isOwned ? '<span style="color: #4CAF50;">✓</span>' : '<span style="color: #f44336;">✗</span>';
-    const status = isOwned ? 'Available to claim' : 'Already claimed';
+    let icon = isOwned ? '<span style="color: #4CAF50;">✓</span>' : '<span style="color: #f44336;">✗</span>';
+    let status = isOwned ? 'Available to claim' : 'Already claimed';
+    if (isOwned && isHeld) {
+        icon = '<span style="color: #ffc107;">◉</span>';
+        status = 'Being observed';
+    }
     tooltip.innerHTML = `<strong>After Patmos #${tokenId}</strong> ${icon}<br>${status}`;
     tooltip.classList.add('active');
     moveTooltip(e);
@@ -451,6 +465,9 @@ async function openClaimModal(tokenId) {
         // Reset character count
         document.getElementById('observation-char-count').textContent = '0';
 
+        // A new fragment starts a new conversation with the Guardian
+        clearFacilitation();
+
         // Reset status
         if (claimStatus) {
             claimStatus.className = '';
@@ -469,6 +486,9 @@ async function openClaimModal(tokenId) {
 
         modal.classList.add('active');
 
+        // Hold this fragment while the observer writes
+        reserveFragment(parseInt(tokenId, 10));
+
         // Fetch and display NFT image
         try {
             const metadata = await fetchNFTMetadata(tokenId);
@@ -566,6 +586,10 @@ async function submitToGuardian() {
         return;
     }
 
+    // The backend acts only for the wallet the observer signed in with
+    const session = await ensureClaimSession(ethAddress, claimStatus);
+    if (!session) return;
+
     // Hide step 1, show step 2 (loading with progress)
     document.getElementById('claim-step-1').style.display = 'none';
     document.getElementById('claim-step-2').style.display = 'block';
@@ -579,12 +603,17 @@ async function submitToGuardian() {
         const response = await fetch(`${BACKEND_URL}/api/submit-observation`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${session.token}`
             },
             body: JSON.stringify({
                 address: ethAddress,
                 tokenId: parseInt(tokenId),
-                observation: observation
+                observation: observation,
+                reservationId: getReservationId(parseInt(tokenId, 10)),
+                // A reply to the Guardian's question continues the facilitation session
+                facilitationSessionId: activeFacilitation ? activeFacilitation.id : undefined,
+                inscribe: activeFacilitation ? getInscriptionChoice() : undefined
             })
         });
 
@@ -592,15 +621,36 @@ async function submitToGuardian() {
 
         const resultContainer = document.getElementById('guardian-result');
 
-        // Handle error responses (400, 500, etc.)
-        if (result.error) {
+        // The breaker opened between page load and submission - show the banner right away
+        if (result.paused) {
+            renderGuardianPausedBanner(true, result.error);
+        }
+
+        // Moderation asked for changes - back to the form with the words kept for editing
+        if (result.revise) {
+            document.getElementById('claim-step-2').style.display = 'none';
+            document.getElementById('claim-step-1').style.display = 'block';
+            claimStatus.textContent = result.error;
+            claimStatus.className = 'error';
+            claimStatus.style.display = 'block';
+            document.getElementById('claim-observation').focus();
+            return;
+        }
+
+        // The session expired or was revoked - the next submission signs in again
+        if (result.errorCode === 'SIWE_REQUIRED') {
+            window.walletState?.clearSession();
+        }
+
+        // Handle error responses (400, 500, etc.) - approved responses carry their own errors below
+        if (result.error && !result.approved) {
             // Hide step 2, show step 3 (result)
             document.getElementById('claim-step-2').style.display = 'none';
             document.getElementById('claim-step-3').style.display = 'block';
             resultContainer.innerHTML = `
                 <div class="guardian-rejected">
                     <div class="result-icon">⚠️</div>
-                    <h3>Unable to Process</h3>
+                    <h3>${result.duplicate ? 'An Echo, Not a Perception' : 'Unable to Process'}</h3>
                     <p class="result-message">${result.error}</p>
                     <button class="try-again-btn" onclick="resetClaimModal()">
                         Try Again
@@ -611,133 +661,25 @@ async function submitToGuardian() {
         }
 
         if (result.approved) {
+            // The dialogue is over - what was chosen is being inscribed
+            clearFacilitation();
+
             // Track successful approval
             if (window.afterPatmosAnalytics) {
                 window.afterPatmosAnalytics.trackClaimSuccess(parseInt(tokenId), result.score || 0);
             }
 
-            // Approved by Guardian - update to step 2 (broadcasting)
-            updateProgressSteps(2);
-
-            // Invalidate ownership cache so next load shows updated state
-            invalidateCache('ownership_cache');
-            localStorage.removeItem('afterpatmos_ownership_cache');
-
-            // Check if this is a "broadcasting" response (optimistic - tx submitted but not confirmed)
-            if (result.broadcasting && result.claimResult) {
-                // Show broadcasting status while tx confirms in background
-                // Hide step 2, show step 3 with pending status
-                document.getElementById('claim-step-2').style.display = 'none';
-                document.getElementById('claim-step-3').style.display = 'block';
-
-                resultContainer.innerHTML = `
-                    <div class="guardian-approved">
-                        <div class="result-icon">🎉</div>
-                        <h3>NFT Claim Submitted!</h3>
-                        <p class="result-message">Your observation has been deemed worthy!</p>
-                        <p class="result-reason">"${result.reason}"</p>
-                        <p class="result-score">Authenticity Score: ${result.score}/10</p>
-                        <div class="tx-info" style="margin-top: 20px; padding: 15px; background: rgba(255, 193, 7, 0.1); border-radius: 8px;">
-                            <p style="margin: 0 0 10px 0; color: #ffc107; font-weight: 600;">Transaction Broadcasting...</p>
-                            <p style="margin: 0; font-size: 12px; color: #888;">
-                                After Patmos #${result.claimResult.tokenId} is being sent to your wallet.
-                                <br>This usually takes 15-30 seconds.
-                            </p>
-                            <a href="${result.claimResult.etherscanUrl}" target="_blank"
-                               style="display: inline-block; margin-top: 10px; color: #ffc107; text-decoration: none;">
-                                Track on Etherscan →
-                            </a>
-                        </div>
-                        <button class="try-again-btn" style="margin-top: 20px;" onclick="closeClaimModal(); location.reload();">
-                            Close
-                        </button>
-                    </div>
-                `;
+            // Two-phase inscription - nothing is relayed until the observer confirms and signs the final words
+            if (result.awaitingConfirmation && result.approval) {
+                renderInscriptionConfirmation(result, tokenId, ethAddress);
                 return;
             }
 
-            // NFT was automatically claimed and confirmed
-            if (result.claimed && result.claimResult) {
-                // Hide step 2, show step 3 (result)
-                document.getElementById('claim-step-2').style.display = 'none';
-                document.getElementById('claim-step-3').style.display = 'block';
-
-                resultContainer.innerHTML = `
-                    <div class="guardian-approved">
-                        <div class="result-icon">🎉</div>
-                        <h3>NFT Claimed Successfully!</h3>
-                        <p class="result-message">Your observation has been deemed worthy and your NFT has been sent!</p>
-                        <p class="result-reason">"${result.reason}"</p>
-                        <p class="result-score">Authenticity Score: ${result.score}/10</p>
-                        <div class="tx-info" style="margin-top: 20px; padding: 15px; background: rgba(76, 175, 80, 0.1); border-radius: 8px;">
-                            <p style="margin: 0 0 10px 0; color: #4CAF50; font-weight: 600;">Transaction Confirmed</p>
-                            <p style="margin: 0; font-size: 12px; color: #888;">
-                                After Patmos #${result.claimResult.tokenId} is now yours!
-                            </p>
-                            <a href="${result.claimResult.etherscanUrl}" target="_blank"
-                               style="display: inline-block; margin-top: 10px; color: #4CAF50; text-decoration: none;">
-                                View on Etherscan →
-                            </a>
-                        </div>
-                        <button class="try-again-btn" style="margin-top: 20px;" onclick="closeClaimModal(); location.reload();">
-                            Close
-                        </button>
-                    </div>
-                `;
-            } else if (result.claimData && result.claimData.manualClaimRequired) {
-                // Automatic claim failed, manual claim needed
-                document.getElementById('claim-step-2').style.display = 'none';
-                document.getElementById('claim-step-3').style.display = 'block';
-
-                resultContainer.innerHTML = `
-                    <div class="guardian-approved">
-                        <div class="result-icon">✨</div>
-                        <h3>The Guardian Welcomes You</h3>
-                        <p class="result-message">Your observation has been deemed worthy.</p>
-                        <p class="result-reason">"${result.reason}"</p>
-                        <p class="result-score">Authenticity Score: ${result.score}/10</p>
-                        <p style="color: #ff9800; margin-top: 15px;">Automatic transfer failed. Please claim manually using the contract.</p>
-                        <button class="try-again-btn" style="margin-top: 20px;" onclick="closeClaimModal()">
-                            Close
-                        </button>
-                    </div>
-                `;
-            } else {
-                // Legacy flow with signature
-                document.getElementById('claim-step-2').style.display = 'none';
-                document.getElementById('claim-step-3').style.display = 'block';
-
-                resultContainer.innerHTML = `
-                    <div class="guardian-approved">
-                        <div class="result-icon">✨</div>
-                        <h3>The Guardian Welcomes You</h3>
-                        <p class="result-message">Your observation has been deemed worthy.</p>
-                        <p class="result-reason">"${result.reason}"</p>
-                        <p class="result-score">Authenticity Score: ${result.score}/10</p>
-                        <button class="claim-action-btn" id="execute-claim-btn" data-address="${encodeURIComponent(ethAddress)}" data-token-id="${tokenId}" data-observation="${encodeURIComponent(observation)}" data-signature="${encodeURIComponent(result.claimData?.signature || '')}" data-nonce="${result.claimData?.nonce || 0}">
-                            Claim Your NFT
-                        </button>
-                    </div>
-                `;
-                window.pendingClaimData = result.claimData;
-
-                // Attach event listener safely (avoids XSS from inline onclick)
-                const claimBtn = document.getElementById('execute-claim-btn');
-                if (claimBtn) {
-                    claimBtn.addEventListener('click', function() {
-                        const addr = decodeURIComponent(this.dataset.address);
-                        const tid = parseInt(this.dataset.tokenId, 10);
-                        const obs = decodeURIComponent(this.dataset.observation);
-                        const sig = decodeURIComponent(this.dataset.signature);
-                        const nonce = parseInt(this.dataset.nonce, 10);
-                        executeClaim(addr, tid, obs, sig, nonce);
-                    });
-                }
-            }
+            renderApprovedClaim(result, tokenId, ethAddress, observation);
 
         } else {
-            // Track rejection
-            if (window.afterPatmosAnalytics) {
+            // Track rejection (a degraded verdict is no judgement of the observation)
+            if (window.afterPatmosAnalytics && !result.degraded) {
                 window.afterPatmosAnalytics.trackClaimRejection(
                     parseInt(tokenId),
                     result.score || 0,
@@ -745,12 +687,22 @@ async function submitToGuardian() {
                 );
             }
 
+            // Soft rejection - continue as a dialogue instead of resetting the form
+            if (result.softReject && result.facilitation) {
+                renderFacilitationDialogue(result.facilitation, result);
+                document.getElementById('claim-step-2').style.display = 'none';
+                document.getElementById('claim-step-1').style.display = 'block';
+                document.getElementById('claim-observation').focus();
+                return;
+            }
+
             // Rejected by Guardian
+            clearFacilitation();
             document.getElementById('claim-step-2').style.display = 'none';
             document.getElementById('claim-step-3').style.display = 'block';
 
             const reasonText = result.reason ? `<p class="result-reason">"${result.reason}"</p>` : '';
-            const scoreText = result.score !== undefined ? `<p class="result-score">Score: ${result.score}/10 (minimum 5 required)</p>` : '';
+            const scoreText = result.score != null ? `<p class="result-score">Score: ${result.score}/10 (minimum 5 required)</p>` : '';
 
             resultContainer.innerHTML = `
                 <div class="guardian-rejected">
@@ -759,6 +711,7 @@ async function submitToGuardian() {
                     <p class="result-message">${result.message || 'Your observation was not deemed worthy.'}</p>
                     ${reasonText}
                     ${scoreText}
+                    ${renderRubricBreakdown(result.rubric)}
                     <button class="try-again-btn" onclick="resetClaimModal()">
                         Try Again
                     </button>
@@ -801,41 +754,1491 @@ async function submitToGuardian() {
     }
 }
 
-// Execute the actual claim after Guardian approval
-async function executeClaim(address, tokenId, observation, signature, nonce) {
+/**
+ * Sign-In With Ethereum session for the recipient address, signing in if needed
+ * @param {string} address - Recipient address from the claim form
+ * @param {HTMLElement} statusEl - Where to explain what is missing
+ * @returns {Promise<Object|null>} Session ({ token, address, expiresAt }), or null
+ */
+async function ensureClaimSession(address, statusEl) {
+    const showStatus = (message, isError = true) => {
+        statusEl.textContent = message;
+        statusEl.className = isError ? 'error' : '';
+        statusEl.style.display = 'block';
+    };
+
+    const connectedAddress = window.walletState?.getAddress();
+    if (!connectedAddress) {
+        showStatus('Connect the wallet that will receive this fragment - the Guardian only blesses wallets you control.');
+        document.getElementById('wallet-connect-modal')?.classList.add('active');
+        return null;
+    }
+    if (connectedAddress.toLowerCase() !== address.toLowerCase()) {
+        showStatus(`Your connected wallet is ${connectedAddress}. Fragments can only be claimed for the wallet you sign in with.`);
+        return null;
+    }
+
+    if (!window.walletState.getSession()) {
+        showStatus('Sign the message in your wallet to prove this address is yours...', false);
+    }
+    try {
+        const session = await window.walletState.signIn();
+        statusEl.style.display = 'none';
+        return session;
+    } catch (error) {
+        console.warn('[SIWE] Sign-in failed:', error.message);
+        showStatus('Sign-in was declined. The Guardian needs to know this wallet is yours.');
+        return null;
+    }
+}
+
+/**
+ * Show the outcome of a relayed (or deferred, or refused) claim
+ * @param {Object} result - Approved claim response
+ * @param {number|string} tokenId - Fragment being claimed
+ * @param {string} ethAddress - Recipient address
+ * @param {string} observation - The inscribed words
+ */
+function renderApprovedClaim(result, tokenId, ethAddress, observation) {
+    const resultContainer = document.getElementById('guardian-result');
+
+    // Approved by Guardian - update to step 2 (broadcasting)
+    updateProgressSteps(2);
+
+    // Invalidate ownership cache so next load shows updated state
+    invalidateCache('ownership_cache');
+    localStorage.removeItem('afterpatmos_ownership_cache');
+
+    // Fees are above the relayer's ceiling - the claim waits server-side until the chain calms
+    if (result.deferred && result.deferredClaim) {
+        document.getElementById('claim-step-2').style.display = 'none';
+        document.getElementById('claim-step-3').style.display = 'block';
+
+        // The backend now holds the fragment on our behalf
+        forgetClaimReservation();
+
+        resultContainer.innerHTML = `
+            <div class="guardian-approved">
+                <div class="result-icon">⏳</div>
+                <h3>Your Fragment Is Reserved</h3>
+                <p class="result-message">${result.message}</p>
+                <p class="result-reason">"${result.reason}"</p>
+                <p class="result-score">Authenticity Score: ${result.score}/10</p>
+                ${renderRubricBreakdown(result.rubric)}
+                <div class="tx-info" id="relay-tx-status" style="margin-top: 20px; padding: 15px; background: rgba(255, 193, 7, 0.1); border-radius: 8px;">
+                    <p style="margin: 0 0 10px 0; color: #ffc107; font-weight: 600;">Waiting for the Chain to Calm...</p>
+                    <p style="margin: 0; font-size: 12px; color: #888;">
+                        Network fees are high right now (${result.deferredClaim.baseFeeGwei} gwei).
+                        <br>After Patmos #${result.deferredClaim.tokenId} will be sent to your wallet once they drop - you can close this window.
+                    </p>
+                </div>
+                <button class="try-again-btn" style="margin-top: 20px;" onclick="closeClaimModal()">
+                    Close
+                </button>
+            </div>
+        `;
+
+        pollDeferredClaim(result.deferredClaim.id, parseInt(tokenId, 10));
+        return;
+    }
+
+    // Check if this is a "broadcasting" response (optimistic - tx submitted but not confirmed)
+    if (result.broadcasting && result.claimResult) {
+        // Show broadcasting status while tx confirms in background
+        // Hide step 2, show step 3 with pending status
+        document.getElementById('claim-step-2').style.display = 'none';
+        document.getElementById('claim-step-3').style.display = 'block';
+
+        resultContainer.innerHTML = `
+            <div class="guardian-approved">
+                <div class="result-icon">🎉</div>
+                <h3>NFT Claim Submitted!</h3>
+                <p class="result-message">Your observation has been deemed worthy!</p>
+                <p class="result-reason">"${result.reason}"</p>
+                <p class="result-score">Authenticity Score: ${result.score}/10</p>
+                ${renderRubricBreakdown(result.rubric)}
+                <div class="tx-info" id="relay-tx-status" style="margin-top: 20px; padding: 15px; background: rgba(255, 193, 7, 0.1); border-radius: 8px;">
+                    <p style="margin: 0 0 10px 0; color: #ffc107; font-weight: 600;">Transaction Broadcasting...</p>
+                    <p style="margin: 0; font-size: 12px; color: #888;">
+                        After Patmos #${result.claimResult.tokenId} is being sent to your wallet.
+                        <br>This usually takes 15-30 seconds.
+                    </p>
+                    <a href="${result.claimResult.etherscanUrl}" target="_blank"
+                       style="display: inline-block; margin-top: 10px; color: #ffc107; text-decoration: none;">
+                        Track on Etherscan →
+                    </a>
+                </div>
+                <button class="try-again-btn" style="margin-top: 20px;" onclick="closeClaimModal()">
+                    Close
+                </button>
+            </div>
+        `;
+
+        // Follow the relay to a final state instead of asking the user to reload
+        pollClaimStatus(result.claimResult.txHash, parseInt(tokenId, 10));
+        return;
+    }
+
+    // NFT was automatically claimed and confirmed
+    if (result.claimed && result.claimResult) {
+        // Hide step 2, show step 3 (result)
+        document.getElementById('claim-step-2').style.display = 'none';
+        document.getElementById('claim-step-3').style.display = 'block';
+
+        resultContainer.innerHTML = `
+            <div class="guardian-approved">
+                <div class="result-icon">🎉</div>
+                <h3>NFT Claimed Successfully!</h3>
+                <p class="result-message">Your observation has been deemed worthy and your NFT has been sent!</p>
+                <p class="result-reason">"${result.reason}"</p>
+                <p class="result-score">Authenticity Score: ${result.score}/10</p>
+                ${renderRubricBreakdown(result.rubric)}
+                <div class="tx-info" style="margin-top: 20px; padding: 15px; background: rgba(76, 175, 80, 0.1); border-radius: 8px;">
+                    <p style="margin: 0 0 10px 0; color: #4CAF50; font-weight: 600;">Transaction Confirmed</p>
+                    <p style="margin: 0; font-size: 12px; color: #888;">
+                        After Patmos #${result.claimResult.tokenId} is now yours!
+                    </p>
+                    <a href="${result.claimResult.etherscanUrl}" target="_blank"
+                       style="display: inline-block; margin-top: 10px; color: #4CAF50; text-decoration: none;">
+                        View on Etherscan →
+                    </a>
+                </div>
+                <button class="try-again-btn" style="margin-top: 20px;" onclick="closeClaimModal(); location.reload();">
+                    Close
+                </button>
+            </div>
+        `;
+    } else if (result.claimData && result.claimData.manualClaimRequired) {
+        // Automatic relay failed - the Guardian issued a voucher the observer redeems with their own wallet
+        document.getElementById('claim-step-2').style.display = 'none';
+        document.getElementById('claim-step-3').style.display = 'block';
+
+        resultContainer.innerHTML = `
+            <div class="guardian-approved">
+                <div class="result-icon">✨</div>
+                <h3>The Guardian Welcomes You</h3>
+                <p class="result-message">Your observation has been deemed worthy.</p>
+                <p class="result-reason">"${result.reason}"</p>
+                <p class="result-score">Authenticity Score: ${result.score}/10</p>
+                ${renderRubricBreakdown(result.rubric)}
+                <p style="color: #ff9800; margin-top: 15px;">The bridge falters. Claim your fragment directly with your wallet - you will pay the gas.</p>
+                <button class="claim-action-btn" id="execute-claim-btn">
+                    Claim With Your Wallet
+                </button>
+            </div>
+        `;
+        window.pendingClaimData = result.claimData;
+
+        const claimBtn = document.getElementById('execute-claim-btn');
+        if (claimBtn) {
+            const voucher = result.claimData;
+            claimBtn.addEventListener('click', () => {
+                executeClaim({
+                    ...voucher,
+                    recipient: voucher.recipient || ethAddress,
+                    tokenId: parseInt(voucher.tokenId, 10)
+                });
+            });
+        }
+    } else if (result.errorCode) {
+        // Approved, but the chain refuses the claim (decoded from the relay pre-flight)
+        document.getElementById('claim-step-2').style.display = 'none';
+        document.getElementById('claim-step-3').style.display = 'block';
+
+        // Someone else's claim landed first - keep the grid honest
+        if (result.errorCode === 'TOKEN_NOT_AVAILABLE') {
+            markTokenClaimed(parseInt(tokenId, 10));
+        }
+
+        const canRetry = ['RELAY_IN_FLIGHT', 'RELAY_FAILED', 'RELAY_REVERTED', 'NO_RELAYER_AVAILABLE', 'TRANSFER_FAILED'].includes(result.errorCode);
+
+        resultContainer.innerHTML = `
+            <div class="guardian-rejected">
+                <div class="result-icon">⚠️</div>
+                <h3>The Guardian Approves, But...</h3>
+                <p class="result-message">${result.error}</p>
+                <p class="result-reason">"${result.reason}"</p>
+                <button class="try-again-btn" onclick="${canRetry ? 'resetClaimModal()' : 'closeClaimModal()'}">
+                    ${canRetry ? 'Try Again' : 'Close'}
+                </button>
+            </div>
+        `;
+    } else {
+        // Legacy flow with signature
+        document.getElementById('claim-step-2').style.display = 'none';
+        document.getElementById('claim-step-3').style.display = 'block';
+
+        resultContainer.innerHTML = `
+            <div class="guardian-approved">
+                <div class="result-icon">✨</div>
+                <h3>The Guardian Welcomes You</h3>
+                <p class="result-message">Your observation has been deemed worthy.</p>
+                <p class="result-reason">"${result.reason}"</p>
+                <p class="result-score">Authenticity Score: ${result.score}/10</p>
+                ${renderRubricBreakdown(result.rubric)}
+                <button class="claim-action-btn" id="execute-claim-btn">
+                    Claim Your NFT
+                </button>
+            </div>
+        `;
+        window.pendingClaimData = result.claimData;
+
+        // Attach event listener safely (avoids XSS from inline onclick)
+        const claimBtn = document.getElementById('execute-claim-btn');
+        if (claimBtn) {
+            claimBtn.addEventListener('click', () => {
+                executeClaim({
+                    ...result.claimData,
+                    recipient: ethAddress,
+                    tokenId: parseInt(tokenId, 10),
+                    observation
+                });
+            });
+        }
+    }
+}
+
+// =============================================================================
+// INSCRIPTION CONFIRMATION - Approve first, then confirm and sign the final words
+// =============================================================================
+
+/**
+ * Collapse whitespace the way the backend does before comparing texts
+ */
+function normalizeInscription(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Levenshtein distance between the approved and the corrected words
+ */
+function inscriptionEditDistance(a, b) {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Message the recipient wallet signs to confirm an inscription
+ * Must match buildConfirmationMessage in backend/services/approvalTokens.js
+ */
+function buildConfirmationMessage({ address, tokenId, observation, approvalId }) {
+    return [
+        'After Patmos - confirm inscription',
+        '',
+        `Recipient: ${ethers.utils.getAddress(address)}`,
+        `Fragment: ${tokenId != null ? `#${tokenId}` : 'chosen by the Guardian'}`,
+        `Approval: ${approvalId}`,
+        '',
+        'Words to inscribe forever:',
+        normalizeInscription(observation)
+    ].join('\n');
+}
+
+/**
+ * Show the approved words for a last read - typos may be fixed before signing
+ * @param {Object} result - Approval response (awaitingConfirmation)
+ * @param {number|string} tokenId - Fragment being claimed
+ * @param {string} ethAddress - Recipient address
+ */
+function renderInscriptionConfirmation(result, tokenId, ethAddress) {
     const resultContainer = document.getElementById('guardian-result');
+    const { approval } = result;
+
+    document.getElementById('claim-step-2').style.display = 'none';
+    document.getElementById('claim-step-3').style.display = 'block';
+
+    resultContainer.innerHTML = `
+        <div class="guardian-approved inscription-confirmation">
+            <div class="result-icon">✒️</div>
+            <h3>The Guardian Approves</h3>
+            <p class="result-message">${result.message}</p>
+            <p class="result-reason"></p>
+            <p class="result-score">Authenticity Score: ${result.score}/10</p>
+            ${renderRubricBreakdown(result.rubric)}
+            <label for="confirm-observation" class="confirm-label">Your words, as they will be inscribed forever:</label>
+            <textarea id="confirm-observation" class="confirm-observation" rows="4" maxlength="250"></textarea>
+            <p id="confirm-hint" class="confirm-hint"></p>
+            <button class="claim-action-btn" id="confirm-inscription-btn">Sign &amp; Inscribe</button>
+            <p id="confirm-status" class="confirm-status" style="display: none;"></p>
+        </div>
+    `;
+
+    // Model and observer text is set as text, never markup
+    resultContainer.querySelector('.result-reason').textContent = `"${result.reason}"`;
+
+    const textarea = document.getElementById('confirm-observation');
+    const hint = document.getElementById('confirm-hint');
+    const confirmBtn = document.getElementById('confirm-inscription-btn');
+    const approvedText = normalizeInscription(approval.observation);
+    textarea.value = approval.observation;
+
+    const updateHint = () => {
+        const distance = inscriptionEditDistance(approvedText, normalizeInscription(textarea.value));
+        const withinAllowance = distance <= approval.maxEdits && normalizeInscription(textarea.value).length >= 10;
+        hint.textContent = distance === 0
+            ? `Only small corrections are accepted (up to ${approval.maxEdits} changed characters).`
+            : `${distance} of ${approval.maxEdits} corrections used.${withinAllowance ? '' : ' New words need a new evaluation - return to the Guardian.'}`;
+        hint.classList.toggle('over-limit', !withinAllowance);
+        confirmBtn.disabled = !withinAllowance;
+    };
+    textarea.addEventListener('input', updateHint);
+    updateHint();
+
+    confirmBtn.addEventListener('click', () => confirmInscription(result, tokenId, ethAddress));
+}
+
+/**
+ * Sign the final words with the recipient wallet and ask the backend to relay the claim
+ */
+async function confirmInscription(result, tokenId, ethAddress) {
+    const { approval } = result;
+    const statusEl = document.getElementById('confirm-status');
+    const confirmBtn = document.getElementById('confirm-inscription-btn');
+    const observation = normalizeInscription(document.getElementById('confirm-observation').value);
+
+    const showStatus = (message, isError = true) => {
+        statusEl.textContent = message;
+        statusEl.className = `confirm-status ${isError ? 'error' : ''}`;
+        statusEl.style.display = 'block';
+    };
+
+    const walletProvider = window.walletState?.getProvider();
+    const connectedAddress = window.walletState?.getAddress();
+    if (!walletProvider || !connectedAddress || typeof ethers === 'undefined') {
+        showStatus('Connect the wallet that will receive this fragment to sign your words.');
+        document.getElementById('wallet-connect-modal')?.classList.add('active');
+        return;
+    }
+    if (connectedAddress.toLowerCase() !== ethAddress.toLowerCase()) {
+        showStatus(`The Guardian blessed ${ethAddress}. Switch your wallet to that address to sign.`);
+        return;
+    }
+    if (Date.now() >= approval.expiresAt) {
+        showStatus('This approval has faded. Return to the Guardian for a fresh one.');
+        return;
+    }
+
+    confirmBtn.disabled = true;
+
+    let session;
+    try {
+        session = await window.walletState.signIn();
+    } catch (error) {
+        showStatus('Sign in with your wallet to confirm your words.');
+        confirmBtn.disabled = false;
+        return;
+    }
+
+    let signature;
+    try {
+        showStatus('Sign your words in your wallet...', false);
+        const signer = new ethers.providers.Web3Provider(walletProvider, 'any').getSigner();
+        signature = await signer.signMessage(buildConfirmationMessage({
+            address: ethAddress,
+            tokenId,
+            observation,
+            approvalId: approval.id
+        }));
+    } catch (error) {
+        showStatus('The signature was declined. Your approval waits until it fades.');
+        confirmBtn.disabled = false;
+        return;
+    }
+
+    try {
+        showStatus('Inscribing...', false);
+        const response = await fetch(`${BACKEND_URL}/api/confirm-claim`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${session.token}`
+            },
+            body: JSON.stringify({ approvalToken: approval.token, observation, signature })
+        });
+        const confirmed = await response.json();
+
+        if (confirmed.paused) {
+            renderGuardianPausedBanner(true, confirmed.error);
+        }
+
+        if (!confirmed.approved) {
+            if (confirmed.errorCode === 'SIWE_REQUIRED') {
+                window.walletState.clearSession();
+            }
+            showStatus(confirmed.error || 'The confirmation could not be processed.');
+            // Expired, used or lost approvals can't be retried from here
+            confirmBtn.disabled = ['APPROVAL_EXPIRED', 'APPROVAL_USED', 'APPROVAL_INVALID', 'RESERVATION_LOST'].includes(confirmed.errorCode);
+            return;
+        }
+
+        renderApprovedClaim(confirmed, tokenId, ethAddress, observation);
+    } catch (error) {
+        console.error('Error confirming inscription:', error);
+        showStatus('Could not reach the Guardian. Please try again.');
+        confirmBtn.disabled = false;
+    }
+}
+
+// =============================================================================
+// RUBRIC BREAKDOWN - How the Guardian scored each dimension
+// =============================================================================
+
+const RUBRIC_LABELS = {
+    authenticity: 'Authenticity',
+    perception: 'Perception',
+    depth: 'Depth',
+    effort: 'Effort'
+};
+
+/**
+ * Sub-score bars with the Guardian's one-line note for each dimension
+ * Notes come from the model, so they are set as text rather than markup
+ * @param {Object|null} rubric - { authenticity: { score, max, note }, ... }
+ * @returns {string} HTML (empty when there is no rubric)
+ */
+function renderRubricBreakdown(rubric) {
+    if (!rubric) return '';
+
+    const container = document.createElement('div');
+    container.className = 'rubric-breakdown';
+
+    Object.entries(RUBRIC_LABELS).forEach(([dimension, label]) => {
+        const entry = rubric[dimension];
+        if (!entry) return;
+
+        const row = document.createElement('div');
+        row.className = 'rubric-row';
+        if (entry.score < entry.max) row.classList.add('rubric-room-to-grow');
+
+        const header = document.createElement('div');
+        header.className = 'rubric-header';
+        const name = document.createElement('span');
+        name.textContent = label;
+        const points = document.createElement('span');
+        points.textContent = `${entry.score}/${entry.max}`;
+        header.append(name, points);
+
+        const bar = document.createElement('div');
+        bar.className = 'rubric-bar';
+        bar.setAttribute('role', 'meter');
+        bar.setAttribute('aria-label', label);
+        bar.setAttribute('aria-valuemin', '0');
+        bar.setAttribute('aria-valuemax', String(entry.max));
+        bar.setAttribute('aria-valuenow', String(entry.score));
+        const fill = document.createElement('div');
+        fill.className = 'rubric-bar-fill';
+        fill.style.width = `${entry.max > 0 ? (entry.score / entry.max) * 100 : 0}%`;
+        bar.append(fill);
+
+        const note = document.createElement('p');
+        note.className = 'rubric-note';
+        note.textContent = entry.note;
+
+        row.append(header, bar, note);
+        container.append(row);
+    });
+
+    return container.outerHTML;
+}
+
+// =============================================================================
+// FACILITATION DIALOGUE - Soft rejections continue as a conversation
+// =============================================================================
 
-    // For now, store the approved claim locally
-    // In production, this would interact with the smart contract
-    const approvedClaims = JSON.parse(localStorage.getItem('approved_claims') || '[]');
-    approvedClaims.push({
-        address: address,
-        tokenId: tokenId,
-        observation: observation,
-        signature: signature,
-        nonce: nonce,
-        timestamp: new Date().toISOString(),
-        status: 'pending_transfer'
+const MAX_INSCRIPTION_LENGTH = 250;
+const INSCRIPTION_MERGE_SEPARATOR = ' / ';
+let activeFacilitation = null; // { id, tokenId, turns: [{ observation, question }], questionsRemaining }
+
+/**
+ * Render the exchange so far and turn the form into a reply to the last question
+ * Built with textContent - the dialogue contains the observer's own words
+ * @param {Object} session - Facilitation session from the backend
+ * @param {Object} result - The soft-reject response (reason, paraphrase)
+ */
+function renderFacilitationDialogue(session, result) {
+    activeFacilitation = session;
+
+    const dialogue = document.getElementById('facilitation-dialogue');
+    if (!dialogue) return;
+    dialogue.innerHTML = '';
+
+    session.turns.forEach((turn, index) => {
+        const observerLine = document.createElement('p');
+        observerLine.className = 'dialogue-line dialogue-observer';
+        observerLine.textContent = `“${turn.observation}”`;
+
+        const guardianLine = document.createElement('p');
+        guardianLine.className = 'dialogue-line dialogue-guardian';
+        guardianLine.textContent = turn.question;
+
+        // The latest turn also carries the Guardian's reflection on what was offered
+        if (index === session.turns.length - 1 && result.reason) {
+            const reflection = document.createElement('span');
+            reflection.className = 'dialogue-reflection';
+            reflection.textContent = result.reason;
+            guardianLine.prepend(reflection);
+        }
+
+        dialogue.append(observerLine, guardianLine);
     });
-    localStorage.setItem('approved_claims', JSON.stringify(approvedClaims));
+
+    // Show which dimensions the reply should deepen
+    if (result.rubric) {
+        dialogue.insertAdjacentHTML('beforeend', renderRubricBreakdown(result.rubric));
+    }
+
+    dialogue.style.display = 'block';
+
+    const label = document.querySelector('label[for="claim-observation"]');
+    if (label) label.firstChild.textContent = 'Your Reply ';
+
+    const observationInput = document.getElementById('claim-observation');
+    observationInput.value = '';
+    observationInput.placeholder = 'Answer the Guardian in your own words...';
+    document.getElementById('observation-char-count').textContent = '0';
+
+    renderInscriptionChoice(session);
+}
+
+/**
+ * Offer what to inscribe on-chain if the reply is approved
+ */
+function renderInscriptionChoice(session) {
+    const fieldset = document.getElementById('inscription-choice');
+    if (!fieldset) return;
+    fieldset.innerHTML = '<legend>If the Guardian approves, inscribe</legend>';
+
+    const options = [
+        { value: 'reply', label: 'My reply' },
+        ...session.turns.map((turn, index) => ({
+            value: String(index),
+            label: `My earlier words: “${turn.observation.length > 60 ? `${turn.observation.slice(0, 60)}...` : turn.observation}”`
+        })),
+        { value: 'merged', label: 'All my words, merged' }
+    ];
+
+    options.forEach((option, index) => {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = 'inscription-choice';
+        input.value = option.value;
+        input.checked = index === 0;
+        label.append(input, ` ${option.label}`);
+        fieldset.append(label);
+    });
+
+    fieldset.style.display = 'block';
+    updateMergedInscriptionChoice();
+}
+
+/**
+ * Disable the merged option while it would not fit on-chain
+ */
+function updateMergedInscriptionChoice() {
+    if (!activeFacilitation) return;
+    const merged = document.querySelector('input[name="inscription-choice"][value="merged"]');
+    if (!merged) return;
+
+    const reply = document.getElementById('claim-observation').value.trim();
+    const mergedText = [...activeFacilitation.turns.map(t => t.observation), reply].join(INSCRIPTION_MERGE_SEPARATOR);
+    const mergedLength = new TextEncoder().encode(mergedText).length; // the contract counts bytes
+    merged.disabled = mergedLength > MAX_INSCRIPTION_LENGTH;
+    merged.parentElement.title = merged.disabled
+        ? `Merged, your words are ${mergedLength} characters - the chain holds ${MAX_INSCRIPTION_LENGTH}`
+        : '';
+
+    if (merged.disabled && merged.checked) {
+        document.querySelector('input[name="inscription-choice"][value="reply"]').checked = true;
+    }
+}
+
+/**
+ * Selected inscription ('reply', 'merged' or an earlier turn index)
+ */
+function getInscriptionChoice() {
+    const checked = document.querySelector('input[name="inscription-choice"]:checked');
+    return checked ? checked.value : 'reply';
+}
+
+/**
+ * Back to a plain observation form
+ */
+function clearFacilitation() {
+    activeFacilitation = null;
+
+    const dialogue = document.getElementById('facilitation-dialogue');
+    if (dialogue) {
+        dialogue.innerHTML = '';
+        dialogue.style.display = 'none';
+    }
+
+    const fieldset = document.getElementById('inscription-choice');
+    if (fieldset) {
+        fieldset.innerHTML = '';
+        fieldset.style.display = 'none';
+    }
+
+    const label = document.querySelector('label[for="claim-observation"]');
+    if (label) label.firstChild.textContent = 'Your Observation ';
+
+    const observationInput = document.getElementById('claim-observation');
+    if (observationInput) {
+        observationInput.placeholder = 'What do you see, feel, or perceive in this piece? Share your authentic interpretation...';
+    }
+}
+
+// =============================================================================
+// FRAGMENT RESERVATIONS - Hold a piece while its observer writes
+// =============================================================================
+
+const RESERVATION_REFRESH_INTERVAL = 2 * 60 * 1000; // Refresh our hold every 2 minutes
+const HELD_TOKENS_REFRESH_INTERVAL = 60 * 1000; // Refresh "being observed" tiles every minute
+let activeReservation = null; // { tokenId, reservationId }
+let reservationRefreshTimer = null;
+let heldTokensTimer = null;
+
+/**
+ * Reservation ID for a token, if this tab holds it
+ * @param {number} tokenId - Token being claimed
+ * @returns {string|undefined}
+ */
+function getReservationId(tokenId) {
+    return activeReservation && activeReservation.tokenId === tokenId
+        ? activeReservation.reservationId
+        : undefined;
+}
+
+/**
+ * Acquire (or refresh) a server-side hold on a fragment
+ * Holds belong to the signed-in wallet; without a session the hold is
+ * taken when the observation is submitted instead
+ * @param {number} tokenId - Token to hold
+ */
+async function reserveFragment(tokenId) {
+    if (activeReservation && activeReservation.tokenId !== tokenId) {
+        await releaseClaimReservation();
+    }
+
+    const session = window.walletState?.getSession();
+    if (!session) return;
+
+    try {
+        const response = await fetch(`${BACKEND_URL}/api/reservations`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${session.token}`
+            },
+            body: JSON.stringify({
+                tokenId,
+                reservationId: getReservationId(tokenId)
+            })
+        });
+        const result = await response.json();
+
+        if (result.acquired) {
+            activeReservation = { tokenId, reservationId: result.reservationId };
+
+            if (reservationRefreshTimer) clearInterval(reservationRefreshTimer);
+            reservationRefreshTimer = setInterval(() => {
+                if (activeReservation && activeReservation.tokenId === tokenId) {
+                    reserveFragment(tokenId);
+                }
+            }, RESERVATION_REFRESH_INTERVAL);
+            return;
+        }
+
+        if (response.status === 409) {
+            const claimStatus = document.getElementById('claim-status');
+            if (claimStatus) {
+                claimStatus.textContent = 'Another seeker is observing this fragment right now. Choose another, or return in a few minutes.';
+                claimStatus.className = 'error';
+                claimStatus.style.display = 'block';
+            }
+            applyHeldTokens([tokenId], true);
+        }
+    } catch (error) {
+        // The backend still checks holds on submission - don't block the modal
+        console.warn('[Reservations] Could not reserve fragment:', error.message);
+    }
+}
+
+/**
+ * Release this tab's hold (modal closed, page hidden)
+ */
+async function releaseClaimReservation() {
+    if (reservationRefreshTimer) {
+        clearInterval(reservationRefreshTimer);
+        reservationRefreshTimer = null;
+    }
+
+    if (!activeReservation) return;
+    const { tokenId, reservationId } = activeReservation;
+    activeReservation = null;
+
+    // Holds expire on their own if the session is gone
+    const session = window.walletState?.getSession();
+    if (!session) return;
+
+    try {
+        await fetch(`${BACKEND_URL}/api/reservations/release`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${session.token}`
+            },
+            body: JSON.stringify({ tokenId, reservationId }),
+            keepalive: true
+        });
+    } catch (error) {
+        // Holds expire on their own
+    }
+}
+
+/**
+ * Drop this tab's hold without releasing it (the backend took it over)
+ */
+function forgetClaimReservation() {
+    if (reservationRefreshTimer) {
+        clearInterval(reservationRefreshTimer);
+        reservationRefreshTimer = null;
+    }
+    activeReservation = null;
+}
+
+/**
+ * Mark held tiles as "being observed"
+ * @param {number[]} tokenIds - Held token IDs
+ * @param {boolean} [merge] - Add to the current set instead of replacing it
+ */
+function applyHeldTokens(tokenIds, merge = false) {
+    const held = new Set(tokenIds);
+
+    document.querySelectorAll('.nft-region').forEach(region => {
+        const tokenId = parseInt(region.dataset.tokenId, 10);
+        // Our own hold is not "someone else observing"
+        const isOurs = activeReservation && activeReservation.tokenId === tokenId;
+
+        if (held.has(tokenId) && !isOurs) {
+            region.classList.add('held');
+        } else if (!merge) {
+            region.classList.remove('held');
+        }
+    });
+}
+
+/**
+ * Fetch held tokens from the backend and update the grid
+ */
+async function refreshHeldTokens() {
+    try {
+        const response = await fetch(`${BACKEND_URL}/api/reservations`);
+        if (!response.ok) return;
+        const data = await response.json();
+        applyHeldTokens(data.tokens || []);
+    } catch (error) {
+        console.warn('[Reservations] Could not refresh held tokens:', error.message);
+    }
+}
+
+function startHeldTokensRefresh() {
+    if (heldTokensTimer) clearInterval(heldTokensTimer);
+    refreshHeldTokens();
+    heldTokensTimer = setInterval(refreshHeldTokens, HELD_TOKENS_REFRESH_INTERVAL);
+}
+
+// =============================================================================
+// GUARDIAN STATUS BANNER - Shown while the relayer circuit breaker is open
+// =============================================================================
+
+const RELAYER_STATUS_REFRESH_INTERVAL = 60000; // 1 minute
+let relayerStatusTimer = null;
+
+/**
+ * Show or hide the "Guardian is resting" banner
+ * @param {boolean} paused - Whether the backend has paused the Guardian
+ * @param {string|null} message - Message from the backend
+ */
+function renderGuardianPausedBanner(paused, message) {
+    let banner = document.getElementById('guardian-paused-banner');
+
+    if (!paused) {
+        if (banner) banner.remove();
+        return;
+    }
+
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'guardian-paused-banner';
+        banner.className = 'guardian-paused-banner';
+        banner.setAttribute('role', 'status');
+        document.body.prepend(banner);
+    }
+    banner.textContent = message || 'The Guardian is resting. Please return shortly.';
+}
+
+/**
+ * Ask the backend whether the Guardian is accepting observations
+ */
+async function refreshRelayerStatus() {
+    try {
+        const response = await fetch(`${BACKEND_URL}/api/relayer-status`);
+        if (!response.ok) return;
+        const status = await response.json();
+        renderGuardianPausedBanner(status.paused, status.message);
+    } catch (error) {
+        console.warn('[Guardian Status] Could not fetch relayer status:', error.message);
+    }
+}
+
+function startRelayerStatusRefresh() {
+    if (relayerStatusTimer) clearInterval(relayerStatusTimer);
+    refreshRelayerStatus();
+    relayerStatusTimer = setInterval(refreshRelayerStatus, RELAYER_STATUS_REFRESH_INTERVAL);
+}
+
+// =============================================================================
+// LIVE FEED - Claims, holds and pauses pushed by the backend (Server-Sent Events)
+// =============================================================================
+
+let liveFeed = null;
+
+/**
+ * Show or clear the "being observed" state of one tile
+ * @param {number} tokenId - Token whose hold changed
+ * @param {boolean} held - Whether someone holds it now
+ */
+function applyHeldToken(tokenId, held) {
+    const region = document.querySelector(`.nft-region[data-token-id="${tokenId}"]`);
+    if (!region) return;
+    // Our own hold is not "someone else observing"
+    const isOurs = activeReservation && activeReservation.tokenId === tokenId;
+    region.classList.toggle('held', held && !isOurs);
+}
+
+/**
+ * Fragments still available, read from the grid
+ */
+function countAvailableTiles() {
+    return document.querySelectorAll('.nft-region:not(.blackout)').length;
+}
+
+function parseFeedEvent(event) {
+    try {
+        return JSON.parse(event.data);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Follow the backend's event stream; the polling timers only run while it is down
+ */
+function startLiveFeed() {
+    if (!window.EventSource) return;
+
+    liveFeed = new EventSource(`${BACKEND_URL}/api/stream`);
+
+    liveFeed.addEventListener('open', () => {
+        // Catch up on what happened while disconnected, then let the stream take over
+        clearInterval(heldTokensTimer);
+        clearInterval(relayerStatusTimer);
+        heldTokensTimer = null;
+        relayerStatusTimer = null;
+        refreshHeldTokens();
+        refreshRelayerStatus();
+        console.log('[Live Feed] Connected');
+    });
+
+    liveFeed.addEventListener('error', () => {
+        // EventSource reconnects by itself (unless the backend refused it) - poll meanwhile
+        if (!heldTokensTimer) startHeldTokensRefresh();
+        if (!relayerStatusTimer) startRelayerStatusRefresh();
+    });
+
+    liveFeed.addEventListener('claim', (event) => {
+        const claim = parseFeedEvent(event);
+        if (!claim) return;
+        markTokenClaimed(claim.tokenId);
+        applyHeldToken(claim.tokenId, false);
+        updateSealsProgress(countAvailableTiles());
+    });
+
+    liveFeed.addEventListener('reservation', (event) => {
+        const reservation = parseFeedEvent(event);
+        if (reservation) applyHeldToken(reservation.tokenId, reservation.held);
+    });
+
+    liveFeed.addEventListener('pause', (event) => {
+        const status = parseFeedEvent(event);
+        if (status) renderGuardianPausedBanner(status.paused, status.message);
+    });
+
+    // Missed more than the backend buffers (or it restarted) - reload state
+    liveFeed.addEventListener('resync', () => {
+        refreshSealsProgress();
+        refreshHeldTokens();
+        refreshRelayerStatus();
+    });
+}
+
+// =============================================================================
+// CLAIM STATUS POLLING - Follow a relayed claim until it is final
+// =============================================================================
+
+const CLAIM_STATUS_POLL_INTERVAL = 5000; // 5 seconds
+const CLAIM_STATUS_MAX_WAIT = 10 * 60 * 1000; // Give up polling after 10 minutes
+let claimStatusTimer = null;
+
+/**
+ * Mark a grid tile as claimed without rebuilding the grid
+ * @param {number} tokenId - Token that left the claimer contract
+ */
+function markTokenClaimed(tokenId) {
+    const region = document.querySelector(`.nft-region[data-token-id="${tokenId}"]`);
+    if (region) {
+        region.classList.add('blackout');
+    }
+
+    // Keep cached ownership consistent with the grid
+    const cached = getCachedOwnership();
+    if (cached) {
+        setCachedOwnership(cached.filter(id => id !== tokenId));
+    }
+}
+
+/**
+ * Render the relay transaction box inside the result panel
+ */
+function renderRelayTxStatus({ color, background, title, body, linkText, etherscanUrl }) {
+    const statusBox = document.getElementById('relay-tx-status');
+    if (!statusBox) return;
+
+    statusBox.style.background = background;
+    statusBox.innerHTML = `
+        <p style="margin: 0 0 10px 0; color: ${color}; font-weight: 600;">${title}</p>
+        <p style="margin: 0; font-size: 12px; color: #888;">${body}</p>
+        <a href="${etherscanUrl}" target="_blank" rel="noopener noreferrer"
+           style="display: inline-block; margin-top: 10px; color: ${color}; text-decoration: none;">
+            ${linkText}
+        </a>
+    `;
+}
+
+/**
+ * Poll the backend claim-status endpoint until the relay is final
+ * @param {string} txHash - Relay transaction hash returned by the Guardian
+ * @param {number} tokenId - Token being claimed
+ */
+function pollClaimStatus(txHash, tokenId) {
+    if (claimStatusTimer) {
+        clearTimeout(claimStatusTimer);
+    }
+
+    const startedAt = Date.now();
+
+    const poll = async () => {
+        claimStatusTimer = null;
+
+        try {
+            const response = await fetch(`${BACKEND_URL}/api/claim-status/${txHash}`);
+            if (response.ok) {
+                const status = await response.json();
+
+                if (status.final && status.resolvedState === 'confirmed') {
+                    markTokenClaimed(tokenId);
+                    updateSealsProgress(document.querySelectorAll('.nft-region:not(.blackout)').length);
+                    renderRelayTxStatus({
+                        color: '#4CAF50',
+                        background: 'rgba(76, 175, 80, 0.1)',
+                        title: 'Transaction Confirmed',
+                        body: `After Patmos #${tokenId} is now yours! (block ${status.blockNumber})`,
+                        linkText: 'View on Etherscan →',
+                        etherscanUrl: status.etherscanUrl
+                    });
+                    return;
+                }
+
+                if (status.final) {
+                    renderRelayTxStatus({
+                        color: '#f44336',
+                        background: 'rgba(244, 67, 54, 0.1)',
+                        title: 'The Bridge Faltered',
+                        body: 'The transfer did not complete. Your blessing stands - please return to The Guardian and try again.',
+                        linkText: 'Inspect on Etherscan →',
+                        etherscanUrl: status.etherscanUrl
+                    });
+                    return;
+                }
+            }
+        } catch (error) {
+            console.warn('[Claim Status] Poll failed:', error.message);
+        }
+
+        if (Date.now() - startedAt > CLAIM_STATUS_MAX_WAIT) {
+            renderRelayTxStatus({
+                color: '#ffc107',
+                background: 'rgba(255, 193, 7, 0.1)',
+                title: 'Still Crossing the Bridge...',
+                body: 'The network is slow today. Your transfer is still pending - check Etherscan for progress.',
+                linkText: 'Track on Etherscan →',
+                etherscanUrl: `https://etherscan.io/tx/${txHash}`
+            });
+            return;
+        }
+
+        claimStatusTimer = setTimeout(poll, CLAIM_STATUS_POLL_INTERVAL);
+    };
+
+    claimStatusTimer = setTimeout(poll, CLAIM_STATUS_POLL_INTERVAL);
+}
+
+const DEFERRED_CLAIM_POLL_INTERVAL = 30000; // 30 seconds
+let deferredClaimTimer = null;
+
+/**
+ * Poll a deferred claim until the backend relays it, then follow the relay
+ * @param {string} claimId - Deferred claim ID returned by the Guardian
+ * @param {number} tokenId - Token being claimed
+ */
+function pollDeferredClaim(claimId, tokenId) {
+    if (deferredClaimTimer) {
+        clearTimeout(deferredClaimTimer);
+    }
+
+    const poll = async () => {
+        deferredClaimTimer = null;
+
+        try {
+            const response = await fetch(`${BACKEND_URL}/api/deferred-claims/${claimId}`);
+            if (response.ok) {
+                const claim = await response.json();
+
+                if (claim.state === 'submitted' && claim.txHash) {
+                    renderRelayTxStatus({
+                        color: '#ffc107',
+                        background: 'rgba(255, 193, 7, 0.1)',
+                        title: 'Transaction Broadcasting...',
+                        body: `The chain has calmed. After Patmos #${tokenId} is being sent to your wallet.`,
+                        linkText: 'Track on Etherscan →',
+                        etherscanUrl: claim.etherscanUrl
+                    });
+                    pollClaimStatus(claim.txHash, tokenId);
+                    return;
+                }
+
+                if (claim.state === 'failed') {
+                    const statusBox = document.getElementById('relay-tx-status');
+                    const voucher = claim.claimData && claim.claimData.manualClaimRequired ? claim.claimData : null;
+                    if (statusBox && voucher) {
+                        // The relay gave up - the Guardian's voucher lets the observer claim with their own wallet
+                        statusBox.style.background = 'rgba(255, 152, 0, 0.1)';
+                        statusBox.innerHTML = `
+                            <p style="margin: 0 0 10px 0; color: #ff9800; font-weight: 600;">The Bridge Faltered</p>
+                            <p style="margin: 0 0 10px 0; font-size: 12px; color: #888;">Claim your fragment directly with your wallet - you will pay the gas.</p>
+                            <button class="claim-action-btn" id="deferred-claim-btn">Claim With Your Wallet</button>
+                        `;
+                        window.pendingClaimData = voucher;
+                        document.getElementById('deferred-claim-btn')?.addEventListener('click', () => {
+                            executeClaim({ ...voucher, tokenId: parseInt(voucher.tokenId, 10) });
+                        });
+                    } else if (statusBox) {
+                        statusBox.style.background = 'rgba(244, 67, 54, 0.1)';
+                        statusBox.innerHTML = `
+                            <p style="margin: 0 0 10px 0; color: #f44336; font-weight: 600;">The Bridge Faltered</p>
+                            <p style="margin: 0; font-size: 12px; color: #888;">The reserved transfer could not be completed. Please return to The Guardian and try again.</p>
+                        `;
+                    }
+                    return;
+                }
+            }
+        } catch (error) {
+            console.warn('[Deferred Claim] Poll failed:', error.message);
+        }
+
+        deferredClaimTimer = setTimeout(poll, DEFERRED_CLAIM_POLL_INTERVAL);
+    };
+
+    deferredClaimTimer = setTimeout(poll, DEFERRED_CLAIM_POLL_INTERVAL);
+}
+
+// =============================================================================
+// SELF-CLAIM - Redeem a Guardian voucher through the connected wallet
+// =============================================================================
+
+// Redemption function for each voucher type (voucher.type names the function):
+// claimNFT vouchers work on every claimer, typed approvals only after the redeploy
+const CLAIMER_REDEEM_ABI = {
+    claimNFT: 'function claimNFT(uint256 tokenId, string observation, bytes signature)',
+    claimNFTWithApproval: 'function claimNFTWithApproval(uint256 tokenId, string observation, uint256 deadline, bytes signature)'
+};
+
+// Minimal claimer ABI for self-claims (ethers v5 human-readable format)
+const CLAIMER_SELF_CLAIM_ABI = [
+    'function getNonce(address user) view returns (uint256)',
+    'function hasClaimed(address) view returns (bool)',
+    'function signer() view returns (address)',
+    'error AlreadyClaimed()',
+    'error InvalidSignature()',
+    'error ApprovalExpired()',
+    'error TokenNotAvailable()',
+    'error NoTokensAvailable()',
+    'error ObservationTooShort()',
+    'error ObservationTooLong()',
+    'error ObservationAlreadyExists()',
+    'error TransferFailed()',
+    'error InvalidTokenId()'
+];
+
+// Guardian-voiced messages for the contract's custom errors
+const CLAIM_ERROR_MESSAGES = {
+    AlreadyClaimed: 'This wallet has already received a blessing from The Guardian. Each observer may hold only one fragment.',
+    InvalidSignature: 'The Guardian\'s seal does not match this claim. Make sure you claim from the address you entered, or seek a fresh blessing.',
+    ApprovalExpired: 'This voucher has expired. Return to The Guardian for a fresh blessing.',
+    TokenNotAvailable: 'This piece has already found its observer.',
+    NoTokensAvailable: 'Every fragment has found its observer.',
+    ObservationTooShort: 'Your observation is too faint to be inscribed.',
+    ObservationTooLong: 'Your observation exceeds the 250 characters the chain will hold.',
+    ObservationAlreadyExists: 'This fragment already carries an observation.',
+    TransferFailed: 'The fragment could not pass through the bridge. Please try again.',
+    InvalidTokenId: 'This fragment does not exist within After Patmos.'
+};
+
+/**
+ * Find revert data buried in a wallet / JSON-RPC error
+ * Wallets nest it differently (error.data, error.error.data, error.data.data...)
+ * @param {Error} error - Error thrown by ethers or the wallet
+ * @returns {string|null} - Hex revert data if found
+ */
+function extractRevertData(error) {
+    const seen = new Set();
+    const queue = [error];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (!current || typeof current !== 'object' || seen.has(current)) continue;
+        seen.add(current);
+
+        if (typeof current.data === 'string' && /^0x[0-9a-fA-F]{8}/.test(current.data)) {
+            return current.data;
+        }
+
+        queue.push(current.data, current.error, current.originalError);
+    }
+
+    // Some providers only expose the data inside the JSON body of the message
+    const bodyMatch = /"data":"(0x[0-9a-fA-F]{8,})"/.exec(error?.body || error?.error?.body || '');
+    return bodyMatch ? bodyMatch[1] : null;
+}
+
+/**
+ * Voucher type, for vouchers issued before the type was sent along
+ */
+function getVoucherType(voucher) {
+    if (CLAIMER_REDEEM_ABI[voucher.type]) return voucher.type;
+    return voucher.deadline ? 'claimNFTWithApproval' : 'claimNFT';
+}
+
+/**
+ * Translate a claim error into a Guardian-styled message
+ * @param {Error} error - Error thrown while estimating or sending the redemption
+ * @param {ethers.utils.Interface} claimerInterface - Interface holding the custom errors
+ * @returns {string} - User-facing message
+ */
+function decodeClaimError(error, claimerInterface) {
+    if (error?.code === 4001 || error?.code === 'ACTION_REJECTED') {
+        return 'You turned away from the bridge. Your blessing remains - claim whenever you are ready.';
+    }
+
+    const revertData = extractRevertData(error);
+    if (revertData) {
+        try {
+            const parsed = claimerInterface.parseError(revertData);
+            if (CLAIM_ERROR_MESSAGES[parsed.name]) {
+                return CLAIM_ERROR_MESSAGES[parsed.name];
+            }
+        } catch (e) {
+            // Not one of our custom errors - fall through
+        }
+    }
+
+    if (error?.code === 'INSUFFICIENT_FUNDS' || /insufficient funds/i.test(error?.message || '')) {
+        return 'Your wallet holds too little ETH to carry this claim across the bridge.';
+    }
+
+    return 'The bridge trembled and the claim did not pass. Please try again.';
+}
+
+/**
+ * Render a self-claim status panel inside the Guardian result container
+ */
+function renderSelfClaimPanel({ icon, title, message, detail = '', actions = '', approved = true }) {
+    const resultContainer = document.getElementById('guardian-result');
+    if (!resultContainer) return;
 
     resultContainer.innerHTML = `
-        <div class="guardian-approved">
-            <div class="result-icon">🎉</div>
-            <h3>Claim Submitted!</h3>
-            <p class="result-message">Your claim for After Patmos #${tokenId} has been approved and recorded.</p>
-            <p class="result-reason">Your observation: "${observation}"</p>
-            <p style="color: #888; font-size: 13px; margin-top: 20px;">
-                The NFT will be transferred to:<br>
-                <code style="color: #4CAF50;">${address}</code>
-            </p>
-            <button class="try-again-btn" style="margin-top: 20px;" onclick="closeClaimModal()">
-                Close
-            </button>
+        <div class="${approved ? 'guardian-approved' : 'guardian-rejected'}">
+            <div class="result-icon">${icon}</div>
+            <h3>${title}</h3>
+            <p class="result-message">${message}</p>
+            ${detail}
+            ${actions}
         </div>
     `;
 }
 
+// Execute the actual claim after Guardian approval
+// Redeems the Guardian's voucher from the connected wallet: claimNFT for nonce-bound
+// vouchers, claimNFTWithApproval for typed approvals
+async function executeClaim(voucher) {
+    const { recipient: address, tokenId, observation, signature, nonce, deadline } = voucher;
+    const voucherType = getVoucherType(voucher);
+    const typedApproval = voucherType === 'claimNFTWithApproval';
+    const redeemArgs = typedApproval
+        ? [tokenId, observation, deadline, signature]
+        : [tokenId, observation, signature];
+    const expiresAt = typedApproval ? deadline : voucher.expiresAt;
+    const walletProvider = window.walletState?.getProvider();
+    const connectedAddress = window.walletState?.getAddress();
+    const claimerAddress = voucher.verifyingContract || voucher.claimerContract || APP_CONFIG.CLAIMER_CONTRACT || CLAIMER_CONTRACT;
+    const closeButton = `
+        <button class="try-again-btn" style="margin-top: 20px;" onclick="closeClaimModal()">
+            Close
+        </button>
+    `;
+
+    if (!walletProvider || !connectedAddress || typeof ethers === 'undefined') {
+        renderSelfClaimPanel({
+            icon: '🔗',
+            title: 'Connect Your Wallet',
+            message: 'Connect the wallet that will receive this fragment, then claim again.',
+            actions: `<button class="claim-action-btn" id="execute-claim-btn">Claim With Your Wallet</button>`
+        });
+        const retryBtn = document.getElementById('execute-claim-btn');
+        if (retryBtn) {
+            retryBtn.addEventListener('click', () => {
+                if (!window.walletState?.isConnected()) {
+                    document.getElementById('wallet-connect-modal')?.classList.add('active');
+                    return;
+                }
+                executeClaim(voucher);
+            });
+        }
+        return;
+    }
+
+    // Both redemption paths verify msg.sender, so the voucher only works from the recipient wallet
+    if (connectedAddress.toLowerCase() !== address.toLowerCase()) {
+        renderSelfClaimPanel({
+            icon: '🔑',
+            title: 'A Different Wallet Is Connected',
+            message: `The Guardian blessed <code>${address}</code>. Switch your wallet to that address to claim.`,
+            approved: false,
+            actions: closeButton
+        });
+        return;
+    }
+
+    if (expiresAt && Date.now() / 1000 > expiresAt) {
+        renderSelfClaimPanel({
+            icon: '⌛',
+            title: 'Your Blessing Has Faded',
+            message: 'This voucher has expired. Return to The Guardian for a fresh blessing.',
+            approved: false,
+            actions: closeButton
+        });
+        return;
+    }
+
+    const web3Provider = new ethers.providers.Web3Provider(walletProvider, 'any');
+    const walletSigner = web3Provider.getSigner();
+    const claimer = new ethers.Contract(claimerAddress, [CLAIMER_REDEEM_ABI[voucherType], ...CLAIMER_SELF_CLAIM_ABI], walletSigner);
+
+    renderSelfClaimPanel({
+        icon: '⏳',
+        title: 'Preparing Your Claim...',
+        message: 'Estimating the cost of crossing the bridge.'
+    });
+
+    let gasLimit;
+    try {
+        const network = await web3Provider.getNetwork();
+        const expectedChainId = APP_CONFIG.CHAIN_ID || 1;
+        if (network.chainId !== expectedChainId) {
+            throw new Error(`Wrong network. Please switch to ${APP_CONFIG.CHAIN_NAME || 'Ethereum Mainnet'}.`);
+        }
+
+        // A used voucher means the nonce already moved on
+        const currentNonce = await claimer.getNonce(address);
+        if (nonce !== undefined && nonce !== null && currentNonce.toString() !== String(nonce)) {
+            renderSelfClaimPanel({
+                icon: '⌛',
+                title: 'Your Blessing Has Faded',
+                message: 'This voucher has already been used or replaced. Return to The Guardian for a fresh blessing.',
+                approved: false,
+                actions: closeButton
+            });
+            return;
+        }
+
+        // Check the Guardian's typed seal offline before asking the wallet to pay for it
+        if (typedApproval && window.GuardianApproval) {
+            const guardianSigner = await claimer['signer()']();
+            const check = window.GuardianApproval.verifyApproval(
+                { ...voucher, verifyingContract: claimerAddress },
+                { signer: guardianSigner, recipient: connectedAddress, chainId: network.chainId }
+            );
+            if (!check.valid) {
+                console.warn('[Claim] Voucher failed offline verification:', check.errors);
+                renderSelfClaimPanel({
+                    icon: '🔏',
+                    title: 'The Seal Does Not Hold',
+                    message: 'This voucher does not carry a valid Guardian seal for this wallet and network. Return to The Guardian for a fresh blessing.',
+                    approved: false,
+                    actions: closeButton
+                });
+                return;
+            }
+        }
+
+        const gasEstimate = await claimer.estimateGas[voucherType](...redeemArgs);
+        gasLimit = gasEstimate.mul(120).div(100);
+
+        const feeData = await web3Provider.getFeeData();
+        const pricePerGas = feeData.maxFeePerGas || feeData.gasPrice;
+        const maxCost = pricePerGas ? ethers.utils.formatEther(gasLimit.mul(pricePerGas)) : null;
+
+        renderSelfClaimPanel({
+            icon: '⛽',
+            title: 'Ready to Claim',
+            message: `After Patmos #${tokenId} will be sent to your wallet.`,
+            detail: `
+                <div class="tx-info" style="margin-top: 20px; padding: 15px; background: rgba(255, 193, 7, 0.1); border-radius: 8px;">
+                    <p style="margin: 0 0 6px 0; color: #ffc107; font-weight: 600;">Estimated Gas</p>
+                    <p style="margin: 0; font-size: 12px; color: #888;">
+                        ${gasEstimate.toString()} gas units
+                        ${maxCost ? `<br>Up to ~${parseFloat(maxCost).toFixed(6)} ETH at current fees` : ''}
+                    </p>
+                </div>
+            `,
+            actions: `
+                <button class="claim-action-btn" id="confirm-self-claim-btn" style="margin-top: 20px;">Confirm in Wallet</button>
+                ${closeButton}
+            `
+        });
+    } catch (error) {
+        console.error('[Claim] Gas estimation failed:', error);
+        renderSelfClaimPanel({
+            icon: '🏔️',
+            title: 'The Bridge Resists',
+            message: error.message?.startsWith('Wrong network') ? error.message : decodeClaimError(error, claimer.interface),
+            approved: false,
+            actions: closeButton
+        });
+        return;
+    }
+
+    const confirmBtn = document.getElementById('confirm-self-claim-btn');
+    if (!confirmBtn) return;
+
+    confirmBtn.addEventListener('click', async () => {
+        confirmBtn.disabled = true;
+        renderSelfClaimPanel({
+            icon: '🖋️',
+            title: 'Awaiting Your Signature...',
+            message: 'Confirm the transaction in your wallet.'
+        });
+
+        let tx;
+        try {
+            tx = await claimer[voucherType](...redeemArgs, { gasLimit });
+        } catch (error) {
+            console.error('[Claim] Transaction rejected:', error);
+            renderSelfClaimPanel({
+                icon: '🏔️',
+                title: 'The Claim Did Not Pass',
+                message: decodeClaimError(error, claimer.interface),
+                approved: false,
+                actions: closeButton
+            });
+            return;
+        }
+
+        const etherscanUrl = `https://etherscan.io/tx/${tx.hash}`;
+        renderSelfClaimPanel({
+            icon: '📡',
+            title: 'Crossing the Bridge...',
+            message: `After Patmos #${tokenId} is on its way. This usually takes 15-30 seconds.`,
+            detail: `
+                <a href="${etherscanUrl}" target="_blank" rel="noopener noreferrer"
+                   style="display: inline-block; margin-top: 10px; color: #ffc107; text-decoration: none;">
+                    Track on Etherscan →
+                </a>
+            `
+        });
+
+        try {
+            const receipt = await tx.wait();
+
+            // Fresh ownership data on next load
+            invalidateCache('ownership_cache');
+            localStorage.removeItem('afterpatmos_ownership_cache');
+
+            if (window.afterPatmosAnalytics) {
+                window.afterPatmosAnalytics.trackClaimSuccess(tokenId, 0);
+            }
+
+            renderSelfClaimPanel({
+                icon: '🎉',
+                title: 'NFT Claimed Successfully!',
+                message: `After Patmos #${tokenId} is now yours. Your observation is inscribed forever.`,
+                detail: `
+                    <div class="tx-info" style="margin-top: 20px; padding: 15px; background: rgba(76, 175, 80, 0.1); border-radius: 8px;">
+                        <p style="margin: 0 0 10px 0; color: #4CAF50; font-weight: 600;">Confirmed in block ${receipt.blockNumber}</p>
+                        <a href="${etherscanUrl}" target="_blank" rel="noopener noreferrer"
+                           style="color: #4CAF50; text-decoration: none;">
+                            View on Etherscan →
+                        </a>
+                    </div>
+                `,
+                actions: `
+                    <button class="try-again-btn" style="margin-top: 20px;" onclick="closeClaimModal(); location.reload();">
+                        Close
+                    </button>
+                `
+            });
+        } catch (error) {
+            console.error('[Claim] Transaction failed:', error);
+            renderSelfClaimPanel({
+                icon: '🏔️',
+                title: 'The Claim Did Not Pass',
+                message: decodeClaimError(error, claimer.interface),
+                approved: false,
+                detail: `
+                    <a href="${etherscanUrl}" target="_blank" rel="noopener noreferrer"
+                       style="display: inline-block; margin-top: 10px; color: #f44336; text-decoration: none;">
+                        Inspect on Etherscan →
+                    </a>
+                `,
+                actions: closeButton
+            });
+        }
+    });
+}
+
 // Reset claim modal to step 1
 function resetClaimModal() {
     document.getElementById('claim-step-1').style.display = 'block';
@@ -852,6 +2255,8 @@ function resetClaimModal() {
 function closeClaimModal() {
     const modal = document.getElementById('claim-modal');
     modal.classList.remove('active');
+    releaseClaimReservation();
+    clearFacilitation();
 }
 
 // View on OpenSea button in modal
@@ -976,6 +2381,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     closeModals.forEach(btn => {
         btn.addEventListener('click', () => {
             modals.forEach(modal => modal.classList.remove('active'));
+            releaseClaimReservation();
         });
     });
 
@@ -984,10 +2390,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
                 modals.forEach(m => m.classList.remove('active'));
+                releaseClaimReservation();
             }
         });
     });
 
+    // Let other observers have the fragment back if this tab goes away
+    window.addEventListener('pagehide', releaseClaimReservation);
+
     // Submit to Guardian button
     const submitToGuardianBtn = document.getElementById('submit-to-guardian');
     if (submitToGuardianBtn) {
@@ -999,6 +2409,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (observationTextarea) {
         observationTextarea.addEventListener('input', () => {
             document.getElementById('observation-char-count').textContent = observationTextarea.value.length;
+            updateMergedInscriptionChoice();
         });
     }
 
@@ -1016,6 +2427,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     const ownedTokens = await fetchTreasuryNFTs();
     console.log(`Treasury owns ${ownedTokens.length} NFTs`);
     createNFTGrid(ownedTokens);
+    startHeldTokensRefresh();
+    startRelayerStatusRefresh();
+    startLiveFeed();
 
     // Initialize About Section interactivity
     initAccordions();
@@ -1102,7 +2516,18 @@ function updateSealsProgress(availableCount) {
 }
 
 /**
- * Fetch available NFT count from claimer contract and update progress
+ * Black out tiles that left the claimer contract (and restore any that returned)
+ * @param {number[]} availableTokens - Token IDs held by the claimer contract
+ */
+function applyAvailableTokens(availableTokens) {
+    const available = new Set(availableTokens);
+    document.querySelectorAll('.nft-region').forEach(region => {
+        region.classList.toggle('blackout', !available.has(parseInt(region.dataset.tokenId, 10)));
+    });
+}
+
+/**
+ * Fetch available NFTs from claimer contract and update the grid and progress
  * This bypasses cache to get fresh data
  */
 async function refreshSealsProgress() {
@@ -1115,9 +2540,12 @@ async function refreshSealsProgress() {
         }
 
         const data = await response.json();
-        const availableCount = data.ownedNfts.length;
+        const availableTokens = data.ownedNfts.map(nft => parseInt(nft.tokenId, 10));
+        const availableCount = availableTokens.length;
 
         console.log(`[Seals Refresh] Available NFTs: ${availableCount}`);
+        setCachedOwnership(availableTokens);
+        applyAvailableTokens(availableTokens);
         updateSealsProgress(availableCount);
 
         return availableCount;
@@ -1127,7 +2555,7 @@ async function refreshSealsProgress() {
     }
 }
 
-// Auto-refresh seals progress every 30 minutes
+// Auto-refresh seals progress every 30 minutes (claims from the live feed update it in between)
 const SEALS_REFRESH_INTERVAL = 30 * 60 * 1000; // 30 minutes
 let sealsRefreshTimer = null;
 
@@ -3,6 +3,7 @@
 // - Account/chain change listeners
 // - EIP-6963 provider discovery support
 // - Proper error handling
+// - Sign-In With Ethereum (EIP-4361) session for claim requests
 
 'use strict';
 
@@ -18,6 +19,10 @@ let currentProvider = null;
 // EIP-6963 provider store
 const discoveredProviders = new Map();
 
+// SIWE session (one at a time, for the connected address)
+const SIWE_STORAGE_KEY = 'afterpatmos_siwe_session';
+let pendingSignIn = null;
+
 // Initialize wallet connection UI
 function initWalletConnect() {
     const connectWalletBtn = document.getElementById('connect-wallet-btn');
@@ -280,6 +285,13 @@ async function handleWalletSelection(walletType) {
         } else if (walletType === 'coinbase') {
             await connectCoinbase();
         }
+
+        // Sign in right away - claims need a session for this address
+        if (userAddress) {
+            signInWithEthereum().catch(error => {
+                console.warn('[Wallet] Sign-in skipped:', error.message);
+            });
+        }
     } catch (error) {
         console.error('[Wallet] Connection error:', error);
         statusEl.textContent = error.message || 'Connection failed';
@@ -429,12 +441,122 @@ function disconnectWallet() {
 
     sessionStorage.removeItem('connectedWallet');
     sessionStorage.removeItem('walletType');
+    signOutOfEthereum();
 
     if (window.AFTER_PATMOS_CONFIG?.DEBUG_MODE) {
         console.log('[Wallet] Disconnected');
     }
 }
 
+// ============================================================================
+// SIGN-IN WITH ETHEREUM (EIP-4361)
+// The backend only accepts claims for the address a session was signed for
+// ============================================================================
+
+function getSiweBackendUrl() {
+    return window.AFTER_PATMOS_CONFIG?.BACKEND_URL || 'http://localhost:3001';
+}
+
+// Stored session for an address, if it hasn't expired
+function getSiweSession(address) {
+    if (!address) return null;
+    try {
+        const session = JSON.parse(localStorage.getItem(SIWE_STORAGE_KEY));
+        if (session && session.address.toLowerCase() === address.toLowerCase() && Date.now() < session.expiresAt) {
+            return session;
+        }
+    } catch {
+        // Corrupt entry - sign in again
+    }
+    return null;
+}
+
+function clearSiweSession() {
+    localStorage.removeItem(SIWE_STORAGE_KEY);
+}
+
+// EIP-4361 message for this site
+function buildSiweMessage({ address, nonce, chainId, issuedAt }) {
+    return [
+        `${window.location.host} wants you to sign in with your Ethereum account:`,
+        address,
+        '',
+        'Sign in to After Patmos to claim fragments and inscribe observations with this wallet.',
+        '',
+        `URI: ${window.location.origin}`,
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt}`
+    ].join('\n');
+}
+
+// Sign in with the connected wallet (reuses a stored session for the same address)
+async function signInWithEthereum() {
+    if (!userAddress || !currentProvider) {
+        throw new Error('Connect your wallet first');
+    }
+
+    const existing = getSiweSession(userAddress);
+    if (existing) return existing;
+
+    // One signature request at a time
+    if (pendingSignIn) return pendingSignIn;
+
+    pendingSignIn = (async () => {
+        const backend = getSiweBackendUrl();
+        const { nonce, chainId } = await fetch(`${backend}/api/siwe/nonce`).then(r => r.json());
+
+        const address = ethers.utils.getAddress(userAddress);
+        const message = buildSiweMessage({ address, nonce, chainId, issuedAt: new Date().toISOString() });
+        const signer = new ethers.providers.Web3Provider(currentProvider, 'any').getSigner();
+        const signature = await signer.signMessage(message);
+
+        const response = await fetch(`${backend}/api/siwe/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message, signature })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Sign-in failed');
+        }
+
+        const session = { token: result.token, address: result.address, expiresAt: result.expiresAt };
+        localStorage.setItem(SIWE_STORAGE_KEY, JSON.stringify(session));
+
+        if (window.AFTER_PATMOS_CONFIG?.DEBUG_MODE) {
+            console.log('[Wallet] Signed in:', result.address);
+        }
+        return session;
+    })();
+
+    try {
+        return await pendingSignIn;
+    } finally {
+        pendingSignIn = null;
+    }
+}
+
+// End the backend session (fire-and-forget)
+function signOutOfEthereum() {
+    let session = null;
+    try {
+        session = JSON.parse(localStorage.getItem(SIWE_STORAGE_KEY));
+    } catch {
+        // Nothing to revoke
+    }
+    clearSiweSession();
+
+    if (session?.token) {
+        fetch(`${getSiweBackendUrl()}/api/siwe/logout`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${session.token}` },
+            keepalive: true
+        }).catch(() => {});
+    }
+}
+
 // Check for existing connection
 async function checkExistingConnection() {
     const savedAddress = sessionStorage.getItem('connectedWallet');
@@ -491,5 +613,8 @@ window.walletState = {
     getWalletType: () => connectedWallet,
     getProvider: getCurrentProvider,
     disconnect: disconnectWallet,
+    signIn: signInWithEthereum,
+    getSession: () => getSiweSession(userAddress),
+    clearSession: clearSiweSession,
     switchNetwork: switchToMainnet,
 };